@@ -0,0 +1,87 @@
+const Quiz = require('../models/Quiz');
+const Answer = require('../models/Answer');
+
+// Unique index from before game sessions: one answer per user, quiz and room code.
+// Guests are stored with userId null, so it rejects the second guest of every game.
+const LEGACY_ANSWER_INDEX = 'userId_1_quizId_1_roomCode_1';
+
+/**
+ * List the indexes of a model's collection
+ * @param {Object} Model - Mongoose model
+ * @returns {Promise<Array|null>} Index descriptions, or null when the collection doesn't exist yet
+ */
+const readIndexes = async (Model) => {
+  // Let the automatic index build finish first; it may fail while a legacy index is there
+  await Model.init().catch(() => {});
+
+  try {
+    return await Model.collection.indexes();
+  } catch (error) {
+    // No collection yet: the indexes are built with it
+    if (error.codeName === 'NamespaceNotFound') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Drop text indexes on quizzes other than quiz_text_search and build it
+ * MongoDB allows one text index per collection, so databases created before quiz_text_search
+ * keep the old title/authorName index and the new one is never built. The old index also reads
+ * the quiz's `language` field as its stemming language and rejects quizzes whose language code
+ * MongoDB doesn't know (such as "vi" or "pt-br").
+ * @returns {Promise<Array<string>>} Names of the dropped indexes
+ */
+const replaceLegacyQuizTextIndexes = async () => {
+  const indexes = await readIndexes(Quiz);
+  if (!indexes) {
+    return [];
+  }
+
+  const legacy = indexes.filter(index => index.key && index.key._fts === 'text' && index.name !== 'quiz_text_search');
+  for (const index of legacy) {
+    await Quiz.collection.dropIndex(index.name);
+    console.log(`🧹 Dropped legacy quiz text index ${index.name}`);
+  }
+
+  if (legacy.length > 0) {
+    await Quiz.createIndexes();
+    console.log('🔎 Built quiz text index quiz_text_search');
+  }
+  return legacy.map(index => index.name);
+};
+
+/**
+ * Drop the per-room unique index on answers and build the per-game-session ones
+ * Databases created before answers were keyed by game session keep the old index, which
+ * makes saving the results of a game with two guests (or restoring one) fail.
+ * @returns {Promise<Array<string>>} Names of the dropped indexes
+ */
+const replaceLegacyAnswerIndexes = async () => {
+  const indexes = await readIndexes(Answer);
+  if (!indexes || !indexes.some(index => index.name === LEGACY_ANSWER_INDEX)) {
+    return [];
+  }
+
+  await Answer.collection.dropIndex(LEGACY_ANSWER_INDEX);
+  console.log(`🧹 Dropped legacy answer index ${LEGACY_ANSWER_INDEX}`);
+
+  await Answer.createIndexes();
+  console.log('🔎 Built answer indexes on gameSessionId and playerId');
+  return [LEGACY_ANSWER_INDEX];
+};
+
+/**
+ * Bring the database schema up to date
+ * Runs at startup, after connecting and before the server accepts requests; every step
+ * checks the database first, so running them again does nothing.
+ */
+const runMigrations = async () => {
+  await replaceLegacyQuizTextIndexes();
+  await replaceLegacyAnswerIndexes();
+};
+
+module.exports = {
+  runMigrations
+};
@@ -73,18 +73,62 @@ const options = {
             }
           }
         },
+        Media: {
+          type: 'object',
+          required: ['type', 'url'],
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['image', 'audio', 'video']
+            },
+            url: {
+              type: 'string',
+              description: 'http(s) link or path of an uploaded file',
+              example: '/uploads/image/3f9a1c2e4b5d6e7f8a9b0c1d2e3f4a5b.png'
+            },
+            key: {
+              type: 'string',
+              nullable: true,
+              description: 'Storage key of an uploaded file (null for external links)'
+            },
+            mimeType: {
+              type: 'string',
+              example: 'image/png'
+            },
+            size: {
+              type: 'integer',
+              description: 'File size in bytes'
+            },
+            uploadedBy: {
+              type: 'string',
+              nullable: true,
+              description: 'ID of the user who uploaded the file (null for external links)'
+            },
+            altText: {
+              type: 'string',
+              maxLength: 200,
+              description: 'Description for screen readers'
+            }
+          }
+        },
         Question: {
           type: 'object',
-          required: ['questionText', 'options', 'correctAnswerIndex'],
+          required: ['questionText'],
           properties: {
             _id: {
               type: 'string',
               description: 'Question ID',
               example: '507f1f77bcf86cd799439012'
             },
+            questionType: {
+              type: 'string',
+              enum: ['single', 'true-false', 'multi-select', 'short-answer'],
+              description: 'How the question is answered',
+              default: 'single'
+            },
             questionText: {
               type: 'string',
-              description: 'The question text',
+              description: 'The question text, in rich text markup (**bold**, `code`, ```code blocks```, $inline$ and $$display$$ LaTeX math)',
               example: 'What is the capital of France?',
               maxLength: 500
             },
@@ -93,17 +137,140 @@ const options = {
               items: {
                 type: 'string'
               },
-              description: 'Array of 4 answer options',
+              description: 'Answer options (2-6, exactly 2 for true-false, none for short-answer)',
               example: ['Paris', 'London', 'Berlin', 'Madrid'],
-              minItems: 4,
-              maxItems: 4
+              minItems: 2,
+              maxItems: 6
+            },
+            media: {
+              allOf: [{ $ref: '#/components/schemas/Media' }],
+              nullable: true,
+              description: 'Image, audio or video shown with the question'
+            },
+            optionMedia: {
+              type: 'array',
+              items: {
+                allOf: [{ $ref: '#/components/schemas/Media' }],
+                type: 'object',
+                required: ['optionIndex'],
+                properties: {
+                  optionIndex: {
+                    type: 'integer',
+                    minimum: 0,
+                    maximum: 5
+                  }
+                }
+              },
+              description: 'Media shown with individual answer options'
             },
             correctAnswerIndex: {
               type: 'integer',
-              description: 'Index of the correct answer (0-3)',
+              description: 'Index of the correct option for single and true-false questions',
               example: 0,
               minimum: 0,
-              maximum: 3
+              maximum: 5
+            },
+            correctAnswerIndices: {
+              type: 'array',
+              items: {
+                type: 'integer'
+              },
+              description: 'Indices of every correct option for multi-select questions',
+              example: [0, 2]
+            },
+            acceptedAnswers: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Accepted answers for short-answer questions',
+              example: ['Paris']
+            },
+            caseSensitive: {
+              type: 'boolean',
+              description: 'Match short answers with letter case',
+              default: false
+            },
+            timeLimitSeconds: {
+              type: 'integer',
+              description: 'Seconds players get to answer',
+              example: 10,
+              default: 10,
+              minimum: 5,
+              maximum: 300
+            },
+            points: {
+              type: 'integer',
+              description: 'Points awarded for a correct answer',
+              example: 1,
+              default: 1,
+              minimum: 0,
+              maximum: 1000
+            },
+            difficulty: {
+              type: 'string',
+              enum: ['easy', 'medium', 'hard']
+            },
+            explanation: {
+              type: 'string',
+              description: 'Why the answer is correct; shown when the question closes and in the results',
+              maxLength: 1000
+            },
+            referenceUrl: {
+              type: 'string',
+              format: 'uri',
+              description: 'Optional link for further reading',
+              maxLength: 500
+            },
+            bankRef: {
+              type: 'object',
+              nullable: true,
+              readOnly: true,
+              description: 'Question bank item this question was copied from; set through the question bank endpoints',
+              properties: {
+                questionId: {
+                  type: 'string',
+                  description: 'Bank question ID'
+                },
+                version: {
+                  type: 'integer',
+                  description: 'Bank question version the content matches'
+                },
+                mode: {
+                  type: 'string',
+                  enum: ['linked', 'pinned'],
+                  description: 'Linked copies follow edits of the bank question; pinned copies keep their version'
+                }
+              }
+            }
+          }
+        },
+        QuestionPool: {
+          type: 'object',
+          required: ['count'],
+          description: 'Draws count random questions from the quiz creator\'s question bank that match every filter',
+          properties: {
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 100,
+              example: 5
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Bank questions must have all of these tags',
+              example: ['algebra']
+            },
+            difficulty: {
+              type: 'string',
+              enum: ['easy', 'medium', 'hard']
+            },
+            questionType: {
+              type: 'string',
+              enum: ['single', 'true-false', 'multi-select', 'short-answer']
             }
           }
         },
@@ -138,8 +305,66 @@ const options = {
               items: {
                 $ref: '#/components/schemas/Question'
               },
-              description: 'Array of quiz questions',
-              minItems: 1
+              description: 'Fixed quiz questions, asked first and in order (may be empty when the quiz has question pools)'
+            },
+            questionPools: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/QuestionPool'
+              },
+              description: 'Rules drawing random bank questions each time a room is created',
+              maxItems: 10
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string',
+                maxLength: 30
+              },
+              description: 'Lowercase labels for filtering (max 20)',
+              example: ['geography', 'capitals']
+            },
+            subject: {
+              type: 'string',
+              maxLength: 100,
+              example: 'Geography'
+            },
+            gradeLevel: {
+              type: 'string',
+              enum: ['preschool', 'elementary', 'middle-school', 'high-school', 'university', 'adult']
+            },
+            language: {
+              type: 'string',
+              description: 'Language code such as "en" or "pt-br"',
+              example: 'en'
+            },
+            visibility: {
+              type: 'string',
+              enum: ['private', 'unlisted', 'public'],
+              description: 'Who can open and host the quiz; public quizzes are listed in the catalog',
+              default: 'unlisted'
+            },
+            collaborators: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'IDs of users who can see the answers and edit the quiz'
+            },
+            currentRevision: {
+              type: 'integer',
+              description: 'Number of the latest saved revision of the title and questions'
+            },
+            isArchived: {
+              type: 'boolean',
+              description: 'Hidden from the quiz list while keeping its game history',
+              default: false
+            },
+            archivedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the quiz was archived'
             },
             createdAt: {
               type: 'string',
@@ -155,7 +380,7 @@ const options = {
         },
         Answer: {
           type: 'object',
-          required: ['userId', 'quizId', 'roomCode', 'responses', 'totalQuestions'],
+          required: ['playerId', 'playerName', 'quizId', 'roomCode', 'gameSessionId', 'responses', 'totalQuestions'],
           properties: {
             _id: {
               type: 'string',
@@ -164,9 +389,25 @@ const options = {
             },
             userId: {
               type: 'string',
-              description: 'User ID who submitted the answer',
+              nullable: true,
+              description: 'User ID who submitted the answer (null for guests)',
               example: '507f1f77bcf86cd799439011'
             },
+            isGuest: {
+              type: 'boolean',
+              description: 'Whether the player joined without an account',
+              example: false
+            },
+            playerId: {
+              type: 'string',
+              description: 'In-game player ID',
+              example: 'K3J9X2QA'
+            },
+            playerName: {
+              type: 'string',
+              description: 'Display name used in the game',
+              example: 'John Doe'
+            },
             quizId: {
               type: 'string',
               description: 'Quiz ID',
@@ -177,6 +418,21 @@ const options = {
               description: 'Room code for the quiz session',
               example: 'ABC123'
             },
+            gameSessionId: {
+              type: 'string',
+              description: 'Unique ID of the game played in the room',
+              example: 'Q7ZK2M4P'
+            },
+            hostId: {
+              type: 'string',
+              description: 'User ID of the host who ran the game',
+              example: '507f1f77bcf86cd799439011'
+            },
+            quizRevision: {
+              type: 'integer',
+              nullable: true,
+              description: 'Quiz revision the game was played with'
+            },
             responses: {
               type: 'array',
               items: {
@@ -187,16 +443,32 @@ const options = {
                     description: 'Index of the question',
                     minimum: 0
                   },
+                  questionId: {
+                    type: 'string',
+                    description: 'ID of the question in the quiz'
+                  },
                   answer: {
-                    type: 'integer',
-                    description: 'Selected answer index (0-3)',
-                    minimum: 0,
-                    maximum: 3
+                    oneOf: [
+                      { type: 'integer' },
+                      { type: 'array', items: { type: 'integer' } },
+                      { type: 'string' }
+                    ],
+                    description: 'Selected option index, option indices for multi-select, or text for short answer (-1 for no answer)'
+                  },
+                  optionOrder: {
+                    type: 'array',
+                    items: { type: 'integer' },
+                    description: 'Set when the room shuffled the options: the option index shown at each position'
                   },
                   isCorrect: {
                     type: 'boolean',
                     description: 'Whether the answer is correct'
                   },
+                  pointsAwarded: {
+                    type: 'integer',
+                    description: 'Points earned on this question',
+                    minimum: 0
+                  },
                   timeSpent: {
                     type: 'integer',
                     description: 'Time spent on this question in milliseconds',
@@ -207,7 +479,7 @@ const options = {
             },
             totalScore: {
               type: 'integer',
-              description: 'Total correct answers',
+              description: 'Total points earned',
               minimum: 0
             },
             totalQuestions: {
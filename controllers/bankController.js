@@ -0,0 +1,229 @@
+const questionBankService = require('../services/questionBankService');
+const quizService = require('../services/quizService');
+const richTextService = require('../services/richTextService');
+
+/**
+ * Send the HTTP error matching a failed question bank action
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the question bank service
+ */
+const sendBankError = (res, error) => {
+  if (error.message === 'Bank question not found') {
+    return res.status(404).json({
+      success: false,
+      message: 'Bank question not found'
+    });
+  }
+
+  if (error.message === 'Invalid bank question ID format') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid bank question ID format'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+/**
+ * Format a bank question for its owner
+ * @param {Object} bq - Bank question document
+ * @returns {Object} Bank question for the response
+ */
+const formatBankQuestion = (bq) => ({
+  id: bq._id,
+  questionType: bq.questionType,
+  questionText: bq.questionText,
+  options: bq.options || [],
+  media: bq.media || null,
+  optionMedia: bq.optionMedia || [],
+  correctAnswerIndex: bq.correctAnswerIndex,
+  correctAnswerIndices: bq.correctAnswerIndices,
+  acceptedAnswers: bq.acceptedAnswers,
+  caseSensitive: bq.caseSensitive,
+  explanation: bq.explanation || null,
+  referenceUrl: bq.referenceUrl || null,
+  rich: richTextService.formatQuestion(bq, { withExplanation: true }),
+  timeLimitSeconds: bq.timeLimitSeconds,
+  points: bq.points,
+  difficulty: bq.difficulty || null,
+  tags: bq.tags || [],
+  version: bq.version,
+  createdAt: bq.createdAt,
+  updatedAt: bq.updatedAt
+});
+
+/**
+ * Bank Controller
+ * Handles HTTP requests for the authenticated user's question bank
+ */
+class BankController {
+  /**
+   * Add a question to the bank
+   * POST /api/bank
+   */
+  async createBankQuestion(req, res) {
+    try {
+      const errors = quizService.validateQuestion(req.body, 0);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const bankQuestion = await questionBankService.createBankQuestion(req.user.userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Bank question created successfully',
+        data: formatBankQuestion(bankQuestion)
+      });
+    } catch (error) {
+      console.error('Error creating bank question:', error);
+      sendBankError(res, error);
+    }
+  }
+
+  /**
+   * Search the bank by text and tags
+   * GET /api/bank
+   */
+  async getBankQuestions(req, res) {
+    try {
+      const {
+        q,
+        tags,
+        questionType,
+        difficulty,
+        page = 1,
+        limit = 20
+      } = req.query;
+
+      const result = await questionBankService.listBankQuestions(req.user.userId, {
+        q: q && q.trim(),
+        tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+        questionType,
+        difficulty,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Bank questions retrieved successfully',
+        data: {
+          questions: result.questions.map(formatBankQuestion),
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      console.error('Error listing bank questions:', error);
+      sendBankError(res, error);
+    }
+  }
+
+  /**
+   * Get one bank question
+   * GET /api/bank/:id
+   */
+  async getBankQuestion(req, res) {
+    try {
+      const bankQuestion = await questionBankService.getBankQuestion(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Bank question retrieved successfully',
+        data: formatBankQuestion(bankQuestion)
+      });
+    } catch (error) {
+      console.error('Error getting bank question:', error);
+      sendBankError(res, error);
+    }
+  }
+
+  /**
+   * List the quiz questions copied from a bank question
+   * GET /api/bank/:id/usage
+   */
+  async getUsage(req, res) {
+    try {
+      const bankQuestion = await questionBankService.getBankQuestion(req.params.id, req.user.userId);
+      const usage = await questionBankService.getUsage(bankQuestion);
+
+      res.status(200).json({
+        success: true,
+        message: 'Bank question usage retrieved successfully',
+        data: {
+          version: bankQuestion.version,
+          usage
+        }
+      });
+    } catch (error) {
+      console.error('Error getting bank question usage:', error);
+      sendBankError(res, error);
+    }
+  }
+
+  /**
+   * Replace a bank question and update its linked quiz copies
+   * PUT /api/bank/:id
+   */
+  async updateBankQuestion(req, res) {
+    try {
+      const bankQuestion = await questionBankService.getBankQuestion(req.params.id, req.user.userId);
+
+      const errors = quizService.validateQuestion(req.body, 0);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const result = await questionBankService.updateBankQuestion(bankQuestion, req.body, {
+        propagate: req.body.propagate !== false,
+        userId: req.user.userId
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Bank question updated successfully',
+        data: {
+          question: formatBankQuestion(result.bankQuestion),
+          propagation: result.propagation
+        }
+      });
+    } catch (error) {
+      console.error('Error updating bank question:', error);
+      sendBankError(res, error);
+    }
+  }
+
+  /**
+   * Delete a bank question (quiz copies keep their content)
+   * DELETE /api/bank/:id
+   */
+  async deleteBankQuestion(req, res) {
+    try {
+      const bankQuestion = await questionBankService.getBankQuestion(req.params.id, req.user.userId);
+      await questionBankService.deleteBankQuestion(bankQuestion);
+
+      res.status(200).json({
+        success: true,
+        message: 'Bank question deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting bank question:', error);
+      sendBankError(res, error);
+    }
+  }
+}
+
+module.exports = new BankController();
@@ -0,0 +1,133 @@
+const gameHistoryService = require('../services/gameHistoryService');
+
+/**
+ * Game Controller
+ * Handles HTTP requests for finished game history
+ */
+class GameController {
+  /**
+   * Get games hosted by the authenticated user
+   * GET /api/games/hosted
+   */
+  async getHostedGames(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sortBy = 'completedAt',
+        sortOrder = 'desc'
+      } = req.query;
+
+      const result = await gameHistoryService.getHostedGames(req.user.userId, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sortBy,
+        sortOrder
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Hosted games retrieved successfully',
+        data: {
+          games: result.games.map(game => ({
+            ...game,
+            detailUrl: `/api/games/${game.gameSessionId}`
+          })),
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      console.error('Error getting hosted games:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get games the authenticated user played in
+   * GET /api/games/played
+   */
+  async getPlayedGames(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sortBy = 'completedAt',
+        sortOrder = 'desc'
+      } = req.query;
+
+      const result = await gameHistoryService.getPlayedGames(req.user.userId, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sortBy,
+        sortOrder
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Played games retrieved successfully',
+        data: {
+          games: result.games.map(game => ({
+            ...game,
+            detailUrl: `/api/games/${game.gameSessionId}`
+          })),
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      console.error('Error getting played games:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the final leaderboard and per-question responses of a game
+   * GET /api/games/:gameSessionId
+   */
+  async getGameDetail(req, res) {
+    try {
+      const { gameSessionId } = req.params;
+
+      const game = await gameHistoryService.getGameDetail(gameSessionId, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Game retrieved successfully',
+        data: {
+          game
+        }
+      });
+    } catch (error) {
+      console.error('Error getting game detail:', error);
+
+      if (error.message === 'Game not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Game not found'
+        });
+      }
+
+      if (error.message === 'Access denied') {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view games you hosted or played in'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new GameController();
@@ -0,0 +1,121 @@
+const libraryArchiveService = require('../services/libraryArchiveService');
+
+// Archive problems the client can fix by uploading another file
+const ARCHIVE_ERRORS = [
+  'No file uploaded',
+  'Archive is not valid JSON',
+  'Not a quiz library archive',
+  'Unsupported archive version'
+];
+
+/**
+ * Send the HTTP error matching a failed library restore
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the library archive service
+ */
+const sendLibraryError = (res, error) => {
+  if (ARCHIVE_ERRORS.includes(error.message)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+/**
+ * Write a chunk to the response, waiting when the client reads slower than the archive is written
+ * @param {Object} res - Express response
+ * @param {string} chunk - Text to send
+ * @returns {Promise<void>} Rejects when the client goes away
+ */
+const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    return reject(new Error('Client closed the connection'));
+  }
+  if (res.write(chunk)) {
+    return resolve();
+  }
+
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    reject(new Error('Client closed the connection'));
+  };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+/**
+ * Library Controller
+ * Handles HTTP requests for backing up and restoring the authenticated user's library
+ */
+class LibraryController {
+  /**
+   * Download the user's library as a JSON archive
+   * GET /api/library/export
+   */
+  async exportLibrary(req, res) {
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+      res.attachment(`quiz-library-${date}.json`);
+      res.type('application/json');
+      res.status(200);
+
+      await libraryArchiveService.writeArchive(
+        req.user.userId,
+        { includeResults: req.query.includeResults === true },
+        chunk => writeChunk(res, chunk)
+      );
+      res.end();
+    } catch (error) {
+      console.error('Error exporting library:', error);
+      // Once the archive has started the status is sent; cutting the download off marks it as failed
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Restore a library archive into the user's account
+   * POST /api/library/restore
+   */
+  async restoreLibrary(req, res) {
+    try {
+      const result = await libraryArchiveService.restoreArchive(req.file, req.user.userId, {
+        duplicates: req.body.duplicates || 'skip',
+        dryRun: req.body.dryRun === true
+      });
+
+      const restored = result.quizzes.restored.length;
+      const total = restored + result.quizzes.duplicates.length + result.quizzes.failed.length;
+      res.status(result.dryRun ? 200 : 201).json({
+        success: true,
+        message: result.dryRun
+          ? `${restored} of ${total} quizzes can be restored`
+          : `Restored ${restored} of ${total} quizzes`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error restoring library:', error);
+      sendLibraryError(res, error);
+    }
+  }
+}
+
+module.exports = new LibraryController();
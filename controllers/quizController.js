@@ -1,4 +1,297 @@
 const quizService = require('../services/quizService');
+const mediaService = require('../services/mediaService');
+const richTextService = require('../services/richTextService');
+const quizRevisionService = require('../services/quizRevisionService');
+const questionBankService = require('../services/questionBankService');
+const questionPoolService = require('../services/questionPoolService');
+const quizImportService = require('../services/quizImportService');
+const printService = require('../services/printService');
+
+/**
+ * Read the metadata filters from the query string
+ * @param {Object} query - Express req.query
+ * @returns {Object} { tags, subject, gradeLevel, language, difficulty }
+ */
+const parseMetadataFilters = (query) => ({
+  tags: query.tags ? query.tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+  subject: query.subject && query.subject.trim(),
+  gradeLevel: query.gradeLevel,
+  language: query.language,
+  difficulty: query.difficulty
+});
+
+/**
+ * Pick the metadata fields of a quiz for a response
+ * @param {Object} quiz - Quiz document
+ * @returns {Object} { tags, subject, gradeLevel, language }
+ */
+const formatMetadata = (quiz) => ({
+  tags: quiz.tags || [],
+  subject: quiz.subject || null,
+  gradeLevel: quiz.gradeLevel || null,
+  language: quiz.language || null
+});
+
+/**
+ * Send the response for a failed quiz action
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the quiz service
+ */
+const sendQuizError = (res, error) => {
+  if (error.message === 'Quiz not found') {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz not found'
+    });
+  }
+
+  if (error.message === 'Invalid quiz ID format') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid quiz ID format'
+    });
+  }
+
+  if (error.message === 'Quiz was changed by someone else') {
+    return res.status(409).json({
+      success: false,
+      message: 'Quiz was changed by someone else; reload it and try again'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+/**
+ * Send the HTTP error matching a failed question edit
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the quiz service
+ */
+const sendQuestionError = (res, error) => {
+  if (error.message === 'Question not found' || error.message === 'Bank question not found') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message === 'Quiz must have at least one question'
+    || error.message === 'Question order must list every question of the quiz once'
+    || error.message === 'Question is not from the question bank'
+    || error.message === 'Invalid bank question ID format') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  sendQuizError(res, error);
+};
+
+/**
+ * Read the revision the client last saw (body or query string)
+ * @param {Object} req - Express request
+ * @returns {number|undefined} Expected revision, or undefined when not sent
+ */
+const parseExpectedRevision = (req) => {
+  const value = req.body && req.body.revision !== undefined
+    ? req.body.revision
+    : req.query.revision;
+  return value === undefined || value === '' ? undefined : Number(value);
+};
+
+/**
+ * Format a question with its correct answers for the quiz's editors
+ * @param {Object} q - Question document
+ * @returns {Object} Question for the response
+ */
+const formatQuestionWithAnswers = (q) => ({
+  id: q._id,
+  questionType: q.questionType,
+  questionText: q.questionText,
+  options: q.options || [],
+  media: q.media || null,
+  optionMedia: q.optionMedia || [],
+  correctAnswerIndex: q.correctAnswerIndex,
+  correctAnswerIndices: q.correctAnswerIndices,
+  acceptedAnswers: q.acceptedAnswers,
+  caseSensitive: q.caseSensitive,
+  explanation: q.explanation || null,
+  referenceUrl: q.referenceUrl || null,
+  rich: richTextService.formatQuestion(q, { withExplanation: true }),
+  timeLimitSeconds: q.timeLimitSeconds,
+  points: q.points,
+  difficulty: q.difficulty || null,
+  bankRef: q.bankRef || null
+});
+
+/**
+ * Send the HTTP error matching a media upload or attachment failure
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the media service
+ */
+const sendMediaError = (res, error) => {
+  if (error.message === 'No file uploaded' || error.message === 'Invalid option index') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message === 'Unsupported media type') {
+    return res.status(415).json({
+      success: false,
+      message: 'Unsupported media type (use JPEG, PNG, GIF or WebP images, MP3, WAV, OGG, M4A, AAC or WebM audio, or MP4, WebM or OGG video)'
+    });
+  }
+
+  if (error.message === 'File content does not match its type') {
+    return res.status(415).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message === 'File too large') {
+    return res.status(413).json({
+      success: false,
+      message: `File too large (limits: ${mediaService.describeLimits()})`
+    });
+  }
+
+  if (error.message === 'Question not found' || error.message === 'Media not found') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  sendQuizError(res, error);
+};
+
+/**
+ * Send the HTTP error matching a failed quiz import
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the quiz import service
+ */
+const sendImportError = (res, error) => {
+  const messages = {
+    'No file uploaded': 'No file uploaded',
+    'Import file must be text': 'Import file must be CSV, TSV, GIFT or Aiken text, or a QTI zip package (save spreadsheets as CSV first)',
+    'Unsupported import format': 'Unsupported import format',
+    'Import file has no rows': 'Import file has no rows',
+    'Import file has no question column': 'Import file needs a header row with a "question" column',
+    'Import file has an unclosed quote': 'Import file has a quoted cell that is never closed',
+    'Import file has too many rows': `Import file has more than ${quizImportService.MAX_IMPORT_ROWS} question rows`,
+    'Import file has too many quizzes': `Import file has more than ${quizImportService.MAX_IMPORT_QUIZZES} quizzes`,
+    'Import file is not a valid zip archive': 'Import file is not a valid zip archive',
+    'Zip archive is too large to unpack': 'Zip archive is too large to unpack',
+    'Zip archive uses unsupported compression or encryption': 'Zip archive uses unsupported compression or encryption',
+    'QTI package has no manifest': 'Zip files must be QTI 2.1 packages with an imsmanifest.xml (save spreadsheets as CSV first)',
+    'QTI package has no QTI 2.1 items': 'QTI package has no QTI 2.1 items (only QTI 2.1 packages can be imported)',
+    'QTI package has invalid XML': 'QTI package has a manifest or test that is not valid XML',
+    'QTI package is missing a file its manifest lists': 'QTI package is missing a file its manifest lists'
+  };
+
+  if (messages[error.message]) {
+    return res.status(400).json({
+      success: false,
+      message: messages[error.message]
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+/**
+ * Build a download file name from a quiz title
+ * @param {string} title - Quiz title
+ * @param {string} suffix - Text after the title, such as "gift.txt" or "qti.zip"
+ * @returns {string} File name
+ */
+const toFileName = (title, suffix) => {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  return `${slug || 'quiz'}-${suffix}`;
+};
+
+/**
+ * Read the optional option index of a media request (multipart body or query string)
+ * @param {Object} req - Express request
+ * @returns {number|undefined} Option index, or undefined for the question itself
+ */
+const parseOptionIndex = (req) => {
+  const value = req.body && req.body.optionIndex !== undefined && req.body.optionIndex !== ''
+    ? req.body.optionIndex
+    : req.query.optionIndex;
+  return value === undefined || value === '' ? undefined : Number(value);
+};
+
+/**
+ * Send the HTTP error matching a revision lookup or rollback failure
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the quiz or revision service
+ */
+const sendRevisionError = (res, error) => {
+  if (error.message === 'Revision not found') {
+    return res.status(404).json({
+      success: false,
+      message: 'Revision not found'
+    });
+  }
+
+  if (error.message === 'Quiz is already at this revision'
+    || error.message === 'Cannot restore an incomplete revision into a published quiz') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  sendQuizError(res, error);
+};
+
+/**
+ * Archive or restore the quiz loaded by the quiz access middleware
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} archived - True to archive, false to restore
+ */
+const setQuizArchived = async (req, res, archived) => {
+  try {
+    const quiz = req.quiz;
+    const updatedQuiz = await quizService.setArchived(quiz._id, archived);
+
+    res.status(200).json({
+      success: true,
+      message: archived ? 'Quiz archived successfully' : 'Quiz restored successfully',
+      data: {
+        quiz: {
+          id: updatedQuiz._id,
+          title: updatedQuiz.title,
+          isArchived: updatedQuiz.isArchived,
+          archivedAt: updatedQuiz.archivedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error(`Error ${archived ? 'archiving' : 'restoring'} quiz:`, error);
+    sendQuizError(res, error);
+  }
+};
 
 /**
  * Quiz Controller
@@ -11,8 +304,9 @@ class QuizController {
    */
   async createQuiz(req, res) {
     try {
-      // Validate input data
-      const validation = quizService.validateQuizData(req.body);
+      // Drafts can be saved unfinished; they are fully checked when published
+      const status = req.body.status || 'published';
+      const validation = quizService.validateQuizData(req.body, { draft: status === 'draft' });
       if (!validation.isValid) {
         return res.status(400).json({
           success: false,
@@ -24,7 +318,10 @@ class QuizController {
       // Create the quiz with creator info
       const quizData = {
         ...req.body,
-        creator: req.user.userId
+        questions: quizService.keepKnownBankRefs(req.body.questions),
+        status,
+        creator: req.user.userId,
+        collaborators: []
       };
       const quiz = await quizService.createQuiz(quizData);
 
@@ -37,6 +334,8 @@ class QuizController {
             title: quiz.title,
             authorName: quiz.authorName,
             questionsCount: quiz.questions.length,
+            visibility: quiz.visibility,
+            status: quiz.status,
             createdAt: quiz.createdAt
           }
         }
@@ -52,23 +351,58 @@ class QuizController {
   }
 
   /**
-   * Update an existing quiz
-   * PUT /api/quizzes/:id
+   * Create quizzes from a CSV, TSV, GIFT or Aiken file or a QTI package
+   * Rows that fail validation are reported and skipped; the others are imported.
+   * POST /api/quizzes/import
    */
-  async updateQuiz(req, res) {
+  async importQuizzes(req, res) {
     try {
-      const { id } = req.params;
-      const userId = req.user.userId;
+      const result = await quizImportService.importQuizzes(req.file, {
+        format: req.body.format,
+        title: req.body.title,
+        status: req.body.status || 'draft',
+        dryRun: req.body.dryRun === true,
+        userId: req.user.userId
+      });
 
-      if (!id) {
+      if (result.quizzes.length === 0) {
         return res.status(400).json({
           success: false,
-          message: 'Quiz ID is required'
+          message: 'No questions could be imported',
+          data: result
         });
       }
 
-      // Validate input data
-      const validation = quizService.validateQuizData(req.body);
+      res.status(result.dryRun ? 200 : 201).json({
+        success: true,
+        message: result.dryRun
+          ? `${result.importedRows} of ${result.totalRows} rows can be imported`
+          : `Imported ${result.importedRows} of ${result.totalRows} rows`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error importing quizzes:', error);
+      sendImportError(res, error);
+    }
+  }
+
+  /**
+   * Update an existing quiz
+   * PUT /api/quizzes/:id
+   */
+  async updateQuiz(req, res) {
+    try {
+      // Quiz loaded and access checked by requireQuizEditor
+      const id = req.quiz._id;
+
+      // Published quizzes (and drafts being published) get the full checks
+      const currentStatus = quizService.isPublished(req.quiz) ? 'published' : 'draft';
+      const status = req.body.status || currentStatus;
+      // Pools left out of the request stay as they are, so the questions are checked against them
+      const quizData = req.body.questionPools === undefined
+        ? { ...req.body, questionPools: (req.quiz.questionPools || []).map(pool => pool.toObject()) }
+        : req.body;
+      const validation = quizService.validateQuizData(quizData, { draft: status === 'draft' });
       if (!validation.isValid) {
         return res.status(400).json({
           success: false,
@@ -77,29 +411,44 @@ class QuizController {
         });
       }
 
-      // Check if quiz exists and belongs to the user
-      const existingQuiz = await quizService.getQuizById(id);
-      
-      // Convert both to strings for comparison
-      const creatorId = existingQuiz.creator.toString();
-      const userIdStr = userId.toString();
-      
-      if (creatorId !== userIdStr) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only update your own quizzes'
-        });
-      }
-
       // Update the quiz (excluding id and creator)
       const updateData = {
         title: req.body.title,
         authorName: req.body.authorName,
-        questions: req.body.questions,
+        questions: quizService.keepKnownBankRefs(req.body.questions, req.quiz),
+        subject: req.body.subject,
+        gradeLevel: req.body.gradeLevel,
+        language: req.body.language,
+        status,
         updatedAt: new Date()
       };
 
-      const updatedQuiz = await quizService.updateQuiz(id, updateData);
+      // Left out, pools and tags are kept; an empty array clears them
+      if (req.body.questionPools !== undefined) {
+        updateData.questionPools = req.body.questionPools || [];
+      }
+      if (req.body.tags !== undefined) {
+        updateData.tags = req.body.tags || [];
+      }
+
+      if (status !== currentStatus) {
+        updateData.publishedAt = status === 'published' ? new Date() : null;
+      }
+
+      if (req.body.visibility !== undefined && req.body.visibility !== req.quiz.visibility) {
+        if (!quizService.isOwner(req.quiz, req.user.userId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only the quiz creator can change its visibility'
+          });
+        }
+        updateData.visibility = req.body.visibility;
+      }
+
+      const updatedQuiz = await quizService.updateQuiz(id, updateData, {
+        userId: req.user.userId,
+        expectedRevision: parseExpectedRevision(req)
+      });
 
       res.status(200).json({
         success: true,
@@ -110,6 +459,10 @@ class QuizController {
             title: updatedQuiz.title,
             authorName: updatedQuiz.authorName,
             questionsCount: updatedQuiz.questions.length,
+            visibility: updatedQuiz.visibility,
+            status: updatedQuiz.status,
+            publishedAt: updatedQuiz.publishedAt,
+            currentRevision: updatedQuiz.currentRevision,
             createdAt: updatedQuiz.createdAt,
             updatedAt: updatedQuiz.updatedAt
           }
@@ -117,26 +470,7 @@ class QuizController {
       });
     } catch (error) {
       console.error('Error updating quiz:', error);
-      
-      if (error.message === 'Quiz not found') {
-        return res.status(404).json({
-          success: false,
-          message: 'Quiz not found'
-        });
-      }
-
-      if (error.message === 'Invalid quiz ID format') {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid quiz ID format'
-        });
-      }
-
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
-      });
+      sendQuizError(res, error);
     }
   }
 
@@ -157,6 +491,14 @@ class QuizController {
 
       const quiz = await quizService.getQuizById(id);
 
+      // Private quizzes look missing to everyone but the creator and collaborators
+      if (!quizService.canView(quiz, req.user && req.user.userId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found'
+        });
+      }
+
       res.status(200).json({
         success: true,
         message: 'Quiz retrieved successfully',
@@ -167,11 +509,18 @@ class QuizController {
             authorName: quiz.authorName,
             questions: quiz.questions.map(q => ({
               id: q._id,
+              questionType: q.questionType,
               questionText: q.questionText,
-              options: q.options,
-              // Note: We don't expose the correct answer index in the response
-              // This would be handled differently in a real game scenario
+              options: q.options || [],
+              ...mediaService.formatQuestionMedia(q),
+              rich: richTextService.formatQuestion(q),
+              timeLimitSeconds: q.timeLimitSeconds,
+              points: q.points,
+              difficulty: q.difficulty || null
+              // Correct answers are only exposed through GET /:id/answers
             })),
+            ...formatMetadata(quiz),
+            visibility: quiz.visibility,
             createdAt: quiz.createdAt,
             updatedAt: quiz.updatedAt
           }
@@ -213,7 +562,9 @@ class QuizController {
         limit = 10,
         sortBy = 'createdAt',
         sortOrder = 'desc',
-        search
+        search,
+        archived,
+        status
       } = req.query;
 
       const userId = req.user.userId; // Get user ID from authenticated token
@@ -225,14 +576,20 @@ class QuizController {
           page: parseInt(page),
           limit: parseInt(limit),
           sortBy,
-          sortOrder
+          sortOrder,
+          archived: archived === 'true',
+          status,
+          filters: parseMetadataFilters(req.query)
         });
       } else {
         result = await quizService.getAllQuizzes(userId, {
           page: parseInt(page),
           limit: parseInt(limit),
           sortBy,
-          sortOrder
+          sortOrder,
+          archived: archived === 'true',
+          status,
+          filters: parseMetadataFilters(req.query)
         });
       }
 
@@ -242,6 +599,10 @@ class QuizController {
         title: quiz.title,
         authorName: quiz.authorName,
         questionsCount: quiz.questions.length,
+        ...formatMetadata(quiz),
+        visibility: quiz.visibility,
+        status: quiz.status || 'published',
+        isArchived: quiz.isArchived,
         createdAt: quiz.createdAt,
         updatedAt: quiz.updatedAt
       }));
@@ -265,22 +626,129 @@ class QuizController {
     }
   }
 
+  /**
+   * Browse public quizzes from every creator
+   * GET /api/quizzes/catalog
+   */
+  async getCatalog(req, res) {
+    try {
+      const {
+        q,
+        authorName,
+        minQuestions,
+        maxQuestions,
+        questionType,
+        page = 1,
+        limit = 10,
+        sortBy,
+        sortOrder = 'desc'
+      } = req.query;
+
+      const result = await quizService.getCatalog({
+        filters: parseMetadataFilters(req.query),
+        q: q && q.trim(),
+        authorName: authorName && authorName.trim(),
+        minQuestions: minQuestions !== undefined ? parseInt(minQuestions) : undefined,
+        maxQuestions: maxQuestions !== undefined ? parseInt(maxQuestions) : undefined,
+        questionType,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sortBy,
+        sortOrder
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Quiz catalog retrieved successfully',
+        data: {
+          quizzes: result.quizzes.map(quiz => ({
+            id: quiz._id,
+            title: quiz.title,
+            authorName: quiz.authorName,
+            questionsCount: quiz.questions.length,
+            ...formatMetadata(quiz),
+            ...(quiz.get('score') !== undefined && { relevance: quiz.get('score') }),
+            createdAt: quiz.createdAt,
+            updatedAt: quiz.updatedAt
+          })),
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      console.error('Error getting quiz catalog:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Count the authenticated user's quizzes per tag, subject, grade level, language and difficulty
+   * GET /api/quizzes/facets
+   */
+  async getFacets(req, res) {
+    try {
+      const facets = await quizService.getFacets(
+        { creator: req.user.userId, isArchived: req.query.archived === 'true' ? true : { $ne: true } },
+        parseMetadataFilters(req.query)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Quiz facets retrieved successfully',
+        data: {
+          facets
+        }
+      });
+    } catch (error) {
+      console.error('Error getting quiz facets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Count public quizzes per tag, subject, grade level, language and difficulty
+   * GET /api/quizzes/catalog/facets
+   */
+  async getCatalogFacets(req, res) {
+    try {
+      const facets = await quizService.getFacets(
+        quizService.getCatalogQuery(),
+        parseMetadataFilters(req.query)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Catalog facets retrieved successfully',
+        data: {
+          facets
+        }
+      });
+    } catch (error) {
+      console.error('Error getting catalog facets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get quiz with answers (for admin/author purposes)
    * GET /api/quizzes/:id/answers
    */
   async getQuizWithAnswers(req, res) {
     try {
-      const { id } = req.params;
-
-      if (!id) {
-        return res.status(400).json({
-          success: false,
-          message: 'Quiz ID is required'
-        });
-      }
-
-      const quiz = await quizService.getQuizById(id);
+      // Only the creator and collaborators get here (requireQuizEditor)
+      const quiz = req.quiz;
+      const isOwner = quizService.isOwner(quiz, req.user.userId);
 
       res.status(200).json({
         success: true,
@@ -290,12 +758,14 @@ class QuizController {
             id: quiz._id,
             title: quiz.title,
             authorName: quiz.authorName,
-            questions: quiz.questions.map(q => ({
-              id: q._id,
-              questionText: q.questionText,
-              options: q.options,
-              correctAnswerIndex: q.correctAnswerIndex
-            })),
+            questions: quiz.questions.map(formatQuestionWithAnswers),
+            questionPools: quiz.questionPools || [],
+            ...formatMetadata(quiz),
+            visibility: quiz.visibility,
+            status: quiz.status || 'published',
+            publishedAt: quiz.publishedAt || null,
+            access: isOwner ? 'owner' : 'collaborator',
+            currentRevision: quiz.currentRevision,
             createdAt: quiz.createdAt,
             updatedAt: quiz.updatedAt
           }
@@ -326,6 +796,673 @@ class QuizController {
     }
   }
 
+  /**
+   * Delete a quiz
+   * DELETE /api/quizzes/:id
+   */
+  async deleteQuiz(req, res) {
+    try {
+      const quiz = req.quiz;
+      await quizService.deleteQuiz(quiz._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Quiz deleted successfully',
+        data: {
+          quiz: {
+            id: quiz._id,
+            title: quiz.title
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error deleting quiz:', error);
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * Create a copy of a quiz the authenticated user can edit
+   * The copy belongs to the caller and is not shared with anyone.
+   * POST /api/quizzes/:id/duplicate
+   */
+  async duplicateQuiz(req, res) {
+    try {
+      const quiz = req.quiz;
+      const copy = await quizService.duplicateQuiz(quiz, req.user.userId, {
+        title: req.body.title
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Quiz duplicated successfully',
+        data: {
+          quiz: {
+            id: copy._id,
+            title: copy.title,
+            authorName: copy.authorName,
+            questionsCount: copy.questions.length,
+            duplicatedFrom: quiz._id,
+            createdAt: copy.createdAt
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error duplicating quiz:', error);
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * List the users a quiz is shared with
+   * GET /api/quizzes/:id/collaborators
+   */
+  async getCollaborators(req, res) {
+    try {
+      const collaborators = await quizService.getCollaborators(req.quiz);
+
+      res.status(200).json({
+        success: true,
+        message: 'Collaborators retrieved successfully',
+        data: {
+          collaborators
+        }
+      });
+    } catch (error) {
+      console.error('Error getting collaborators:', error);
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * Share a quiz with another user by email
+   * POST /api/quizzes/:id/collaborators
+   */
+  async addCollaborator(req, res) {
+    try {
+      const collaborator = await quizService.addCollaborator(req.quiz, req.body.email);
+
+      res.status(200).json({
+        success: true,
+        message: 'Quiz shared successfully',
+        data: {
+          collaborator
+        }
+      });
+    } catch (error) {
+      console.error('Error sharing quiz:', error);
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'No user with that email'
+        });
+      }
+
+      if (error.message === 'Cannot share a quiz with its creator') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * Stop sharing a quiz with a user
+   * DELETE /api/quizzes/:id/collaborators/:userId
+   */
+  async removeCollaborator(req, res) {
+    try {
+      await quizService.removeCollaborator(req.quiz, req.params.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Collaborator removed successfully'
+      });
+    } catch (error) {
+      console.error('Error removing collaborator:', error);
+
+      if (error.message === 'Collaborator not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Collaborator not found'
+        });
+      }
+
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * Archive a quiz
+   * POST /api/quizzes/:id/archive
+   */
+  async archiveQuiz(req, res) {
+    return setQuizArchived(req, res, true);
+  }
+
+  /**
+   * Restore an archived quiz
+   * POST /api/quizzes/:id/unarchive
+   */
+  async unarchiveQuiz(req, res) {
+    return setQuizArchived(req, res, false);
+  }
+
+  /**
+   * Publish a quiz after checking that every question is complete
+   * POST /api/quizzes/:id/publish
+   */
+  async publishQuiz(req, res) {
+    try {
+      const quiz = req.quiz;
+
+      const validation = quizService.validateQuizData(quiz.toObject());
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quiz is not ready to publish',
+          errors: validation.errors
+        });
+      }
+
+      const updatedQuiz = await quizService.setStatus(quiz._id, 'published');
+
+      res.status(200).json({
+        success: true,
+        message: 'Quiz published successfully',
+        data: {
+          quiz: {
+            id: updatedQuiz._id,
+            title: updatedQuiz.title,
+            status: updatedQuiz.status,
+            publishedAt: updatedQuiz.publishedAt
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error publishing quiz:', error);
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * Turn a quiz back into a draft so it can no longer be hosted
+   * POST /api/quizzes/:id/unpublish
+   */
+  async unpublishQuiz(req, res) {
+    try {
+      const updatedQuiz = await quizService.setStatus(req.quiz._id, 'draft');
+
+      res.status(200).json({
+        success: true,
+        message: 'Quiz moved back to draft',
+        data: {
+          quiz: {
+            id: updatedQuiz._id,
+            title: updatedQuiz.title,
+            status: updatedQuiz.status,
+            publishedAt: updatedQuiz.publishedAt
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error unpublishing quiz:', error);
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * List the saved revisions of a quiz, newest first
+   * GET /api/quizzes/:id/revisions
+   */
+  async getRevisions(req, res) {
+    try {
+      const quiz = req.quiz;
+      const { page = 1, limit = 20 } = req.query;
+      await quizRevisionService.ensureRevision(quiz, req.user.userId);
+      const result = await quizRevisionService.listRevisions(quiz._id, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: 'Revisions retrieved successfully',
+        data: {
+          currentRevision: quiz.currentRevision,
+          ...result
+        }
+      });
+    } catch (error) {
+      console.error('Error getting revisions:', error);
+      sendRevisionError(res, error);
+    }
+  }
+
+  /**
+   * Get the title and questions (with answers) of one revision
+   * GET /api/quizzes/:id/revisions/:revision
+   */
+  async getRevision(req, res) {
+    try {
+      const revision = await quizRevisionService.getRevision(req.quiz._id, parseInt(req.params.revision));
+
+      res.status(200).json({
+        success: true,
+        message: 'Revision retrieved successfully',
+        data: {
+          revision: {
+            revision: revision.revision,
+            title: revision.title,
+            status: revision.status || 'published',
+            reason: revision.reason,
+            restoredFrom: revision.restoredFrom,
+            createdBy: revision.createdBy,
+            createdAt: revision.createdAt,
+            questions: revision.questions,
+            questionPools: revision.questionPools || []
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error getting revision:', error);
+      sendRevisionError(res, error);
+    }
+  }
+
+  /**
+   * Compare two revisions (defaults to the current revision and the one before it)
+   * GET /api/quizzes/:id/revisions/diff?from=&to=
+   */
+  async diffRevisions(req, res) {
+    try {
+      const quiz = req.quiz;
+      await quizRevisionService.ensureRevision(quiz, req.user.userId);
+
+      const to = req.query.to ? parseInt(req.query.to) : quiz.currentRevision;
+      const from = req.query.from ? parseInt(req.query.from) : Math.max(to - 1, 1);
+
+      const [fromRevision, toRevision] = await Promise.all([
+        quizRevisionService.getRevision(quiz._id, from),
+        quizRevisionService.getRevision(quiz._id, to)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        message: 'Revisions compared successfully',
+        data: {
+          diff: quizRevisionService.diffRevisions(fromRevision, toRevision)
+        }
+      });
+    } catch (error) {
+      console.error('Error comparing revisions:', error);
+      sendRevisionError(res, error);
+    }
+  }
+
+  /**
+   * Restore the title and questions of an earlier revision as a new revision
+   * POST /api/quizzes/:id/revisions/:revision/rollback
+   */
+  async rollbackQuiz(req, res) {
+    try {
+      const revision = parseInt(req.params.revision);
+      const quiz = await quizService.rollbackQuiz(req.quiz, revision, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: `Quiz rolled back to revision ${revision}`,
+        data: {
+          quiz: {
+            id: quiz._id,
+            title: quiz.title,
+            questionsCount: quiz.questions.length,
+            currentRevision: quiz.currentRevision,
+            restoredFrom: revision,
+            updatedAt: quiz.updatedAt
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error rolling back quiz:', error);
+      sendRevisionError(res, error);
+    }
+  }
+
+  /**
+   * Add a question to a quiz
+   * POST /api/quizzes/:id/questions
+   */
+  async addQuestion(req, res) {
+    try {
+      const quiz = req.quiz;
+      const { question, position } = req.body;
+      const index = position === undefined ? quiz.questions.length : Math.min(position, quiz.questions.length);
+
+      const errors = quizService.validateQuestion(question, index, { draft: !quizService.isPublished(quiz) });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const result = await quizService.addQuestion(quiz, { ...question, bankRef: null }, {
+        position,
+        expectedRevision: parseExpectedRevision(req),
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Question added successfully',
+        data: {
+          question: formatQuestionWithAnswers(result.question),
+          position: index,
+          questionsCount: result.quiz.questions.length,
+          currentRevision: result.quiz.currentRevision
+        }
+      });
+    } catch (error) {
+      console.error('Error adding question:', error);
+      sendQuestionError(res, error);
+    }
+  }
+
+  /**
+   * Replace one question, keeping its ID and position
+   * PUT /api/quizzes/:id/questions/:questionId
+   */
+  async updateQuestion(req, res) {
+    try {
+      const quiz = req.quiz;
+      const index = quizService.findQuestionIndex(quiz, req.params.questionId);
+
+      const errors = quizService.validateQuestion(req.body.question, index, { draft: !quizService.isPublished(quiz) });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const result = await quizService.updateQuestion(quiz, req.params.questionId, req.body.question, {
+        expectedRevision: parseExpectedRevision(req),
+        userId: req.user.userId
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Question updated successfully',
+        data: {
+          question: formatQuestionWithAnswers(result.question),
+          position: index,
+          currentRevision: result.quiz.currentRevision
+        }
+      });
+    } catch (error) {
+      console.error('Error updating question:', error);
+      sendQuestionError(res, error);
+    }
+  }
+
+  /**
+   * Check the quiz's question pools against its creator's question bank
+   * GET /api/quizzes/:id/pools
+   */
+  async getQuestionPools(req, res) {
+    try {
+      const quiz = req.quiz;
+      const pools = await questionPoolService.getAvailability(quiz);
+
+      res.status(200).json({
+        success: true,
+        message: 'Question pools retrieved successfully',
+        data: {
+          fixedQuestionsCount: quiz.questions.length,
+          pooledQuestionsCount: pools.reduce((sum, pool) => sum + pool.count, 0),
+          pools,
+          isReady: pools.every(pool => pool.isSatisfied)
+        }
+      });
+    } catch (error) {
+      console.error('Error checking question pools:', error);
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * Download a quiz as a GIFT or Aiken text file or a QTI package
+   * Questions the format can't hold are left out and listed in the X-Skipped-Questions header.
+   * GET /api/quizzes/:id/export?format=gift
+   */
+  async exportQuiz(req, res) {
+    try {
+      const format = req.query.format;
+      const { content, skipped, fileExtension } = quizService.exportQuiz(req.quiz, format);
+
+      if (req.quiz.questions.length > 0 && skipped.length === req.quiz.questions.length) {
+        return res.status(400).json({
+          success: false,
+          message: `None of the questions can be exported as ${format}`,
+          data: { skipped }
+        });
+      }
+
+      if (skipped.length > 0) {
+        res.set('X-Skipped-Questions', skipped.map(question => question.questionIndex + 1).join(','));
+      }
+
+      res.attachment(toFileName(req.quiz.title, fileExtension));
+      res.status(200).send(content);
+    } catch (error) {
+      console.error('Error exporting quiz:', error);
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * Render a quiz as a printable paper version with answer keys
+   * GET /api/quizzes/:id/print
+   */
+  async printQuiz(req, res) {
+    try {
+      const variants = req.query.variants || 1;
+      // Variants only differ when shuffled, so shuffling is the default for more than one
+      const html = await printService.renderQuiz(req.quiz, {
+        variants,
+        shuffleQuestions: req.query.shuffleQuestions === undefined ? variants > 1 : req.query.shuffleQuestions,
+        shuffleOptions: req.query.shuffleOptions === undefined ? variants > 1 : req.query.shuffleOptions,
+        answerKey: req.query.answerKey !== false,
+        baseUrl: `${req.protocol}://${req.get('host')}`
+      });
+
+      res.attachment(toFileName(req.quiz.title, 'print.html'));
+      res.status(200).send(html);
+    } catch (error) {
+      console.error('Error printing quiz:', error);
+      if (error.message === 'Quiz has no questions to print' || error.message.startsWith('Question pool ')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      sendQuizError(res, error);
+    }
+  }
+
+  /**
+   * Add a copy of one of the user's bank questions to a quiz
+   * POST /api/quizzes/:id/questions/bank
+   */
+  async addBankQuestion(req, res) {
+    try {
+      const quiz = req.quiz;
+      const { bankQuestionId, position, mode = 'linked' } = req.body;
+      const index = position === undefined ? quiz.questions.length : Math.min(position, quiz.questions.length);
+
+      const bankQuestion = await questionBankService.getBankQuestion(bankQuestionId, req.user.userId);
+      const result = await quizService.addQuestion(quiz, questionBankService.toQuizQuestion(bankQuestion, mode), {
+        position,
+        expectedRevision: parseExpectedRevision(req),
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Bank question added successfully',
+        data: {
+          question: formatQuestionWithAnswers(result.question),
+          position: index,
+          questionsCount: result.quiz.questions.length,
+          currentRevision: result.quiz.currentRevision
+        }
+      });
+    } catch (error) {
+      console.error('Error adding bank question:', error);
+      sendQuestionError(res, error);
+    }
+  }
+
+  /**
+   * Link, pin or sync a question copied from the question bank
+   * PUT /api/quizzes/:id/questions/:questionId/bank
+   */
+  async setQuestionBankLink(req, res) {
+    try {
+      const result = await questionBankService.setLink(req.quiz, req.params.questionId, {
+        mode: req.body.mode,
+        sync: req.body.sync === true
+      }, {
+        expectedRevision: parseExpectedRevision(req),
+        userId: req.user.userId
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Question bank link updated successfully',
+        data: {
+          question: formatQuestionWithAnswers(result.question),
+          currentRevision: result.quiz.currentRevision
+        }
+      });
+    } catch (error) {
+      console.error('Error updating question bank link:', error);
+      sendQuestionError(res, error);
+    }
+  }
+
+  /**
+   * Remove one question
+   * DELETE /api/quizzes/:id/questions/:questionId?revision=
+   */
+  async deleteQuestion(req, res) {
+    try {
+      const updatedQuiz = await quizService.deleteQuestion(req.quiz, req.params.questionId, {
+        expectedRevision: parseExpectedRevision(req),
+        userId: req.user.userId
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Question deleted successfully',
+        data: {
+          questionId: req.params.questionId,
+          questionsCount: updatedQuiz.questions.length,
+          currentRevision: updatedQuiz.currentRevision
+        }
+      });
+    } catch (error) {
+      console.error('Error deleting question:', error);
+      sendQuestionError(res, error);
+    }
+  }
+
+  /**
+   * Put the questions in a new order
+   * PUT /api/quizzes/:id/questions/order
+   */
+  async reorderQuestions(req, res) {
+    try {
+      const updatedQuiz = await quizService.reorderQuestions(req.quiz, req.body.questionIds, {
+        expectedRevision: parseExpectedRevision(req),
+        userId: req.user.userId
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Questions reordered successfully',
+        data: {
+          questionIds: updatedQuiz.questions.map(q => q._id),
+          currentRevision: updatedQuiz.currentRevision
+        }
+      });
+    } catch (error) {
+      console.error('Error reordering questions:', error);
+      sendQuestionError(res, error);
+    }
+  }
+
+  /**
+   * Upload media and attach it to a question, or to one of its options with optionIndex
+   * POST /api/quizzes/:id/questions/:questionId/media
+   */
+  async attachQuestionMedia(req, res) {
+    let media;
+    try {
+      const optionIndex = parseOptionIndex(req);
+      const target = mediaService.findQuestion(req.quiz, req.params.questionId);
+      if (optionIndex !== undefined) {
+        mediaService.checkOptionIndex(target, optionIndex);
+      }
+      media = await mediaService.saveUpload(req.file, { altText: req.body.altText, uploadedBy: req.user.userId });
+
+      const question = await mediaService.attachToQuestion(req.quiz, req.params.questionId, media, optionIndex, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Media attached successfully',
+        data: {
+          questionId: question._id,
+          optionIndex: optionIndex === undefined ? null : optionIndex,
+          media: question.media || null,
+          optionMedia: question.optionMedia || []
+        }
+      });
+    } catch (error) {
+      console.error('Error attaching media:', error);
+      // Don't keep a file that never made it onto the question
+      await mediaService.removeMedia(media);
+      sendMediaError(res, error);
+    }
+  }
+
+  /**
+   * Remove the media of a question, or of one of its options with ?optionIndex=
+   * DELETE /api/quizzes/:id/questions/:questionId/media
+   */
+  async removeQuestionMedia(req, res) {
+    try {
+      const optionIndex = parseOptionIndex(req);
+      const question = await mediaService.detachFromQuestion(req.quiz, req.params.questionId, optionIndex, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Media removed successfully',
+        data: {
+          questionId: question._id,
+          media: question.media || null,
+          optionMedia: question.optionMedia || []
+        }
+      });
+    } catch (error) {
+      console.error('Error removing media:', error);
+      sendMediaError(res, error);
+    }
+  }
 }
 
 module.exports = new QuizController();
@@ -0,0 +1,65 @@
+const quizService = require('../services/quizService');
+
+/**
+ * Quiz authorization middleware
+ * Loads the quiz from req.params.id, checks the caller's access and sets req.quiz.
+ * Must run after authenticateToken.
+ *
+ * Access levels:
+ * - editor: the creator and users the quiz is shared with (answers, edits, copies)
+ * - owner: the creator only (delete, archive, sharing)
+ *
+ * @param {string} level - Required access level ('editor' or 'owner')
+ * @returns {Function} Express middleware
+ */
+const authorizeQuiz = (level) => async (req, res, next) => {
+  try {
+    const quiz = await quizService.getQuizById(req.params.id);
+    const userId = req.user && req.user.userId;
+
+    const allowed = level === 'owner'
+      ? quizService.isOwner(quiz, userId)
+      : quizService.canEdit(quiz, userId);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: level === 'owner'
+          ? 'Only the quiz creator can do this'
+          : 'You do not have access to this quiz'
+      });
+    }
+
+    req.quiz = quiz;
+    next();
+  } catch (error) {
+    if (error.message === 'Quiz not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    if (error.message === 'Invalid quiz ID format') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quiz ID format'
+      });
+    }
+
+    console.error('Quiz access middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+const requireQuizEditor = authorizeQuiz('editor');
+const requireQuizOwner = authorizeQuiz('owner');
+
+module.exports = {
+  requireQuizEditor,
+  requireQuizOwner
+};
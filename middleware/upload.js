@@ -0,0 +1,73 @@
+const multer = require('multer');
+const mediaService = require('../services/mediaService');
+const quizImportService = require('../services/quizImportService');
+const libraryArchiveService = require('../services/libraryArchiveService');
+
+/**
+ * Build middleware that reads a single multipart field named "file" into memory (req.file)
+ * @param {number} maxSize - Largest accepted file in bytes
+ * @param {Function} describeLimits - Returns the size limits for the "File too large" message
+ * @returns {Function} Express middleware
+ */
+const createUpload = (maxSize, describeLimits) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxSize,
+      files: 1
+    }
+  });
+
+  return (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `File too large (limits: ${describeLimits()})`
+        });
+      }
+
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload failed',
+          error: err.message
+        });
+      }
+
+      next(err);
+    });
+  };
+};
+
+/**
+ * Media upload middleware
+ * Type and per-type size checks happen in mediaService; this only caps the upload size.
+ */
+const uploadMedia = createUpload(mediaService.MAX_UPLOAD_SIZE, () => mediaService.describeLimits());
+
+/**
+ * Quiz import upload middleware (quiz text files and QTI packages)
+ */
+const uploadImport = createUpload(
+  quizImportService.MAX_IMPORT_SIZE,
+  () => `${quizImportService.MAX_IMPORT_SIZE / (1024 * 1024)} MB`
+);
+
+/**
+ * Library archive upload middleware
+ */
+const uploadArchive = createUpload(
+  libraryArchiveService.MAX_ARCHIVE_SIZE,
+  () => `${libraryArchiveService.MAX_ARCHIVE_SIZE / (1024 * 1024)} MB`
+);
+
+module.exports = {
+  uploadMedia,
+  uploadImport,
+  uploadArchive
+};
@@ -8,7 +8,23 @@ const answerSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required']
+    required: [function() { return !this.isGuest; }, 'User ID is required']
+  },
+  // Guests play without an account and are identified by their in-game player ID
+  isGuest: {
+    type: Boolean,
+    default: false
+  },
+  playerId: {
+    type: String,
+    required: [true, 'Player ID is required'],
+    trim: true
+  },
+  playerName: {
+    type: String,
+    required: [true, 'Player name is required'],
+    trim: true,
+    maxlength: [100, 'Player name cannot exceed 100 characters']
   },
   quizId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -20,22 +36,55 @@ const answerSchema = new mongoose.Schema({
     required: [true, 'Room code is required'],
     trim: true
   },
+  gameSessionId: {
+    type: String,
+    required: [true, 'Game session ID is required'],
+    trim: true
+  },
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // QuizRevision the game was played with (null for games from before revisions)
+  quizRevision: {
+    type: Number,
+    default: null
+  },
+  scoringMode: {
+    type: String,
+    enum: ['classic', 'speed'],
+    default: 'classic'
+  },
   responses: [{
     questionIndex: {
       type: Number,
       required: true,
       min: 0
     },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Option index, array of option indices (multi-select) or text (short answer); -1 means no answer
     answer: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 3
+      type: mongoose.Schema.Types.Mixed,
+      default: -1
+    },
+    // Set when the options were shuffled: optionOrder[i] is the stored option shown at
+    // position i. The answer above always uses stored option indices.
+    optionOrder: {
+      type: [Number],
+      default: undefined
     },
     isCorrect: {
       type: Boolean,
       required: true
     },
+    pointsAwarded: {
+      type: Number,
+      min: 0
+    },
     timeSpent: {
       type: Number, // Time in milliseconds
       default: 0
@@ -64,9 +113,15 @@ const answerSchema = new mongoose.Schema({
 });
 
 // Calculate total score before saving
+// Older responses have no pointsAwarded and count one point per correct answer
 answerSchema.pre('save', function(next) {
   if (this.responses && this.responses.length > 0) {
-    this.totalScore = this.responses.filter(response => response.isCorrect).length;
+    this.totalScore = this.responses.reduce((total, response) => {
+      if (response.pointsAwarded !== undefined && response.pointsAwarded !== null) {
+        return total + response.pointsAwarded;
+      }
+      return total + (response.isCorrect ? 1 : 0);
+    }, 0);
   }
   next();
 });
@@ -74,9 +129,14 @@ answerSchema.pre('save', function(next) {
 // Index for better query performance
 answerSchema.index({ userId: 1, quizId: 1 });
 answerSchema.index({ roomCode: 1 });
+answerSchema.index({ hostId: 1, completedAt: -1 });
 answerSchema.index({ completedAt: -1 });
 
-// Ensure one answer per user per quiz per room
-answerSchema.index({ userId: 1, quizId: 1, roomCode: 1 }, { unique: true });
+// Ensure one answer per player per game session (room codes are reused across games)
+answerSchema.index({ gameSessionId: 1, playerId: 1 }, { unique: true });
+answerSchema.index(
+  { userId: 1, gameSessionId: 1 },
+  { unique: true, partialFilterExpression: { isGuest: false } }
+);
 
 module.exports = mongoose.model('Answer', answerSchema);
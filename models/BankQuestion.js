@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const questionSchema = require('./Question');
+
+/**
+ * Bank Question Schema
+ * A reusable question kept in its owner's question bank. Quizzes hold copies
+ * (with a bankRef back to the bank question); linked copies are updated when
+ * the bank question changes, pinned copies keep the version they were made from.
+ */
+const bankQuestionSchema = questionSchema.clone();
+
+// Bank questions are the source of a link, not a copy
+bankQuestionSchema.remove('bankRef');
+
+bankQuestionSchema.add({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tag cannot exceed 30 characters']
+    }],
+    validate: {
+      validator: tags => tags.length <= 20,
+      message: 'A bank question cannot have more than 20 tags'
+    }
+  },
+  // Bumped on every edit; quiz copies record the version they hold
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+});
+
+bankQuestionSchema.set('timestamps', true);
+
+bankQuestionSchema.index(
+  { questionText: 'text', tags: 'text' },
+  { name: 'bank_text_search', weights: { questionText: 3, tags: 2 } }
+);
+bankQuestionSchema.index({ owner: 1, tags: 1 });
+bankQuestionSchema.index({ owner: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('BankQuestion', bankQuestionSchema);
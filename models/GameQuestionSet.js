@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const questionSchema = require('./Question');
+
+/**
+ * Game Question Set Schema
+ * The questions a game was actually played with when they differ from the quiz
+ * revision, such as questions drawn from question pools or put in a shuffled
+ * order. Saved with the results.
+ */
+const gameQuestionSetSchema = new mongoose.Schema({
+  gameSessionId: {
+    type: String,
+    required: [true, 'Game session ID is required'],
+    trim: true
+  },
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: [true, 'Quiz ID is required']
+  },
+  quizRevision: {
+    type: Number,
+    default: null
+  },
+  title: {
+    type: String,
+    required: [true, 'Quiz title is required'],
+    trim: true
+  },
+  questions: [questionSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+gameQuestionSetSchema.index({ gameSessionId: 1 }, { unique: true });
+
+module.exports = mongoose.model('GameQuestionSet', gameQuestionSetSchema);
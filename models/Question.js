@@ -1,43 +1,295 @@
 const mongoose = require('mongoose');
 
+/**
+ * Supported question types
+ * - single: one correct option out of 2-6
+ * - true-false: two options, one correct
+ * - multi-select: several correct options out of 2-6
+ * - short-answer: typed answer checked against a list of accepted answers
+ */
+const QUESTION_TYPES = ['single', 'true-false', 'multi-select', 'short-answer'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MEDIA_TYPES = ['image', 'audio', 'video'];
+// linked: follows edits to the bank question; pinned: keeps its copy
+const BANK_LINK_MODES = ['linked', 'pinned'];
+
+// Fields that make up the content of a question (what gets copied from the question bank and compared between revisions)
+const CONTENT_FIELDS = [
+  'questionType',
+  'questionText',
+  'options',
+  'correctAnswerIndex',
+  'correctAnswerIndices',
+  'acceptedAnswers',
+  'caseSensitive',
+  'timeLimitSeconds',
+  'points',
+  'difficulty',
+  'explanation',
+  'referenceUrl',
+  'media',
+  'optionMedia'
+];
+
+/**
+ * Media attached to a question or an answer option
+ * Uploaded files carry the storage key used to delete them; external links have none.
+ */
+const mediaFields = {
+  type: {
+    type: String,
+    enum: {
+      values: MEDIA_TYPES,
+      message: 'Media type must be image, audio or video'
+    },
+    required: [true, 'Media type is required']
+  },
+  url: {
+    type: String,
+    required: [true, 'Media URL is required'],
+    trim: true,
+    maxlength: [1000, 'Media URL cannot exceed 1000 characters'],
+    match: [/^(https?:\/\/|\/)\S+$/i, 'Media URL must be an http or https link or an uploaded file path']
+  },
+  key: {
+    type: String,
+    default: null
+  },
+  mimeType: {
+    type: String,
+    trim: true
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
+  // User who uploaded the file (null for external links)
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  }
+};
+
+const mediaSchema = new mongoose.Schema(mediaFields, { _id: false });
+
+const optionMediaSchema = new mongoose.Schema({
+  optionIndex: {
+    type: Number,
+    required: [true, 'Option index is required'],
+    min: [0, 'Option index cannot be negative']
+  },
+  ...mediaFields
+}, { _id: false });
+
+/**
+ * Link from a quiz question to the question bank item it was copied from
+ */
+const bankRefSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankQuestion',
+    required: [true, 'Bank question ID is required']
+  },
+  // Version of the bank question the copy was made from
+  version: {
+    type: Number,
+    required: [true, 'Bank question version is required'],
+    min: 1
+  },
+  mode: {
+    type: String,
+    enum: {
+      values: BANK_LINK_MODES,
+      message: 'Bank link mode must be linked or pinned'
+    },
+    default: 'linked'
+  }
+}, { _id: false });
+
+/**
+ * Whether the question belongs to a draft quiz (or a draft revision)
+ * Drafts may hold unfinished questions, so only the basic field checks apply.
+ * @param {object} question - Question subdocument
+ * @returns {boolean} True for questions of a draft
+ */
+const isDraft = (question) => {
+  const owner = typeof question.ownerDocument === 'function' ? question.ownerDocument() : null;
+  return Boolean(owner && owner !== question && owner.status === 'draft');
+};
+
 /**
  * Question Schema - Embedded in Quiz model
- * Represents a single multiple choice question
+ * Represents a single question
  */
 const questionSchema = new mongoose.Schema({
+  questionType: {
+    type: String,
+    enum: {
+      values: QUESTION_TYPES,
+      message: 'Question type must be one of: ' + QUESTION_TYPES.join(', ')
+    },
+    default: 'single'
+  },
   questionText: {
     type: String,
-    required: [true, 'Question text is required'],
+    required: [function() { return !isDraft(this); }, 'Question text is required'],
     trim: true,
     maxlength: [500, 'Question text cannot exceed 500 characters']
   },
   options: {
     type: [String],
-    required: [true, 'Question must have options'],
-    validate: {
-      validator: function(options) {
-        return options.length === 4;
-      },
-      message: 'Question must have exactly 4 options'
-    }
+    default: undefined
+  },
+  media: {
+    type: mediaSchema,
+    default: null
+  },
+  // Media for individual answer options, matched by optionIndex
+  optionMedia: {
+    type: [optionMediaSchema],
+    default: undefined
   },
   correctAnswerIndex: {
     type: Number,
-    required: [true, 'Correct answer index is required'],
-    min: [0, 'Correct answer index must be between 0 and 3'],
-    max: [3, 'Correct answer index must be between 0 and 3']
+    required: [
+      function() { return (this.questionType === 'single' || this.questionType === 'true-false') && !isDraft(this); },
+      'Correct answer index is required'
+    ],
+    min: [0, `Correct answer index must be between 0 and ${MAX_OPTIONS - 1}`],
+    max: [MAX_OPTIONS - 1, `Correct answer index must be between 0 and ${MAX_OPTIONS - 1}`]
+  },
+  correctAnswerIndices: {
+    type: [Number],
+    default: undefined
+  },
+  acceptedAnswers: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Accepted answer cannot exceed 200 characters']
+    }],
+    default: undefined
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  timeLimitSeconds: {
+    type: Number,
+    default: 10,
+    min: [5, 'Time limit must be between 5 and 300 seconds'],
+    max: [300, 'Time limit must be between 5 and 300 seconds']
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: [0, 'Points must be between 0 and 1000'],
+    max: [1000, 'Points must be between 0 and 1000']
+  },
+  difficulty: {
+    type: String,
+    enum: {
+      values: DIFFICULTIES,
+      message: 'Difficulty must be easy, medium or hard'
+    }
+  },
+  // Shown to players once the question closes and in the results
+  explanation: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Explanation cannot exceed 1000 characters']
+  },
+  referenceUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reference URL cannot exceed 500 characters'],
+    match: [/^https?:\/\/\S+$/i, 'Reference URL must be an http or https link']
+  },
+  // Set when the question was added from the question bank
+  bankRef: {
+    type: bankRefSchema,
+    default: null
   }
 }, {
   _id: true // Ensure each question has its own ID
 });
 
-// Validate that correctAnswerIndex is within the options array bounds
+// Fill in the standard options for true/false questions
 questionSchema.pre('validate', function(next) {
-  if (this.correctAnswerIndex >= this.options.length) {
+  if (this.questionType === 'true-false' && (!this.options || this.options.length === 0)) {
+    this.options = ['True', 'False'];
+  }
+  next();
+});
+
+// Validate options and correct answers for the question type
+questionSchema.pre('validate', function(next) {
+  if (isDraft(this)) {
+    return next();
+  }
+
+  const options = this.options || [];
+
+  const optionMedia = this.optionMedia || [];
+  const mediaIndices = optionMedia.map(m => m.optionIndex);
+  if (new Set(mediaIndices).size !== mediaIndices.length) {
+    return next(new Error('Each option can have only one media attachment'));
+  }
+  if (mediaIndices.some(index => index >= options.length)) {
+    return next(new Error('Option media must point to an existing option'));
+  }
+
+  if (this.questionType === 'short-answer') {
+    if (!this.acceptedAnswers || this.acceptedAnswers.filter(a => a && a.trim()).length === 0) {
+      return next(new Error('Short answer questions must have at least one accepted answer'));
+    }
+    return next();
+  }
+
+  if (this.questionType === 'true-false' && options.length !== 2) {
+    return next(new Error('True/false questions must have exactly 2 options'));
+  }
+
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return next(new Error(`Question must have between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`));
+  }
+
+  if (this.questionType === 'multi-select') {
+    const indices = this.correctAnswerIndices || [];
+    if (indices.length === 0) {
+      return next(new Error('Multi-select questions must have at least one correct answer'));
+    }
+    if (new Set(indices).size !== indices.length) {
+      return next(new Error('Correct answer indices must be unique'));
+    }
+    if (indices.some(index => !Number.isInteger(index) || index < 0 || index >= options.length)) {
+      return next(new Error('Correct answer indices must be within the options array bounds'));
+    }
+    return next();
+  }
+
+  // Validate that correctAnswerIndex is within the options array bounds
+  if (this.correctAnswerIndex >= options.length) {
     next(new Error('Correct answer index must be within the options array bounds'));
   } else {
     next();
   }
 });
 
+questionSchema.QUESTION_TYPES = QUESTION_TYPES;
+questionSchema.MIN_OPTIONS = MIN_OPTIONS;
+questionSchema.MAX_OPTIONS = MAX_OPTIONS;
+questionSchema.DIFFICULTIES = DIFFICULTIES;
+questionSchema.MEDIA_TYPES = MEDIA_TYPES;
+questionSchema.BANK_LINK_MODES = BANK_LINK_MODES;
+questionSchema.CONTENT_FIELDS = CONTENT_FIELDS;
+
 module.exports = questionSchema;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { QUESTION_TYPES, DIFFICULTIES } = require('./Question');
+
+const MAX_POOLS = 10;
+const MAX_POOL_COUNT = 100;
+
+/**
+ * Question Pool Schema (embedded in Quiz)
+ * A rule such as "5 easy questions tagged algebra", resolved into questions
+ * drawn at random from the quiz creator's question bank when a room is created.
+ */
+const questionPoolSchema = new mongoose.Schema({
+  count: {
+    type: Number,
+    required: [true, 'Pool question count is required'],
+    min: [1, 'A pool must draw at least one question'],
+    max: [MAX_POOL_COUNT, `A pool cannot draw more than ${MAX_POOL_COUNT} questions`]
+  },
+  // Bank questions must have every tag
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  }],
+  difficulty: {
+    type: String,
+    enum: {
+      values: DIFFICULTIES,
+      message: 'Difficulty must be one of: ' + DIFFICULTIES.join(', ')
+    }
+  },
+  questionType: {
+    type: String,
+    enum: {
+      values: QUESTION_TYPES,
+      message: 'Question type must be one of: ' + QUESTION_TYPES.join(', ')
+    }
+  }
+}, {
+  _id: false
+});
+
+questionPoolSchema.MAX_POOLS = MAX_POOLS;
+questionPoolSchema.MAX_POOL_COUNT = MAX_POOL_COUNT;
+
+module.exports = questionPoolSchema;
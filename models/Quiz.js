@@ -1,5 +1,27 @@
 const mongoose = require('mongoose');
 const questionSchema = require('./Question');
+const questionPoolSchema = require('./QuestionPool');
+
+const GRADE_LEVELS = ['preschool', 'elementary', 'middle-school', 'high-school', 'university', 'adult'];
+const MAX_TAGS = 20;
+const STATUSES = ['draft', 'published'];
+
+/**
+ * Check whether a quiz draws questions from pools
+ * Update validators run with the query as `this`; updates that don't touch the
+ * pools are checked against the stored quiz by the quiz service instead.
+ * @param {Object} context - Quiz document or update query
+ * @returns {boolean} True if the quiz has (or may have) question pools
+ */
+const hasQuestionPools = (context) => {
+  const pools = context instanceof mongoose.Query
+    ? (context.getUpdate().$set || {}).questionPools
+    : context.questionPools;
+  if (pools === undefined && context instanceof mongoose.Query) {
+    return true;
+  }
+  return Array.isArray(pools) && pools.length > 0;
+};
 
 /**
  * Quiz Schema
@@ -23,16 +45,104 @@ const quizSchema = new mongoose.Schema({
     maxlength: [100, 'Author name cannot exceed 100 characters'],
     default: 'Anonymous'
   },
+  // Free-form labels, stored lowercase so filtering and counting ignore case
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tag cannot exceed 30 characters']
+    }],
+    validate: {
+      validator: function(tags) {
+        return tags.length <= MAX_TAGS;
+      },
+      message: `A quiz cannot have more than ${MAX_TAGS} tags`
+    }
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Subject cannot exceed 100 characters']
+  },
+  gradeLevel: {
+    type: String,
+    enum: {
+      values: GRADE_LEVELS,
+      message: 'Grade level must be one of: ' + GRADE_LEVELS.join(', ')
+    }
+  },
+  // Language code such as "en" or "pt-br"
+  language: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/, 'Language must be a language code such as "en" or "pt-br"']
+  },
+  // private: creator and collaborators only
+  // unlisted: anyone with the quiz ID or a room code
+  // public: also listed in the quiz catalog
+  visibility: {
+    type: String,
+    enum: {
+      values: ['private', 'unlisted', 'public'],
+      message: 'Visibility must be private, unlisted or public'
+    },
+    default: 'unlisted'
+  },
+  // Users the creator shared the quiz with; they can see the answers and edit questions
+  collaborators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // draft: work in progress, incomplete questions allowed, can't be hosted
+  // published: fully validated and playable
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: 'Status must be draft or published'
+    },
+    default: 'published'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Fixed questions, asked first and in order
   questions: {
     type: [questionSchema],
-    required: [true, 'Quiz must have at least one question'],
+    required: [function() { return this.status !== 'draft'; }, 'Quiz must have at least one question'],
     validate: {
       validator: function(questions) {
-        return questions.length > 0;
+        return this.status === 'draft' || questions.length > 0 || hasQuestionPools(this);
       },
       message: 'Quiz must have at least one question'
     }
   },
+  // Rules drawing random questions from the creator's question bank, asked after the fixed questions
+  questionPools: {
+    type: [questionPoolSchema],
+    validate: {
+      validator: pools => pools.length <= questionPoolSchema.MAX_POOLS,
+      message: `A quiz cannot have more than ${questionPoolSchema.MAX_POOLS} question pools`
+    }
+  },
+  // Latest QuizRevision number; 0 for quizzes saved before revisions were kept
+  currentRevision: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Archived quizzes are hidden from the creator's quiz list but keep their game history
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -52,7 +162,26 @@ quizSchema.pre('save', function(next) {
 });
 
 // Index for better query performance
-quizSchema.index({ title: 'text', authorName: 'text' });
+// The quiz's own `language` field is a plain code, so text search must not read it as the stemming language
+quizSchema.index(
+  { title: 'text', tags: 'text', subject: 'text', authorName: 'text' },
+  {
+    name: 'quiz_text_search',
+    weights: { title: 5, tags: 3, subject: 2, authorName: 1 },
+    language_override: 'textSearchLanguage'
+  }
+);
 quizSchema.index({ createdAt: -1 });
+quizSchema.index({ creator: 1, isArchived: 1 });
+quizSchema.index({ collaborators: 1 });
+quizSchema.index({ visibility: 1, isArchived: 1, createdAt: -1 });
+quizSchema.index({ creator: 1, tags: 1 });
+quizSchema.index({ creator: 1, status: 1 });
+
+const Quiz = mongoose.model('Quiz', quizSchema);
+
+Quiz.GRADE_LEVELS = GRADE_LEVELS;
+Quiz.MAX_TAGS = MAX_TAGS;
+Quiz.STATUSES = STATUSES;
 
-module.exports = mongoose.model('Quiz', quizSchema);
+module.exports = Quiz;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const questionSchema = require('./Question');
+const questionPoolSchema = require('./QuestionPool');
+
+const REVISION_REASONS = ['create', 'update', 'rollback'];
+
+/**
+ * Quiz Revision Schema
+ * Immutable snapshot of a quiz's content, saved every time the questions or pools change.
+ * Games record the revision they were played with so reports show the questions as asked.
+ */
+const quizRevisionSchema = new mongoose.Schema({
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: [true, 'Quiz ID is required']
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+  title: {
+    type: String,
+    required: [true, 'Quiz title is required'],
+    trim: true
+  },
+  // Status of the quiz when the revision was saved; draft revisions may hold unfinished questions
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'published'
+  },
+  questions: [questionSchema],
+  questionPools: [questionPoolSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: REVISION_REASONS,
+    default: 'update'
+  },
+  // Revision whose content was restored (rollbacks only)
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Revisions are never changed once written
+quizRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Quiz revisions cannot be modified'));
+  }
+  next();
+});
+
+quizRevisionSchema.index({ quizId: 1, revision: -1 }, { unique: true });
+
+const QuizRevision = mongoose.model('QuizRevision', quizRevisionSchema);
+QuizRevision.REVISION_REASONS = REVISION_REASONS;
+
+module.exports = QuizRevision;
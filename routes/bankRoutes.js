@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const bankController = require('../controllers/bankController');
+const validateRequest = require('../middleware/validateRequest');
+const { authenticateToken } = require('../middleware/auth');
+const { QUESTION_TYPES, DIFFICULTIES } = require('../models/Question');
+
+const router = express.Router();
+
+/**
+ * Question Bank Routes
+ * All routes are prefixed with /api/bank and only reach the caller's own bank
+ */
+
+// Validation rules for bank question IDs
+const bankQuestionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid bank question ID format')
+];
+
+// Validation rules for creating and replacing bank questions
+// Options and correct answers depend on the question type and are checked in validateQuestion
+const bankQuestionValidation = [
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('A bank question can have at most 20 tags'),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be 1 to 30 characters'),
+
+  body('propagate')
+    .optional()
+    .isBoolean()
+    .withMessage('Propagate must be a boolean')
+    .toBoolean()
+];
+
+// Validation rules for searching the bank
+const getBankQuestionsValidation = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search text cannot exceed 200 characters'),
+
+  query('tags')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Tags filter is too long'),
+
+  query('questionType')
+    .optional()
+    .isIn(QUESTION_TYPES)
+    .withMessage('Invalid question type'),
+
+  query('difficulty')
+    .optional()
+    .isIn(DIFFICULTIES)
+    .withMessage('Difficulty must be easy, medium or hard'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BankQuestion:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Question'
+ *         - type: object
+ *           properties:
+ *             tags:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 maxLength: 30
+ *               description: Lowercase labels for searching the bank (max 20)
+ *               example: ['algebra', 'equations']
+ *             version:
+ *               type: integer
+ *               description: Goes up on every edit; quiz copies record the version they hold
+ *               example: 3
+ */
+
+/**
+ * @swagger
+ * /api/bank:
+ *   post:
+ *     summary: Add a question to your question bank
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BankQuestion'
+ *     responses:
+ *       201:
+ *         description: Bank question created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *   get:
+ *     summary: Search your question bank
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Words to find in the question text or tags (best matches first)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags the question must all have
+ *       - in: query
+ *         name: questionType
+ *         schema:
+ *           type: string
+ *           enum: [single, true-false, multi-select, short-answer]
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Bank questions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticateToken, bankQuestionValidation, validateRequest, bankController.createBankQuestion);
+router.get('/', authenticateToken, getBankQuestionsValidation, validateRequest, bankController.getBankQuestions);
+
+/**
+ * @swagger
+ * /api/bank/{id}/usage:
+ *   get:
+ *     summary: List the quizzes using a bank question
+ *     description: One entry per quiz question copied from it, with its link mode and whether it holds the latest version
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bank question ID
+ *     responses:
+ *       200:
+ *         description: Usage retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Bank question not found
+ */
+router.get('/:id/usage', authenticateToken, bankQuestionIdValidation, validateRequest, bankController.getUsage);
+
+/**
+ * @swagger
+ * /api/bank/{id}:
+ *   get:
+ *     summary: Get one of your bank questions
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bank question ID
+ *     responses:
+ *       200:
+ *         description: Bank question retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Bank question not found
+ *   put:
+ *     summary: Replace a bank question
+ *     description: Fields left out are cleared. The version goes up and, unless propagate is false, every linked quiz question gets the new content in a new quiz revision. Pinned copies are left alone.
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bank question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BankQuestion'
+ *               - type: object
+ *                 properties:
+ *                   propagate:
+ *                     type: boolean
+ *                     default: true
+ *                     description: Update linked quiz questions
+ *     responses:
+ *       200:
+ *         description: Bank question updated; lists the quizzes that were updated and any that failed
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Bank question not found
+ *   delete:
+ *     summary: Delete a bank question
+ *     description: Quiz questions copied from it keep their content and stop receiving updates
+ *     tags: [Question Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bank question ID
+ *     responses:
+ *       200:
+ *         description: Bank question deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Bank question not found
+ */
+router.get('/:id', authenticateToken, bankQuestionIdValidation, validateRequest, bankController.getBankQuestion);
+router.put('/:id', authenticateToken, bankQuestionIdValidation, bankQuestionValidation, validateRequest, bankController.updateBankQuestion);
+router.delete('/:id', authenticateToken, bankQuestionIdValidation, validateRequest, bankController.deleteBankQuestion);
+
+module.exports = router;
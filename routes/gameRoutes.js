@@ -0,0 +1,280 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const gameController = require('../controllers/gameController');
+const validateRequest = require('../middleware/validateRequest');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Game Routes
+ * All routes are prefixed with /api/games
+ */
+
+// Validation rules for game history listings
+const getGamesValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['completedAt', 'participantCount', 'score'])
+    .withMessage('Invalid sort field'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+// Validation rules for the game detail view
+const gameDetailValidation = [
+  param('gameSessionId')
+    .trim()
+    .isAlphanumeric()
+    .withMessage('Invalid game session ID')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GameSummary:
+ *       type: object
+ *       properties:
+ *         gameSessionId:
+ *           type: string
+ *           example: "Q7ZK2M4P"
+ *         roomCode:
+ *           type: string
+ *           example: "ABC123"
+ *         quizId:
+ *           type: string
+ *         quizTitle:
+ *           type: string
+ *         participantCount:
+ *           type: integer
+ *         totalQuestions:
+ *           type: integer
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         detailUrl:
+ *           type: string
+ *           example: "/api/games/Q7ZK2M4P"
+ */
+
+/**
+ * @swagger
+ * /api/games/hosted:
+ *   get:
+ *     summary: List games hosted by the authenticated user
+ *     description: One entry per finished game, grouped by room code and quiz from the stored answers
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [completedAt, participantCount]
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: Hosted games retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         games:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/GameSummary'
+ *                               - type: object
+ *                                 properties:
+ *                                   guestCount:
+ *                                     type: integer
+ *                                   averageScore:
+ *                                     type: number
+ *                                   topScore:
+ *                                     type: integer
+ *                         pagination:
+ *                           type: object
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/hosted', authenticateToken, getGamesValidation, validateRequest, gameController.getHostedGames);
+
+/**
+ * @swagger
+ * /api/games/played:
+ *   get:
+ *     summary: List games the authenticated user played in
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [completedAt, score]
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: Played games retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         games:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/GameSummary'
+ *                               - type: object
+ *                                 properties:
+ *                                   playerName:
+ *                                     type: string
+ *                                   score:
+ *                                     type: integer
+ *                                   rank:
+ *                                     type: integer
+ *                         pagination:
+ *                           type: object
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/played', authenticateToken, getGamesValidation, validateRequest, gameController.getPlayedGames);
+
+/**
+ * @swagger
+ * /api/games/{gameSessionId}:
+ *   get:
+ *     summary: Get the final leaderboard and per-question responses of a finished game
+ *     description: Available to the host and to logged-in players of the game
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameSessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Game session ID
+ *     responses:
+ *       200:
+ *         description: Game retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         game:
+ *                           type: object
+ *                           properties:
+ *                             gameSessionId:
+ *                               type: string
+ *                             quizTitle:
+ *                               type: string
+ *                             leaderboard:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   rank:
+ *                                     type: integer
+ *                                   playerId:
+ *                                     type: string
+ *                                   name:
+ *                                     type: string
+ *                                   score:
+ *                                     type: integer
+ *                             questions:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   questionIndex:
+ *                                     type: integer
+ *                                   questionText:
+ *                                     type: string
+ *                                   correctCount:
+ *                                     type: integer
+ *                                   responses:
+ *                                     type: array
+ *                                     items:
+ *                                       type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a host or player of this game
+ *       404:
+ *         description: Game not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:gameSessionId', authenticateToken, gameDetailValidation, validateRequest, gameController.getGameDetail);
+
+module.exports = router;
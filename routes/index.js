@@ -1,6 +1,9 @@
 const express = require('express');
 const quizRoutes = require('./quizRoutes');
 const authRoutes = require('./authRoutes');
+const gameRoutes = require('./gameRoutes');
+const bankRoutes = require('./bankRoutes');
+const libraryRoutes = require('./libraryRoutes');
 
 const router = express.Router();
 
@@ -25,9 +28,17 @@ router.use('/auth', authRoutes);
 // Quiz routes
 router.use('/quizzes', quizRoutes);
 
+// Game history routes
+router.use('/games', gameRoutes);
+
+// Question bank routes
+router.use('/bank', bankRoutes);
+
+// Library backup and restore routes
+router.use('/library', libraryRoutes);
+
 // Future routes can be added here
 // router.use('/users', userRoutes);
 // router.use('/rooms', roomRoutes);
-// router.use('/games', gameRoutes);
 
 module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const libraryController = require('../controllers/libraryController');
+const validateRequest = require('../middleware/validateRequest');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadArchive } = require('../middleware/upload');
+const { DUPLICATE_MODES } = require('../services/libraryArchiveService');
+
+const router = express.Router();
+
+/**
+ * Library Routes
+ * All routes are prefixed with /api/library and back up or restore the caller's own library
+ */
+
+// Validation rules for exporting the library
+const exportLibraryValidation = [
+  query('includeResults')
+    .optional()
+    .isBoolean()
+    .withMessage('Include results must be a boolean')
+    .toBoolean()
+];
+
+// Validation rules for restoring an archive
+const restoreLibraryValidation = [
+  body('duplicates')
+    .optional({ values: 'falsy' })
+    .isIn(DUPLICATE_MODES)
+    .withMessage(`Duplicates must be one of: ${DUPLICATE_MODES.join(', ')}`),
+
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('Dry run must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * @swagger
+ * /api/library/export:
+ *   get:
+ *     summary: Download your whole library as a JSON archive
+ *     description: |
+ *       The archive holds every quiz you created with its revision history, and your question bank.
+ *       With includeResults it also holds the results of the games you hosted with your quizzes.
+ *       Media files are linked by URL, not packaged; collaborators are not part of the archive.
+ *       The archive is streamed, so a failure midway ends the download early instead of returning an error.
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeResults
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the results of games you hosted
+ *     responses:
+ *       200:
+ *         description: Library archive (quiz-library-YYYY-MM-DD.json)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   type: string
+ *                   example: quiz-library
+ *                 version:
+ *                   type: integer
+ *                   example: 1
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 owner:
+ *                   type: object
+ *                 includesResults:
+ *                   type: boolean
+ *                 quizzes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 bankQuestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 questionSets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/export', authenticateToken, exportLibraryValidation, validateRequest, libraryController.exportLibrary);
+
+/**
+ * @swagger
+ * /api/library/restore:
+ *   post:
+ *     summary: Restore a library archive into your account
+ *     description: |
+ *       Quizzes, their revisions, bank questions and game results get new IDs, and the links between them
+ *       are pointed at the restored copies. Quizzes and bank questions already in your library with the same content
+ *       are duplicates: they are skipped by default (links then use your existing bank question) or restored again with duplicates=copy.
+ *       Games are restored with their quiz unless their results are already stored; your own results stay linked to your account and every other player is restored as a guest under their player name.
+ *       Items that fail validation are reported and left out; the rest is restored.
+ *     tags: [Library]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archive from GET /api/library/export (up to 50 MB)
+ *               duplicates:
+ *                 type: string
+ *                 enum: [skip, copy]
+ *                 default: skip
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Check the archive and report what would be restored without saving anything
+ *     responses:
+ *       201:
+ *         description: Archive restored; lists restored, duplicate and failed items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         dryRun:
+ *                           type: boolean
+ *                         quizzes:
+ *                           type: object
+ *                           properties:
+ *                             restored:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                             duplicates:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                             failed:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                         bankQuestions:
+ *                           type: object
+ *                         games:
+ *                           type: object
+ *       200:
+ *         description: Dry run report
+ *       400:
+ *         description: Missing file, not a library archive, or unsupported archive version
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: File too large
+ */
+router.post('/restore', authenticateToken, uploadArchive, restoreLibraryValidation, validateRequest, libraryController.restoreLibrary);
+
+module.exports = router;
@@ -1,11 +1,21 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const quizController = require('../controllers/quizController');
 const validateRequest = require('../middleware/validateRequest');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requireQuizEditor, requireQuizOwner } = require('../middleware/quizAccess');
+const { uploadMedia, uploadImport } = require('../middleware/upload');
+const { IMPORT_FORMATS, EXPORT_FORMATS } = require('../services/formats');
+const printService = require('../services/printService');
 
 const router = express.Router();
 
+const { GRADE_LEVELS, STATUSES } = require('../models/Quiz');
+const { BANK_LINK_MODES } = require('../models/Question');
+
+const MEDIA_TYPES = ['image', 'audio', 'video'];
+const MEDIA_URL_PATTERN = /^(https?:\/\/|\/)\S+$/i;
+
 /**
  * Quiz Routes
  * All routes are prefixed with /api/quizzes
@@ -26,33 +36,214 @@ const createQuizValidation = [
     .isLength({ max: 100 })
     .withMessage('Author name cannot exceed 100 characters'),
   
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('A quiz can have at most 20 tags'),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be 1 to 30 characters'),
+
+  body('subject')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Subject cannot exceed 100 characters'),
+
+  body('gradeLevel')
+    .optional()
+    .isIn(GRADE_LEVELS)
+    .withMessage(`Grade level must be one of: ${GRADE_LEVELS.join(', ')}`),
+
+  body('language')
+    .optional()
+    .matches(/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i)
+    .withMessage('Language must be a language code such as "en" or "pt-br"'),
+
+  body('visibility')
+    .optional()
+    .isIn(['private', 'unlisted', 'public'])
+    .withMessage('Visibility must be private, unlisted or public'),
+
+  body('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+
+  body('revision')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Revision must be the quiz revision the edit is based on')
+    .toInt(),
+
+  // Drafts may leave out questions, question text and answers, so required
+  // fields are checked in validateQuizData, which knows the quiz's status
   body('questions')
-    .isArray({ min: 1 })
-    .withMessage('Quiz must have at least one question'),
+    .optional()
+    .isArray()
+    .withMessage('Questions must be an array'),
+
+  // Pool rules are checked in validateQuizData
+  body('questionPools')
+    .optional()
+    .isArray()
+    .withMessage('Question pools must be an array'),
   
   body('questions.*.questionText')
+    .optional()
+    .isString()
     .trim()
-    .notEmpty()
-    .withMessage('Question text is required')
     .isLength({ max: 500 })
     .withMessage('Question text cannot exceed 500 characters'),
   
+  body('questions.*.questionType')
+    .optional()
+    .isIn(['single', 'true-false', 'multi-select', 'short-answer'])
+    .withMessage('Question type must be single, true-false, multi-select or short-answer'),
+
+  // Option counts and correct answers depend on the question type and are checked in validateQuizData
   body('questions.*.options')
-    .isArray({ min: 4, max: 4 })
-    .withMessage('Each question must have exactly 4 options'),
+    .optional()
+    .isArray({ max: 6 })
+    .withMessage('A question can have at most 6 options'),
   
   body('questions.*.options.*')
-    .trim()
-    .notEmpty()
-    .withMessage('Option text is required'),
+    .isString()
+    .withMessage('Option text must be a string')
+    .trim(),
   
   body('questions.*.correctAnswerIndex')
-    .isInt({ min: 0, max: 3 })
-    .withMessage('Correct answer index must be between 0 and 3')
+    .optional()
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Correct answer index must be between 0 and 5'),
+
+  body('questions.*.correctAnswerIndices')
+    .optional()
+    .isArray({ min: 1, max: 6 })
+    .withMessage('Correct answer indices must be an array of 1 to 6 indices'),
+
+  body('questions.*.acceptedAnswers')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Accepted answers must be a non-empty array'),
+
+  body('questions.*.caseSensitive')
+    .optional()
+    .isBoolean()
+    .withMessage('Case sensitive must be a boolean'),
+
+  body('questions.*.explanation')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Explanation cannot exceed 1000 characters'),
+
+  body('questions.*.referenceUrl')
+    .optional()
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Reference URL must be an http or https link')
+    .isLength({ max: 500 })
+    .withMessage('Reference URL cannot exceed 500 characters'),
+
+  body('questions.*.media')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Media must be an object'),
+
+  body('questions.*.media.type')
+    .optional()
+    .isIn(MEDIA_TYPES)
+    .withMessage('Media type must be image, audio or video'),
+
+  body('questions.*.media.url')
+    .optional()
+    .isString()
+    .matches(MEDIA_URL_PATTERN)
+    .withMessage('Media URL must be an http or https link or an uploaded file path'),
+
+  body('questions.*.optionMedia')
+    .optional()
+    .isArray({ max: 6 })
+    .withMessage('Option media must be an array of at most 6 items'),
+
+  body('questions.*.optionMedia.*.optionIndex')
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Option media index must be between 0 and 5'),
+
+  body('questions.*.optionMedia.*.type')
+    .isIn(MEDIA_TYPES)
+    .withMessage('Media type must be image, audio or video'),
+
+  body('questions.*.optionMedia.*.url')
+    .isString()
+    .matches(MEDIA_URL_PATTERN)
+    .withMessage('Media URL must be an http or https link or an uploaded file path'),
+
+  body('questions.*.difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium or hard'),
+
+  body('questions.*.timeLimitSeconds')
+    .optional()
+    .isInt({ min: 5, max: 300 })
+    .withMessage('Time limit must be between 5 and 300 seconds'),
+
+  body('questions.*.points')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Points must be between 0 and 1000')
+];
+
+// Validation rules for the metadata filters shared by the quiz listings
+const metadataFilterValidation = [
+  query('tags')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Tags filter is too long'),
+
+  query('subject')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Subject cannot exceed 100 characters'),
+
+  query('gradeLevel')
+    .optional()
+    .isIn(GRADE_LEVELS)
+    .withMessage('Invalid grade level'),
+
+  query('language')
+    .optional()
+    .matches(/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i)
+    .withMessage('Invalid language code'),
+
+  query('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium or hard')
+];
+
+// Validation rules for counting the user's own quizzes
+const getFacetsValidation = [
+  ...metadataFilterValidation,
+
+  query('archived')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Archived must be true or false')
 ];
 
 // Validation rules for query parameters
 const getQuizzesValidation = [
+  ...metadataFilterValidation,
+
   body('page')
     .optional()
     .isInt({ min: 1 })
@@ -69,11 +260,309 @@ const getQuizzesValidation = [
     .withMessage('Invalid sort field'),
   
   body('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+
+  query('archived')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Archived must be true or false'),
+
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`)
+];
+
+// Validation rules for the public quiz catalog
+const getCatalogValidation = [
+  ...metadataFilterValidation,
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search term cannot exceed 200 characters'),
+
+  query('authorName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Author name cannot exceed 100 characters'),
+
+  query('minQuestions')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Minimum questions must be a non-negative integer'),
+
+  query('maxQuestions')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Maximum questions must be a non-negative integer'),
+
+  query('questionType')
+    .optional()
+    .isIn(['single', 'true-false', 'multi-select', 'short-answer'])
+    .withMessage('Invalid question type'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['relevance', 'title', 'authorName', 'createdAt', 'updatedAt'])
+    .withMessage('Invalid sort field'),
+
+  query('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
     .withMessage('Sort order must be asc or desc')
 ];
 
+// Validation rules for sharing a quiz
+const shareQuizValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required')
+    .normalizeEmail()
+];
+
+const removeCollaboratorValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+// Validation rules for revision endpoints
+const revisionParamValidation = [
+  param('revision')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer')
+];
+
+const listRevisionsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const diffRevisionsValidation = [
+  query('from')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('From must be a positive revision number'),
+
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('To must be a positive revision number')
+];
+
+// Validation rules for uploading media
+const uploadMediaValidation = [
+  body('altText')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Alt text cannot exceed 200 characters')
+];
+
+// Validation rules for importing quizzes from a file (multipart fields)
+const importQuizzesValidation = [
+  body('format')
+    .optional({ values: 'falsy' })
+    .isIn(Object.keys(IMPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`),
+
+  body('title')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+
+  body('status')
+    .optional({ values: 'falsy' })
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('Dry run must be a boolean')
+    .toBoolean()
+];
+
+// Validation rules for exporting a quiz as a file
+const exportQuizValidation = [
+  query('format')
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+];
+
+// Validation rules for printing a quiz
+const printQuizValidation = [
+  query('variants')
+    .optional()
+    .isInt({ min: 1, max: printService.MAX_VARIANTS })
+    .withMessage(`Variants must be between 1 and ${printService.MAX_VARIANTS}`)
+    .toInt(),
+
+  query('shuffleQuestions')
+    .optional()
+    .isBoolean()
+    .withMessage('Shuffle questions must be a boolean')
+    .toBoolean(),
+
+  query('shuffleOptions')
+    .optional()
+    .isBoolean()
+    .withMessage('Shuffle options must be a boolean')
+    .toBoolean(),
+
+  query('answerKey')
+    .optional()
+    .isBoolean()
+    .withMessage('Answer key must be a boolean')
+    .toBoolean()
+];
+
+// Validation rules for attaching media to a question or option
+const questionMediaValidation = [
+  param('questionId')
+    .isMongoId()
+    .withMessage('Invalid question ID'),
+
+  body('optionIndex')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Option index must be between 0 and 5'),
+
+  query('optionIndex')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Option index must be between 0 and 5'),
+
+  ...uploadMediaValidation
+];
+
+// Validation rules for editing single questions
+// revision is the quiz's currentRevision the client last saw; edits made to an older revision get 409
+const expectedRevisionValidation = [
+  body('revision')
+    .isInt({ min: 0 })
+    .withMessage('Revision must be the quiz revision the edit is based on')
+    .toInt()
+];
+
+const questionIdValidation = [
+  param('questionId')
+    .isMongoId()
+    .withMessage('Invalid question ID')
+];
+
+const addQuestionValidation = [
+  ...expectedRevisionValidation,
+
+  body('question')
+    .isObject()
+    .withMessage('Question must be an object'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt()
+];
+
+const updateQuestionValidation = [
+  ...questionIdValidation,
+  ...expectedRevisionValidation,
+
+  body('question')
+    .isObject()
+    .withMessage('Question must be an object')
+];
+
+const addBankQuestionValidation = [
+  ...expectedRevisionValidation,
+
+  body('bankQuestionId')
+    .isMongoId()
+    .withMessage('Invalid bank question ID format'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt(),
+
+  body('mode')
+    .optional()
+    .isIn(BANK_LINK_MODES)
+    .withMessage('Mode must be linked or pinned')
+];
+
+const questionBankLinkValidation = [
+  ...questionIdValidation,
+  ...expectedRevisionValidation,
+
+  body('mode')
+    .optional()
+    .isIn(BANK_LINK_MODES)
+    .withMessage('Mode must be linked or pinned'),
+
+  body('sync')
+    .optional()
+    .isBoolean()
+    .withMessage('Sync must be a boolean')
+    .toBoolean()
+];
+
+const deleteQuestionValidation = [
+  ...questionIdValidation,
+
+  query('revision')
+    .isInt({ min: 0 })
+    .withMessage('Revision must be the quiz revision the edit is based on')
+];
+
+const reorderQuestionsValidation = [
+  ...expectedRevisionValidation,
+
+  body('questionIds')
+    .isArray({ min: 1 })
+    .withMessage('Question IDs must be a non-empty array'),
+
+  body('questionIds.*')
+    .isMongoId()
+    .withMessage('Invalid question ID')
+];
+
+// Validation rules for duplicating a quiz
+const duplicateQuizValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters')
+];
+
 /**
  * @swagger
  * /api/quizzes:
@@ -90,7 +579,6 @@ const getQuizzesValidation = [
  *             type: object
  *             required:
  *               - title
- *               - questions
  *             properties:
  *               title:
  *                 type: string
@@ -100,32 +588,114 @@ const getQuizzesValidation = [
  *                 type: string
  *                 maxLength: 100
  *                 example: "John Doe"
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                   maxLength: 30
+ *                 example: ["geography", "capitals"]
+ *               subject:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Geography"
+ *               gradeLevel:
+ *                 type: string
+ *                 enum: [preschool, elementary, middle-school, high-school, university, adult]
+ *               language:
+ *                 type: string
+ *                 example: "en"
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, unlisted, public]
+ *                 default: unlisted
+ *                 description: private = creator and collaborators only, unlisted = anyone with the ID, public = also in the catalog. Only the creator can change it.
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *                 default: published
+ *                 description: Drafts can be saved with missing questions, options or answers; they are hidden from everyone but editors and cannot be hosted until published
+ *               questionPools:
+ *                 type: array
+ *                 maxItems: 10
+ *                 description: Rules drawing random questions from the creator's question bank each time a room is created; drawn questions are asked after the fixed questions
+ *                 items:
+ *                   $ref: '#/components/schemas/QuestionPool'
  *               questions:
  *                 type: array
- *                 minItems: 1
+ *                 description: Fixed questions, asked first and in order. Required with at least one complete question unless the quiz is a draft or has question pools
  *                 items:
  *                   type: object
  *                   required:
  *                     - questionText
- *                     - options
- *                     - correctAnswerIndex
  *                   properties:
+ *                     questionType:
+ *                       type: string
+ *                       enum: [single, true-false, multi-select, short-answer]
+ *                       default: single
  *                     questionText:
  *                       type: string
  *                       maxLength: 500
  *                       example: "What is the capital of France?"
  *                     options:
  *                       type: array
+ *                       description: 2-6 options; exactly 2 for true-false (defaults to True/False); omitted for short-answer
  *                       items:
  *                         type: string
- *                       minItems: 4
- *                       maxItems: 4
+ *                       minItems: 2
+ *                       maxItems: 6
  *                       example: ["Paris", "London", "Berlin", "Madrid"]
  *                     correctAnswerIndex:
  *                       type: integer
+ *                       description: Required for single and true-false questions
  *                       minimum: 0
- *                       maximum: 3
+ *                       maximum: 5
  *                       example: 0
+ *                     correctAnswerIndices:
+ *                       type: array
+ *                       description: Required for multi-select questions
+ *                       items:
+ *                         type: integer
+ *                       example: [0, 2]
+ *                     acceptedAnswers:
+ *                       type: array
+ *                       description: Required for short-answer questions; compared after trimming and collapsing spaces
+ *                       items:
+ *                         type: string
+ *                       example: ["Paris"]
+ *                     caseSensitive:
+ *                       type: boolean
+ *                       default: false
+ *                     difficulty:
+ *                       type: string
+ *                       enum: [easy, medium, hard]
+ *                     explanation:
+ *                       type: string
+ *                       maxLength: 1000
+ *                       description: Shown to players when the question closes and in the results
+ *                     referenceUrl:
+ *                       type: string
+ *                       format: uri
+ *                       description: Optional http(s) link for further reading
+ *                     media:
+ *                       $ref: '#/components/schemas/Media'
+ *                     optionMedia:
+ *                       type: array
+ *                       description: Media for answer options, each with the optionIndex it belongs to
+ *                       items:
+ *                         $ref: '#/components/schemas/Media'
+ *                     timeLimitSeconds:
+ *                       type: integer
+ *                       minimum: 5
+ *                       maximum: 300
+ *                       default: 10
+ *                       example: 20
+ *                     points:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 1000
+ *                       default: 1
+ *                       example: 2
  *     responses:
  *       201:
  *         description: Quiz created successfully
@@ -150,6 +720,9 @@ const getQuizzesValidation = [
  *                               type: string
  *                             questionsCount:
  *                               type: integer
+ *                             status:
+ *                               type: string
+ *                               enum: [draft, published]
  *                             createdAt:
  *                               type: string
  *                               format: date-time
@@ -176,29 +749,149 @@ router.post('/', authenticateToken, createQuizValidation, validateRequest, quizC
 
 /**
  * @swagger
- * /api/quizzes:
- *   get:
- *     summary: Get all quizzes (authenticated user's quizzes)
+ * /api/quizzes/import:
+ *   post:
+ *     summary: Create quizzes from a CSV, TSV, Moodle GIFT or Aiken file, or a QTI 2.1 package
+ *     description: |
+ *       GIFT and Aiken files are read question by question; GIFT $CATEGORY lines group the questions into quizzes.
+ *       GIFT matching, numerical, essay and description questions have no equivalent here and are reported as errors.
+ *       For these formats an error's row is the line the question starts on.
+ *
+ *       QTI 2.1 packages (zip with an imsmanifest.xml) are read item by item; each assessment test becomes a quiz.
+ *       Choice interactions become single, true/false or multi-select questions and text entry interactions short answer questions;
+ *       other interactions (order, match, hotspot, extended text...) are reported as errors. An error's row is the item number.
+ *       Time limits and points come from the test's timeLimits and weight. Images packaged inside the zip are not imported.
+ *
+ *       CSV and TSV files have one question per row, under a header row (up to 1000 rows, 2 MB). Columns are matched by name, ignoring case and spaces:
+ *       `question` (required), `options` (separated by |) or one column per option (`Option 1`... or `A`, `B`...),
+ *       `correct` (the option's text, letter or number; several separated by commas for multi-select;
+ *       accepted answers separated by | for short answer), and optionally `quiz`, `type`, `explanation`,
+ *       `reference`, `difficulty`, `time limit` and `points`. Rows with a `quiz` column are grouped into one quiz per title.
+ *       Every row is validated on its own: rows with errors are reported by spreadsheet row number (the header is row 1) and skipped,
+ *       the other rows are imported.
  *     tags: [Quizzes]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: Items per page
- *       - in: query
- *         name: sortBy
- *         schema:
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [csv, tsv, gift, aiken, qti]
+ *                 description: Defaults to the file extension (.csv, .tsv, .gift, .zip), or to the content for other files; the CSV separator (comma, semicolon or tab) is guessed from the header
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: Title for rows without a quiz column (defaults to the file name)
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *                 default: draft
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Check the file and report errors without creating quizzes
+ *     responses:
+ *       201:
+ *         description: Quizzes created; lists skipped rows with their errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         totalRows:
+ *                           type: integer
+ *                         importedRows:
+ *                           type: integer
+ *                         skippedRows:
+ *                           type: integer
+ *                         quizzes:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               status:
+ *                                 type: string
+ *                               questionsCount:
+ *                                 type: integer
+ *                               rows:
+ *                                 type: array
+ *                                 items:
+ *                                   type: integer
+ *                         ignoredColumns:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         errors:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               row:
+ *                                 type: integer
+ *                                 nullable: true
+ *                                 description: Spreadsheet row number, or null for errors about a whole quiz
+ *                               quiz:
+ *                                 type: string
+ *                               errors:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                                 example: ['Correct answer "E" does not match any option']
+ *       200:
+ *         description: Dry run result
+ *       400:
+ *         description: Unreadable file, or no row could be imported
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: File too large
+ */
+router.post('/import', authenticateToken, uploadImport, importQuizzesValidation, validateRequest, quizController.importQuizzes);
+
+/**
+ * @swagger
+ * /api/quizzes:
+ *   get:
+ *     summary: Get all quizzes (authenticated user's quizzes)
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Items per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
  *           type: string
  *           enum: [title, authorName, createdAt, updatedAt]
  *         description: Sort field
@@ -213,6 +906,44 @@ router.post('/', authenticateToken, createQuizValidation, validateRequest, quizC
  *         schema:
  *           type: string
  *         description: Search term
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *         description: List archived quizzes instead of active ones
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published]
+ *         description: Only drafts or only published quizzes (both by default)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags the quiz must all have
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: gradeLevel
+ *         schema:
+ *           type: string
+ *           enum: [preschool, elementary, middle-school, high-school, university, adult]
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         example: en
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         description: Only quizzes with at least one question of this difficulty
  *     responses:
  *       200:
  *         description: Quizzes retrieved successfully
@@ -239,6 +970,11 @@ router.post('/', authenticateToken, createQuizValidation, validateRequest, quizC
  *                                 type: string
  *                               questionsCount:
  *                                 type: integer
+ *                               status:
+ *                                 type: string
+ *                                 enum: [draft, published]
+ *                               isArchived:
+ *                                 type: boolean
  *                               createdAt:
  *                                 type: string
  *                               updatedAt:
@@ -259,12 +995,228 @@ router.post('/', authenticateToken, createQuizValidation, validateRequest, quizC
  */
 router.get('/', authenticateToken, getQuizzesValidation, validateRequest, quizController.getAllQuizzes);
 
+/**
+ * @swagger
+ * /api/quizzes/catalog:
+ *   get:
+ *     summary: Browse public quizzes from every creator
+ *     description: Lists quizzes with visibility "public". Searching uses the title and author name text index.
+ *     tags: [Quizzes]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Words to search for in the title and author name
+ *       - in: query
+ *         name: authorName
+ *         schema:
+ *           type: string
+ *         description: Only quizzes by this author (case-insensitive)
+ *       - in: query
+ *         name: minQuestions
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: maxQuestions
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: questionType
+ *         schema:
+ *           type: string
+ *           enum: [single, true-false, multi-select, short-answer]
+ *         description: Only quizzes with at least one question of this type
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags the quiz must all have
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: gradeLevel
+ *         schema:
+ *           type: string
+ *           enum: [preschool, elementary, middle-school, high-school, university, adult]
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         example: en
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         description: Only quizzes with at least one question of this difficulty
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [relevance, title, authorName, createdAt, updatedAt]
+ *         description: Defaults to relevance when q is given, otherwise createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: Quiz catalog retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         quizzes:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               authorName:
+ *                                 type: string
+ *                               questionsCount:
+ *                                 type: integer
+ *                               relevance:
+ *                                 type: number
+ *                                 description: Text search score, only when q is given
+ *                         pagination:
+ *                           type: object
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/catalog', getCatalogValidation, validateRequest, quizController.getCatalog);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FacetCount:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *         count:
+ *           type: integer
+ *     QuizFacets:
+ *       type: object
+ *       properties:
+ *         tags:
+ *           type: array
+ *           description: Up to 50 most used tags
+ *           items:
+ *             $ref: '#/components/schemas/FacetCount'
+ *         subjects:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetCount'
+ *         gradeLevels:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetCount'
+ *         languages:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetCount'
+ *         difficulties:
+ *           type: array
+ *           description: Number of quizzes containing at least one question of each difficulty
+ *           items:
+ *             $ref: '#/components/schemas/FacetCount'
+ *         totalQuizzes:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/quizzes/catalog/facets:
+ *   get:
+ *     summary: Count public quizzes per tag, subject, grade level, language and difficulty
+ *     description: Accepts the same metadata filters as the catalog; counts are computed after filtering
+ *     tags: [Quizzes]
+ *     responses:
+ *       200:
+ *         description: Facets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         facets:
+ *                           $ref: '#/components/schemas/QuizFacets'
+ */
+router.get('/catalog/facets', metadataFilterValidation, validateRequest, quizController.getCatalogFacets);
+
+/**
+ * @swagger
+ * /api/quizzes/facets:
+ *   get:
+ *     summary: Count your quizzes per tag, subject, grade level, language and difficulty
+ *     description: Accepts the same metadata filters and archived flag as GET /api/quizzes; counts are computed after filtering
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Facets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         facets:
+ *                           $ref: '#/components/schemas/QuizFacets'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/facets', authenticateToken, getFacetsValidation, validateRequest, quizController.getFacets);
+
 /**
  * @swagger
  * /api/quizzes/{id}/answers:
  *   get:
  *     summary: Get a quiz by ID with correct answers
+ *     description: Only the quiz creator and users the quiz is shared with
  *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -301,6 +1253,8 @@ router.get('/', authenticateToken, getQuizzesValidation, validateRequest, quizCo
  *                                 properties:
  *                                   id:
  *                                     type: string
+ *                                   questionType:
+ *                                     type: string
  *                                   questionText:
  *                                     type: string
  *                                   options:
@@ -310,19 +1264,34 @@ router.get('/', authenticateToken, getQuizzesValidation, validateRequest, quizCo
  *                                   correctAnswerIndex:
  *                                     type: integer
  *                                     minimum: 0
- *                                     maximum: 3
+ *                                     maximum: 5
+ *                                   correctAnswerIndices:
+ *                                     type: array
+ *                                     items:
+ *                                       type: integer
+ *                                   acceptedAnswers:
+ *                                     type: array
+ *                                     items:
+ *                                       type: string
+ *                             access:
+ *                               type: string
+ *                               enum: [owner, collaborator]
  *                             createdAt:
  *                               type: string
  *                             updatedAt:
  *                               type: string
  *       400:
  *         description: Invalid quiz ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
  *       404:
  *         description: Quiz not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:id/answers', quizController.getQuizWithAnswers);
+router.get('/:id/answers', authenticateToken, requireQuizEditor, quizController.getQuizWithAnswers);
 
 /**
  * @swagger
@@ -357,16 +1326,53 @@ router.get('/:id/answers', quizController.getQuizWithAnswers);
  *                 type: string
  *                 maxLength: 100
  *                 example: "John Doe"
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                   maxLength: 30
+ *                 example: ["geography", "capitals"]
+ *               subject:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Geography"
+ *               gradeLevel:
+ *                 type: string
+ *                 enum: [preschool, elementary, middle-school, high-school, university, adult]
+ *               language:
+ *                 type: string
+ *                 example: "en"
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, unlisted, public]
+ *                 default: unlisted
+ *                 description: private = creator and collaborators only, unlisted = anyone with the ID, public = also in the catalog. Only the creator can change it.
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *                 description: Defaults to the quiz's current status; setting published runs the full validation
+ *               revision:
+ *                 type: integer
+ *                 description: Optional currentRevision the edit is based on; if someone saved a newer revision since, the update fails with 409
+ *               questionPools:
+ *                 type: array
+ *                 maxItems: 10
+ *                 description: Rules drawing random questions from the creator's question bank each time a room is created; drawn questions are asked after the fixed questions
+ *                 items:
+ *                   $ref: '#/components/schemas/QuestionPool'
  *               questions:
  *                 type: array
- *                 minItems: 1
+ *                 description: Fixed questions, asked first and in order. Required with at least one complete question unless the quiz is a draft or has question pools
  *                 items:
  *                   type: object
  *                   required:
  *                     - questionText
- *                     - options
- *                     - correctAnswerIndex
  *                   properties:
+ *                     questionType:
+ *                       type: string
+ *                       enum: [single, true-false, multi-select, short-answer]
+ *                       default: single
  *                     questionText:
  *                       type: string
  *                       maxLength: 500
@@ -374,12 +1380,48 @@ router.get('/:id/answers', quizController.getQuizWithAnswers);
  *                       type: array
  *                       items:
  *                         type: string
- *                       minItems: 4
- *                       maxItems: 4
+ *                       minItems: 2
+ *                       maxItems: 6
  *                     correctAnswerIndex:
  *                       type: integer
  *                       minimum: 0
- *                       maximum: 3
+ *                       maximum: 5
+ *                     correctAnswerIndices:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                     acceptedAnswers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     caseSensitive:
+ *                       type: boolean
+ *                     difficulty:
+ *                       type: string
+ *                       enum: [easy, medium, hard]
+ *                     explanation:
+ *                       type: string
+ *                       maxLength: 1000
+ *                       description: Shown to players when the question closes and in the results
+ *                     referenceUrl:
+ *                       type: string
+ *                       format: uri
+ *                       description: Optional http(s) link for further reading
+ *                     media:
+ *                       $ref: '#/components/schemas/Media'
+ *                     optionMedia:
+ *                       type: array
+ *                       description: Media for answer options, each with the optionIndex it belongs to
+ *                       items:
+ *                         $ref: '#/components/schemas/Media'
+ *                     timeLimitSeconds:
+ *                       type: integer
+ *                       minimum: 5
+ *                       maximum: 300
+ *                     points:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 1000
  *     responses:
  *       200:
  *         description: Quiz updated successfully
@@ -404,6 +1446,14 @@ router.get('/:id/answers', quizController.getQuizWithAnswers);
  *                               type: string
  *                             questionsCount:
  *                               type: integer
+ *                             status:
+ *                               type: string
+ *                               enum: [draft, published]
+ *                             publishedAt:
+ *                               type: string
+ *                               nullable: true
+ *                             currentRevision:
+ *                               type: integer
  *                             createdAt:
  *                               type: string
  *                             updatedAt:
@@ -413,14 +1463,16 @@ router.get('/:id/answers', quizController.getQuizWithAnswers);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Not authorized to update this quiz
+ *         description: Not the creator or a collaborator
  *       404:
  *         description: Quiz not found
+ *       409:
+ *         description: The quiz was changed since the given revision
  *       500:
  *         description: Internal server error
  */
 console.log('Registering PUT /:id route');
-router.put('/:id', authenticateToken, createQuizValidation, validateRequest, quizController.updateQuiz);
+router.put('/:id', authenticateToken, requireQuizEditor, createQuizValidation, validateRequest, quizController.updateQuiz);
 console.log('PUT /:id route registered successfully');
 
 /**
@@ -428,6 +1480,7 @@ console.log('PUT /:id route registered successfully');
  * /api/quizzes/{id}:
  *   get:
  *     summary: Get a specific quiz by ID (without correct answers)
+ *     description: Private quizzes and drafts return 404 unless the caller is the creator or a collaborator
  *     tags: [Quizzes]
  *     parameters:
  *       - in: path
@@ -502,6 +1555,1015 @@ console.log('PUT /:id route registered successfully');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', quizController.getQuizById);
+router.get('/:id', optionalAuth, quizController.getQuizById);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}:
+ *   delete:
+ *     summary: Delete a quiz
+ *     description: Only the quiz creator can delete it. Results of games already played are kept in the game history.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       200:
+ *         description: Quiz deleted successfully
+ *       400:
+ *         description: Invalid quiz ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the quiz creator
+ *       404:
+ *         description: Quiz not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, requireQuizOwner, quizController.deleteQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/duplicate:
+ *   post:
+ *     summary: Create a copy of a quiz
+ *     description: Copies the title, author name and every question into a new quiz owned by the authenticated user. Questions copied from someone else's question bank lose their bank link.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: Title of the copy (defaults to "<title> (Copy)")
+ *                 example: "Geography Quiz - Spring term"
+ *     responses:
+ *       201:
+ *         description: Quiz duplicated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         quiz:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                             title:
+ *                               type: string
+ *                             questionsCount:
+ *                               type: integer
+ *                             duplicatedFrom:
+ *                               type: string
+ *       400:
+ *         description: Validation error or invalid quiz ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the quiz creator
+ *       404:
+ *         description: Quiz not found
+ */
+router.post('/:id/duplicate', authenticateToken, requireQuizEditor, duplicateQuizValidation, validateRequest, quizController.duplicateQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/archive:
+ *   post:
+ *     summary: Archive a quiz
+ *     description: Hides the quiz from the quiz list without deleting it or its game history
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       200:
+ *         description: Quiz archived successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the quiz creator
+ *       404:
+ *         description: Quiz not found
+ */
+router.post('/:id/archive', authenticateToken, requireQuizOwner, quizController.archiveQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/unarchive:
+ *   post:
+ *     summary: Restore an archived quiz
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       200:
+ *         description: Quiz restored successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the quiz creator
+ *       404:
+ *         description: Quiz not found
+ */
+router.post('/:id/unarchive', authenticateToken, requireQuizOwner, quizController.unarchiveQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/publish:
+ *   post:
+ *     summary: Publish a draft quiz
+ *     description: Runs the full quiz validation; on success the quiz becomes visible to others and can be hosted
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       200:
+ *         description: Quiz published successfully
+ *       400:
+ *         description: The quiz has missing or invalid questions (listed in errors)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz not found
+ */
+router.post('/:id/publish', authenticateToken, requireQuizEditor, quizController.publishQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/unpublish:
+ *   post:
+ *     summary: Turn a quiz back into a draft
+ *     description: Hides the quiz from everyone but its editors and stops new rooms from being created for it. Rooms already open are not affected.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       200:
+ *         description: Quiz moved back to draft
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz not found
+ */
+router.post('/:id/unpublish', authenticateToken, requireQuizEditor, quizController.unpublishQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/collaborators:
+ *   get:
+ *     summary: List the users a quiz is shared with
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       200:
+ *         description: Collaborators retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz not found
+ *   post:
+ *     summary: Share a quiz with another user
+ *     description: Collaborators can see the correct answers, edit and duplicate the quiz. Only the creator can share, archive or delete it.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "teacher@example.com"
+ *     responses:
+ *       200:
+ *         description: Quiz shared successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the quiz creator
+ *       404:
+ *         description: Quiz or user not found
+ */
+router.get('/:id/collaborators', authenticateToken, requireQuizEditor, quizController.getCollaborators);
+router.post('/:id/collaborators', authenticateToken, requireQuizOwner, shareQuizValidation, validateRequest, quizController.addCollaborator);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/collaborators/{userId}:
+ *   delete:
+ *     summary: Stop sharing a quiz with a user
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collaborator user ID
+ *     responses:
+ *       200:
+ *         description: Collaborator removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the quiz creator
+ *       404:
+ *         description: Quiz or collaborator not found
+ */
+router.delete('/:id/collaborators/:userId', authenticateToken, requireQuizOwner, removeCollaboratorValidation, validateRequest, quizController.removeCollaborator);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/revisions:
+ *   get:
+ *     summary: List the revisions of a quiz
+ *     description: Every change to the title or questions is kept as an immutable revision, newest first
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz not found
+ */
+router.get('/:id/revisions', authenticateToken, requireQuizEditor, listRevisionsValidation, validateRequest, quizController.getRevisions);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a quiz
+ *     description: Lists the title change and the added, removed and modified questions (matched by position)
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Older revision (defaults to the one before "to")
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Newer revision (defaults to the current revision)
+ *     responses:
+ *       200:
+ *         description: Revisions compared successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz or revision not found
+ */
+router.get('/:id/revisions/diff', authenticateToken, requireQuizEditor, diffRevisionsValidation, validateRequest, quizController.diffRevisions);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get one revision of a quiz with its questions and answers
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz or revision not found
+ */
+router.get('/:id/revisions/:revision', authenticateToken, requireQuizEditor, revisionParamValidation, validateRequest, quizController.getRevision);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/revisions/{revision}/rollback:
+ *   post:
+ *     summary: Restore an earlier revision of a quiz
+ *     description: Copies the revision's title and questions back into the quiz as a new revision; later revisions are kept
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Quiz rolled back
+ *       400:
+ *         description: The quiz is already at this revision, or the revision is incomplete and the quiz is published
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz or revision not found
+ */
+router.post('/:id/revisions/:revision/rollback', authenticateToken, requireQuizEditor, revisionParamValidation, validateRequest, quizController.rollbackQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions:
+ *   post:
+ *     summary: Add one question to a quiz
+ *     description: Saves a new revision. Send the quiz's currentRevision you last loaded; if someone saved a newer revision since, the request fails with 409 instead of overwriting their change.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *               - question
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 description: currentRevision the edit is based on
+ *                 example: 4
+ *               question:
+ *                 $ref: '#/components/schemas/Question'
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Index to insert at (appended by default)
+ *     responses:
+ *       201:
+ *         description: Question added; returns the question with its ID and the new currentRevision
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz not found
+ *       409:
+ *         description: The quiz was changed since the given revision
+ */
+router.post('/:id/questions', authenticateToken, requireQuizEditor, addQuestionValidation, validateRequest, quizController.addQuestion);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/bank:
+ *   post:
+ *     summary: Add a copy of one of your bank questions to a quiz
+ *     description: The copy remembers the bank question and version it came from. Linked copies get later edits of the bank question; pinned copies keep this version.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *               - bankQuestionId
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 description: currentRevision the edit is based on
+ *               bankQuestionId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Index to insert at (appended by default)
+ *               mode:
+ *                 type: string
+ *                 enum: [linked, pinned]
+ *                 default: linked
+ *     responses:
+ *       201:
+ *         description: Question added
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz or bank question not found
+ *       409:
+ *         description: The quiz was changed since the given revision
+ */
+router.post('/:id/questions/bank', authenticateToken, requireQuizEditor, addBankQuestionValidation, validateRequest, quizController.addBankQuestion);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/pools:
+ *   get:
+ *     summary: Check a quiz's question pools against the question bank
+ *     description: Counts the creator's bank questions matching each pool rule. Rooms can only be created while every pool has enough questions.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     responses:
+ *       200:
+ *         description: Pools with the number of matching bank questions and whether each can be filled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz not found
+ */
+router.get('/:id/pools', authenticateToken, requireQuizEditor, quizController.getQuestionPools);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/export:
+ *   get:
+ *     summary: Download a quiz as a Moodle GIFT or Aiken text file, or a QTI 2.1 package
+ *     description: |
+ *       Only the quiz's own questions are written; question pools are not part of these formats.
+ *       GIFT holds every question type and names the quiz in a $CATEGORY line, so importing the file back gives the same quiz.
+ *       Aiken only has single answer questions: true/false questions are written with two options and
+ *       multi-select and short answer questions are left out. Left-out questions are listed (1-based) in the X-Skipped-Questions header.
+ *       Neither text format keeps media, time limits or points.
+ *
+ *       A QTI package is a zip with an imsmanifest.xml, an assessment test and one assessment item per question,
+ *       for learning management systems that import IMS QTI 2.1. It holds every question type, with time limits
+ *       and points on the test's item references, explanations as modal feedback and media linked by URL.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [gift, aiken, qti]
+ *     responses:
+ *       200:
+ *         description: Quiz file
+ *         headers:
+ *           X-Skipped-Questions:
+ *             schema:
+ *               type: string
+ *             description: Comma-separated numbers of the questions the format can't hold
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format, or no question can be written in it
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the creator and collaborators can export a quiz
+ *       404:
+ *         description: Quiz not found
+ */
+router.get('/:id/export', authenticateToken, requireQuizEditor, exportQuizValidation, validateRequest, quizController.exportQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/print:
+ *   get:
+ *     summary: Download a printable paper version of a quiz with answer keys
+ *     description: |
+ *       Renders the quiz as a print-ready HTML page: numbered questions, lettered options, answer lines for short answer questions
+ *       and, after each version, an answer key on a page of its own. Print it from a browser, or save it as PDF from the print dialog.
+ *       Images are printed; audio and video are named with their link. Math needs the KaTeX stylesheet the page links to.
+ *       With several variants every version gets its own question and option order (like shuffled game rooms) and its own answer key.
+ *       Quizzes with question pools are drawn once, so all versions have the same questions.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: query
+ *         name: variants
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 1
+ *         description: Number of versions (A, B, C...)
+ *       - in: query
+ *         name: shuffleQuestions
+ *         schema:
+ *           type: boolean
+ *         description: Shuffle the question order of each version (default true for more than one version)
+ *       - in: query
+ *         name: shuffleOptions
+ *         schema:
+ *           type: boolean
+ *         description: Shuffle the options of single and multi-select questions (default true for more than one version)
+ *       - in: query
+ *         name: answerKey
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Add the answer key pages
+ *     responses:
+ *       200:
+ *         description: Printable quiz, named after the quiz title (algebra-warm-up-print.html)
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error, the quiz has no questions, or its question pools can't be filled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the creator and collaborators can print a quiz
+ *       404:
+ *         description: Quiz not found
+ */
+router.get('/:id/print', authenticateToken, requireQuizEditor, printQuizValidation, validateRequest, quizController.printQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/order:
+ *   put:
+ *     summary: Reorder the questions of a quiz
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *               - questionIds
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 description: currentRevision the edit is based on
+ *               questionIds:
+ *                 type: array
+ *                 description: Every question ID of the quiz, each once, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Questions reordered
+ *       400:
+ *         description: The IDs don't match the quiz's questions
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz not found
+ *       409:
+ *         description: The quiz was changed since the given revision
+ */
+router.put('/:id/questions/order', authenticateToken, requireQuizEditor, reorderQuestionsValidation, validateRequest, quizController.reorderQuestions);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/{questionId}:
+ *   put:
+ *     summary: Replace one question
+ *     description: The question keeps its ID and position. Fields left out are cleared, as with PUT /api/quizzes/{id}.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *               - question
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 description: currentRevision the edit is based on
+ *               question:
+ *                 $ref: '#/components/schemas/Question'
+ *     responses:
+ *       200:
+ *         description: Question updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz or question not found
+ *       409:
+ *         description: The quiz was changed since the given revision
+ *   delete:
+ *     summary: Remove one question
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *       - in: query
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: currentRevision the edit is based on
+ *     responses:
+ *       200:
+ *         description: Question deleted
+ *       400:
+ *         description: A published quiz must keep at least one question
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz or question not found
+ *       409:
+ *         description: The quiz was changed since the given revision
+ */
+router.put('/:id/questions/:questionId', authenticateToken, requireQuizEditor, updateQuestionValidation, validateRequest, quizController.updateQuestion);
+router.delete('/:id/questions/:questionId', authenticateToken, requireQuizEditor, deleteQuestionValidation, validateRequest, quizController.deleteQuestion);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/{questionId}/bank:
+ *   put:
+ *     summary: Link, pin or sync a question copied from the question bank
+ *     description: Switching to linked, or sync set to true, copies in the latest version of the bank question. Pinning keeps the current content. Editing the question directly pins it.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 description: currentRevision the edit is based on
+ *               mode:
+ *                 type: string
+ *                 enum: [linked, pinned]
+ *               sync:
+ *                 type: boolean
+ *                 description: Copy in the latest bank version while keeping the mode
+ *     responses:
+ *       200:
+ *         description: Link updated
+ *       400:
+ *         description: The question is not from the question bank
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz, question or bank question not found
+ *       409:
+ *         description: The quiz was changed since the given revision
+ */
+router.put('/:id/questions/:questionId/bank', authenticateToken, requireQuizEditor, questionBankLinkValidation, validateRequest, quizController.setQuestionBankLink);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions/{questionId}/media:
+ *   post:
+ *     summary: Upload media and attach it to a question or one of its options
+ *     description: |
+ *       Replaces any media already attached there. Files are only stored through this endpoint,
+ *       so every upload belongs to a quiz question and records who uploaded it.
+ *       Images (JPEG, PNG, GIF, WebP) up to 5 MB, audio (MP3, WAV, OGG, M4A, AAC, WebM) up to 10 MB,
+ *       video (MP4, WebM, OGG) up to 50 MB. The file content must match its declared type.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               optionIndex:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 5
+ *                 description: Attach to this option instead of the question
+ *               altText:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Media attached successfully
+ *       400:
+ *         description: No file uploaded or invalid option index
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz or question not found
+ *       409:
+ *         description: The quiz was changed at the same time; reload and try again
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: Unsupported media type, or file content that doesn't match it
+ *   delete:
+ *     summary: Remove the media of a question or one of its options
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *       - in: query
+ *         name: optionIndex
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Remove the media of this option instead of the question
+ *     responses:
+ *       200:
+ *         description: Media removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the creator or a collaborator
+ *       404:
+ *         description: Quiz, question or media not found
+ *       409:
+ *         description: The quiz was changed at the same time; reload and try again
+ */
+router.post('/:id/questions/:questionId/media', authenticateToken, requireQuizEditor, uploadMedia, questionMediaValidation, validateRequest, quizController.attachQuestionMedia);
+router.delete('/:id/questions/:questionId/media', authenticateToken, requireQuizEditor, questionMediaValidation, validateRequest, quizController.removeQuestionMedia);
 
 module.exports = router;
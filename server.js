@@ -1,5 +1,6 @@
 require('dotenv').config();
 
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -7,6 +8,7 @@ const morgan = require('morgan');
 const swaggerUi = require('swagger-ui-express');
 
 const database = require('./config/database');
+const { runMigrations } = require('./config/migrations');
 const apiRoutes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
@@ -42,7 +44,9 @@ class Server {
         : true,
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      allowedHeaders: ['Content-Type', 'Authorization'],
+      // Lets browser clients read the download name and the questions left out of exports
+      exposedHeaders: ['Content-Disposition', 'X-Skipped-Questions']
     }));
 
     // Logging middleware
@@ -78,6 +82,7 @@ class Server {
         documentation: '/api-docs',
         endpoints: {
           quizzes: '/api/quizzes',
+          games: '/api/games',
           health: '/api/health',
           auth: '/api/auth'
         }
@@ -91,6 +96,13 @@ class Server {
       customSiteTitle: 'Quiz Platform API Documentation'
     }));
 
+    // Uploaded question media (local disk storage adapter)
+    if ((process.env.MEDIA_STORAGE || 'local') === 'local') {
+      this.app.use('/uploads', express.static(path.resolve(process.env.UPLOAD_DIR || 'uploads'), {
+        maxAge: '7d'
+      }));
+    }
+
     // API routes
     this.app.use('/api', apiRoutes);
 
@@ -103,6 +115,10 @@ class Server {
         events: {
           'create-room': 'Create a new quiz room (requires auth)',
           'join-room': 'Join an existing room',
+          'rejoin-room': 'Rejoin a room after a dropped connection',
+          'reclaim-host': 'Take the host seat back after a disconnect (requires auth)',
+          'assign-co-host': 'Pick a co-host (host only)',
+          'take-over-host': 'Co-host takes over while the host is disconnected',
           'start-quiz': 'Start the quiz (host only)',
           'submit-answer': 'Submit an answer for current question',
           'next-quiz': 'Advance to next question (host only)',
@@ -130,6 +146,7 @@ class Server {
     try {
       // Connect to database
       await database.connect(process.env.MONGODB_URI);
+      await runMigrations();
 
       // Start HTTP server
       this.server = this.app.listen(this.port, () => {
@@ -153,12 +170,25 @@ class Server {
         console.log('  GET  /api/auth/me         - Get user profile');
         console.log('  POST /api/quizzes         - Create quiz (auth required)');
         console.log('  GET  /api/quizzes         - List all quizzes');
+        console.log('  GET  /api/quizzes/catalog - Browse public quizzes');
         console.log('  GET  /api/quizzes/:id     - Get quiz by ID');
-        console.log('  GET  /api/quizzes/:id/answers - Get quiz with answers');
+        console.log('  GET  /api/quizzes/:id/answers - Get quiz with answers (creator/collaborators)');
+        console.log('  DELETE /api/quizzes/:id   - Delete quiz (creator only)');
+        console.log('  POST /api/quizzes/:id/duplicate - Copy quiz');
+        console.log('  POST /api/quizzes/:id/archive   - Archive quiz');
+        console.log('  POST /api/quizzes/:id/unarchive - Restore archived quiz');
+        console.log('  POST /api/quizzes/:id/collaborators - Share quiz (creator only)');
+        console.log('  GET  /api/games/hosted    - Games you hosted (auth required)');
+        console.log('  GET  /api/games/played    - Games you played (auth required)');
+        console.log('  GET  /api/games/:id       - Game leaderboard and responses');
         console.log('  GET  /ws                  - WebSocket info');
         console.log('\n🔌 Socket.io Events:');
         console.log('  create-room               - Create quiz room (auth required)');
         console.log('  join-room                 - Join existing room');
+        console.log('  rejoin-room               - Rejoin room after disconnect');
+        console.log('  reclaim-host              - Host reconnects (auth required)');
+        console.log('  assign-co-host            - Pick co-host (host only)');
+        console.log('  take-over-host            - Co-host takes over');
         console.log('  start-quiz                - Start quiz (host only)');
         console.log('  submit-answer             - Submit answer');
         console.log('  next-quiz                 - Next question (host only)');
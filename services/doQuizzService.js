@@ -1,4 +1,16 @@
 const Quiz = require('../models/Quiz');
+const roomService = require('./roomService');
+const scoringService = require('./scoringService');
+const gradingService = require('./gradingService');
+const mediaService = require('./mediaService');
+const richTextService = require('./richTextService');
+const shuffleService = require('./shuffleService');
+
+// Used when a question has no time limit of its own
+const DEFAULT_QUESTION_DURATION = 10000;
+
+// How long the correct answer and explanation stay up before the next question
+const DEFAULT_REVEAL_DURATION = 5000;
 
 /**
  * Do Quiz Service
@@ -27,9 +39,10 @@ class DoQuizService {
    * @param {object} quizData - Quiz data from room
    * @param {Map} participants - Participants map
    * @param {object} io - Socket.io instance for emitting events
+   * @param {object} options - Game options chosen by the host ({ scoringMode, revealDuration, shuffleOptions })
    * @returns {object} Quiz session data
    */
-  startQuiz(roomCode, quizData, participants, io = null) {
+  startQuiz(roomCode, quizData, participants, io = null, options = {}) {
     try {
       console.log(`🎮 Starting quiz for room ${roomCode}:`, {
         quizData: quizData ? {
@@ -52,8 +65,16 @@ class DoQuizService {
         questionStartTime: null,
         participants: new Map(participants), // Copy participants
         isActive: true,
+        isPaused: false,
+        pausedTimeRemaining: null,
         isCompleted: false,
-        questionDuration: 10000, // 10 seconds per question
+        questionDuration: DEFAULT_QUESTION_DURATION, // Set per question from timeLimitSeconds
+        isRevealing: false, // Question closed, correct answer and explanation on screen
+        revealEndsAt: null,
+        revealDuration: options.revealDuration !== undefined ? options.revealDuration : DEFAULT_REVEAL_DURATION,
+        scoringMode: options.scoringMode || 'classic',
+        shuffleOptions: options.shuffleOptions === true,
+        optionOrders: new Map(), // playerId => Map of questionIndex => option order
         results: {
           scores: new Map(),
           answers: new Map(),
@@ -91,28 +112,243 @@ class DoQuizService {
       return;
     }
 
-    // Set question start time
+    // Set question start time and this question's time limit
     quizSession.questionStartTime = new Date();
+    quizSession.questionDuration = this.getQuestionDuration(quizSession.questions[quizSession.currentQuestionIndex]);
     
+    // Set timer for current question
+    this.setQuestionTimer(roomCode, quizSession.questionDuration, io);
+
+    console.log(`📝 Question ${quizSession.currentQuestionIndex + 1} started for room ${roomCode}`);
+  }
+
+  /**
+   * Get how long a question stays open
+   * @param {object} question - Question data
+   * @returns {number} Duration in milliseconds
+   */
+  getQuestionDuration(question) {
+    return question && question.timeLimitSeconds
+      ? question.timeLimitSeconds * 1000
+      : DEFAULT_QUESTION_DURATION;
+  }
+
+  /**
+   * Get the points a correct answer to a question is worth
+   * @param {object} question - Question data
+   * @returns {number} Points
+   */
+  getQuestionPoints(question) {
+    return question && typeof question.points === 'number' ? question.points : 1;
+  }
+
+  /**
+   * Schedule the auto-advance timer for the current question
+   * @param {string} roomCode - Room code
+   * @param {number} delay - Milliseconds until the question times out
+   * @param {object} io - Socket.io instance for emitting events
+   */
+  setQuestionTimer(roomCode, delay, io = null) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!quizSession) return;
+
     // Clear existing timer
     this.clearQuestionTimer(roomCode);
 
-    // Set timer for current question
     const timer = setTimeout(() => {
       console.log(`⏰ Time up for question ${quizSession.currentQuestionIndex + 1} in room ${roomCode}`);
+      this.endQuestion(roomCode, io);
+    }, delay);
+
+    this.questionTimers.set(roomCode, timer);
+  }
+
+  /**
+   * Schedule the move to the next question once the reveal is over
+   * @param {string} roomCode - Room code
+   * @param {number} delay - Milliseconds left in the reveal
+   * @param {object} io - Socket.io instance for emitting events
+   */
+  setRevealTimer(roomCode, delay, io = null) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!quizSession) return;
+
+    this.clearQuestionTimer(roomCode);
+    quizSession.revealEndsAt = Date.now() + delay;
+
+    const timer = setTimeout(() => {
       this.nextQuestion(roomCode, io);
-    }, quizSession.questionDuration);
+    }, delay);
 
     this.questionTimers.set(roomCode, timer);
+  }
 
-    console.log(`📝 Question ${quizSession.currentQuestionIndex + 1} started for room ${roomCode}`);
+  /**
+   * Close the current question and reveal its answer and explanation
+   * The next question follows after the room's reveal duration.
+   * @param {string} roomCode - Room code
+   * @param {object} io - Socket.io instance for emitting events
+   * @returns {object|null} Reveal data
+   */
+  endQuestion(roomCode, io = null) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!quizSession || quizSession.isRevealing) {
+      return null;
+    }
+
+    const reveal = this.revealAnswer(roomCode, io);
+
+    if (quizSession.revealDuration > 0) {
+      this.setRevealTimer(roomCode, quizSession.revealDuration, io);
+    } else {
+      this.nextQuestion(roomCode, io);
+    }
+
+    return reveal;
+  }
+
+  /**
+   * Record missing answers for the current question and broadcast its answer reveal
+   * @param {string} roomCode - Room code
+   * @param {object} io - Socket.io instance for emitting events
+   * @returns {object} Reveal data
+   */
+  revealAnswer(roomCode, io = null) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+
+    this.clearQuestionTimer(roomCode);
+
+    // Save "no answer" for participants who didn't submit
+    this.saveNoAnswerForCurrentQuestion(roomCode);
+    quizSession.isRevealing = true;
+
+    const reveal = this.getAnswerReveal(roomCode);
+    const leaderboard = this.getLeaderboard(roomCode);
+
+    this.emitToPlayers(roomCode, io, 'question-ended', playerId => ({
+      reveal: playerId ? this.getAnswerReveal(roomCode, playerId) : reveal,
+      revealDuration: quizSession.revealDuration,
+      leaderboard
+    }));
+
+    console.log(`💡 Answer revealed for question ${quizSession.currentQuestionIndex + 1} in room ${roomCode}`);
+    return reveal;
+  }
+
+  /**
+   * Get the correct answer, explanation and answer counts of the current question
+   * @param {string} roomCode - Room code
+   * @param {string|null} playerId - Player to show the options to in their own order
+   * @returns {object|null} Reveal data
+   */
+  getAnswerReveal(roomCode, playerId = null) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!quizSession) {
+      return null;
+    }
+
+    const questionIndex = quizSession.currentQuestionIndex;
+    const responses = Array.from(quizSession.results.answers.values())
+      .map(answers => answers.find(a => a.questionIndex === questionIndex))
+      .filter(Boolean);
+
+    return {
+      ...this.getQuestionReview(this.getPlayerQuestion(roomCode, questionIndex, playerId), questionIndex),
+      answeredCount: responses.filter(a => a.answer !== -1).length,
+      correctCount: responses.filter(a => a.isCorrect).length
+    };
+  }
+
+  /**
+   * Describe a question with its correct answer and explanation for players
+   * @param {object} question - Question data
+   * @param {number} questionIndex - Position of the question in the quiz
+   * @returns {object} Question review
+   */
+  getQuestionReview(question, questionIndex) {
+    return {
+      questionIndex,
+      questionId: question._id,
+      questionType: gradingService.getQuestionType(question),
+      questionText: question.questionText,
+      options: question.options || [],
+      ...mediaService.formatQuestionMedia(question),
+      rich: richTextService.formatQuestion(question, { withExplanation: true }),
+      correctAnswer: gradingService.getCorrectAnswer(question),
+      correctAnswerIndex: question.correctAnswerIndex,
+      explanation: question.explanation || null,
+      referenceUrl: question.referenceUrl || null
+    };
+  }
+
+  /**
+   * Pause the running question (e.g. while the host reconnects)
+   * @param {string} roomCode - Room code
+   * @returns {boolean} True if the quiz was paused
+   */
+  pauseQuiz(roomCode) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!quizSession || !quizSession.isActive || quizSession.isPaused) {
+      return false;
+    }
+
+    // While revealing, keep what is left of the reveal instead of the question time
+    quizSession.pausedTimeRemaining = quizSession.isRevealing
+      ? Math.max(0, quizSession.revealEndsAt - Date.now())
+      : this.getTimeRemaining(roomCode);
+    quizSession.isPaused = true;
+    this.clearQuestionTimer(roomCode);
+
+    console.log(`⏸️  Quiz paused in room ${roomCode} with ${quizSession.pausedTimeRemaining}ms left on question ${quizSession.currentQuestionIndex + 1}`);
+    return true;
+  }
+
+  /**
+   * Resume a paused question with the time it had left
+   * @param {string} roomCode - Room code
+   * @param {object} io - Socket.io instance for emitting events
+   * @returns {object|null} Current question data, or null if the quiz was not paused
+   */
+  resumeQuiz(roomCode, io = null) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!quizSession || !quizSession.isPaused) {
+      return null;
+    }
+
+    const remaining = quizSession.pausedTimeRemaining;
+
+    if (quizSession.isRevealing) {
+      quizSession.isPaused = false;
+      quizSession.pausedTimeRemaining = null;
+      this.setRevealTimer(roomCode, remaining, io);
+      console.log(`▶️  Quiz resumed in room ${roomCode} with ${remaining}ms left on the answer reveal`);
+      return this.getCurrentQuestion(roomCode);
+    }
+
+    // Shift the start time so the pause does not count as time spent
+    quizSession.questionStartTime = new Date(Date.now() - (quizSession.questionDuration - remaining));
+    quizSession.isPaused = false;
+    quizSession.pausedTimeRemaining = null;
+    this.setQuestionTimer(roomCode, remaining, io);
+
+    console.log(`▶️  Quiz resumed in room ${roomCode} with ${remaining}ms left on question ${quizSession.currentQuestionIndex + 1}`);
+    return this.getCurrentQuestion(roomCode);
+  }
+
+  /**
+   * Stop a quiz without saving results (room cancelled)
+   * @param {string} roomCode - Room code
+   */
+  stopQuiz(roomCode) {
+    this.clearQuestionTimer(roomCode);
+    this.activeQuizzes.delete(roomCode);
   }
 
   /**
    * Move to next question
    * @param {string} roomCode - Room code
    * @param {object} io - Socket.io instance for emitting events
-   * @returns {object} Next question data or null if quiz ended
+   * @returns {object} Next question data or null if quiz ended (or is paused)
    */
   async nextQuestion(roomCode, io = null) {
     const quizSession = this.activeQuizzes.get(roomCode);
@@ -121,11 +357,20 @@ class DoQuizService {
       return null;
     }
 
+    // A paused game waits for its host; resumeQuiz restarts the question where it stopped
+    if (quizSession.isPaused) {
+      return null;
+    }
+
     // Clear current timer
     this.clearQuestionTimer(roomCode);
 
-    // Save "no answer" for participants who didn't submit
-    this.saveNoAnswerForCurrentQuestion(roomCode);
+    // Skipping ahead while the question is still open reveals it without the pause
+    if (!quizSession.isRevealing) {
+      this.revealAnswer(roomCode, io);
+    }
+    quizSession.isRevealing = false;
+    quizSession.revealEndsAt = null;
 
     // Move to next question
     quizSession.currentQuestionIndex++;
@@ -153,11 +398,11 @@ class DoQuizService {
 
     // Emit next-question event to all participants
     if (io) {
-      io.to(roomCode).emit('next-question', {
-        question: nextQuestion,
+      this.emitToPlayers(roomCode, io, 'next-question', playerId => ({
+        question: playerId ? this.getCurrentQuestion(roomCode, playerId) : nextQuestion,
         participantCount: leaderboard.length,
         leaderboard: leaderboard
-      });
+      }));
       
       console.log(`📝 Next question event emitted for room ${roomCode}`);
     }
@@ -168,16 +413,17 @@ class DoQuizService {
   /**
    * Get current question data
    * @param {string} roomCode - Room code
+   * @param {string|null} playerId - Player to show the options to in their own order
    * @returns {object} Current question data
    */
-  getCurrentQuestion(roomCode) {
+  getCurrentQuestion(roomCode, playerId = null) {
     const quizSession = this.activeQuizzes.get(roomCode);
     if (!quizSession) {
       console.error(`Quiz session not found for room ${roomCode}`);
       return null;
     }
 
-    const question = quizSession.questions[quizSession.currentQuestionIndex];
+    const question = this.getPlayerQuestion(roomCode, quizSession.currentQuestionIndex, playerId);
     if (!question) {
       console.error(`Question not found at index ${quizSession.currentQuestionIndex} for room ${roomCode}`);
       return null;
@@ -194,23 +440,101 @@ class DoQuizService {
 
     return {
       questionIndex: quizSession.currentQuestionIndex,
+      questionType: gradingService.getQuestionType(question),
       questionText: question.questionText,
-      options: question.options,
+      options: question.options || [],
+      ...mediaService.formatQuestionMedia(question),
+      rich: richTextService.formatQuestion(question),
       timeRemaining: timeRemaining,
       totalQuestions: quizSession.totalQuestions,
+      points: this.getQuestionPoints(question),
       startAt: quizSession.questionStartTime?.getTime() || Date.now(),
-      duration: quizSession.questionDuration
+      duration: quizSession.questionDuration,
+      isPaused: quizSession.isPaused,
+      isRevealing: quizSession.isRevealing,
+      // Lets players who rejoin during the reveal see the answer
+      reveal: quizSession.isRevealing ? this.getAnswerReveal(roomCode, playerId) : null
     };
   }
 
+  /**
+   * Get the option order a player sees for a question, picking it the first time
+   * @param {string} roomCode - Room code
+   * @param {string} playerId - Player ID
+   * @param {number} questionIndex - Position of the question in the game
+   * @returns {Array|null} Option order, or null when the options are not shuffled
+   */
+  getOptionOrder(roomCode, playerId, questionIndex) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!quizSession || !quizSession.shuffleOptions || !playerId) {
+      return null;
+    }
+
+    const question = quizSession.questions[questionIndex];
+    if (!question) {
+      return null;
+    }
+
+    if (!quizSession.optionOrders.has(playerId)) {
+      quizSession.optionOrders.set(playerId, new Map());
+    }
+    const playerOrders = quizSession.optionOrders.get(playerId);
+    if (!playerOrders.has(questionIndex)) {
+      playerOrders.set(questionIndex, shuffleService.createOptionOrder(question));
+    }
+    return playerOrders.get(questionIndex);
+  }
+
+  /**
+   * Get a question with its options in the order a player sees them
+   * @param {string} roomCode - Room code
+   * @param {number} questionIndex - Position of the question in the game
+   * @param {string|null} playerId - Player ID, or null for the stored order
+   * @returns {object|undefined} Question data
+   */
+  getPlayerQuestion(roomCode, questionIndex, playerId = null) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    const question = quizSession ? quizSession.questions[questionIndex] : undefined;
+    if (!question) {
+      return question;
+    }
+
+    return shuffleService.applyOptionOrder(question, this.getOptionOrder(roomCode, playerId, questionIndex));
+  }
+
+  /**
+   * Send a question event to the room, or to each participant separately when
+   * every player has their own option order
+   * @param {string} roomCode - Room code
+   * @param {object} io - Socket.io instance for emitting events
+   * @param {string} event - Event name
+   * @param {Function} buildPayload - Builds the payload for a player ID (null for the whole room)
+   */
+  emitToPlayers(roomCode, io, event, buildPayload) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!io || !quizSession) {
+      return;
+    }
+
+    if (!quizSession.shuffleOptions) {
+      io.to(roomCode).emit(event, buildPayload(null));
+      return;
+    }
+
+    for (const [socketId, participant] of quizSession.participants) {
+      io.to(socketId).emit(event, buildPayload(participant.playerId));
+    }
+  }
+
   /**
    * Submit an answer for a participant
    * @param {string} roomCode - Room code
    * @param {string} participantId - Participant socket ID
-   * @param {number} answerIndex - Answer index (0-3)
+   * @param {number|Array|string} answer - Option index, option indices for multi-select, or text for short answer;
+   *   option indices are positions as shown to the player
    * @returns {object} Answer result
    */
-  submitAnswer(roomCode, participantId, answerIndex) {
+  submitAnswer(roomCode, participantId, answer) {
     const quizSession = this.activeQuizzes.get(roomCode);
     if (!quizSession) {
       throw new Error('Quiz session not found');
@@ -220,6 +544,14 @@ class DoQuizService {
       throw new Error('Quiz is not active');
     }
 
+    if (quizSession.isPaused) {
+      throw new Error('Quiz is paused');
+    }
+
+    if (quizSession.isRevealing) {
+      throw new Error('Question has ended');
+    }
+
     const participant = quizSession.participants.get(participantId);
     if (!participant) {
       throw new Error('Participant not found');
@@ -231,14 +563,17 @@ class DoQuizService {
       roomCode: roomCode,
       participantId: participantId,
       currentQuestionIndex: quizSession.currentQuestionIndex,
-      answerIndex: answerIndex,
-      questionText: currentQuestion.questionText,
-      correctAnswerIndex: currentQuestion.correctAnswerIndex
+      answer: answer,
+      questionText: currentQuestion?.questionText
     });
     if (!currentQuestion) {
       throw new Error('No active question');
     }
 
+    // Shuffled options are graded and stored by their index in the question
+    const optionOrder = this.getOptionOrder(roomCode, participant.playerId, quizSession.currentQuestionIndex);
+    const normalizedAnswer = gradingService.normalizeAnswer(currentQuestion, shuffleService.toOriginalAnswer(answer, optionOrder));
+
     // Check if already answered this question
     const participantAnswers = quizSession.results.answers.get(participant.playerId) || [];
     const existingAnswer = participantAnswers.find(a => a.questionIndex === quizSession.currentQuestionIndex);
@@ -247,7 +582,7 @@ class DoQuizService {
       participantId: participantId,
       playerId: participant.playerId,
       currentQuestionIndex: quizSession.currentQuestionIndex,
-      existingAnswers: participantAnswers.map(a => ({ q: a.questionIndex, a: a.answerIndex })),
+      existingAnswers: participantAnswers.map(a => ({ q: a.questionIndex, a: a.answer })),
       hasExistingAnswer: !!existingAnswer
     });
     
@@ -255,10 +590,9 @@ class DoQuizService {
     if (existingAnswer) {
       console.log('📝 Updating existing answer for', participant.name, ':', {
         questionIndex: quizSession.currentQuestionIndex,
-        oldAnswer: existingAnswer.answerIndex,
-        newAnswer: answerIndex,
-        wasCorrect: existingAnswer.isCorrect,
-        willBeCorrect: answerIndex === currentQuestion.correctAnswerIndex
+        oldAnswer: existingAnswer.answer,
+        newAnswer: normalizedAnswer,
+        wasCorrect: existingAnswer.isCorrect
       });
       
       // Remove the old answer from the array
@@ -267,36 +601,43 @@ class DoQuizService {
         participantAnswers.splice(answerIndexToRemove, 1);
       }
       
-      // Update the score by removing the old score and adding the new one
+      // Take the old answer's points back off the score
       const currentScore = quizSession.results.scores.get(participant.playerId) || 0;
-      const oldScoreContribution = existingAnswer.isCorrect ? 1 : 0;
-      const newScoreContribution = (answerIndex === currentQuestion.correctAnswerIndex) ? 1 : 0;
-      const updatedScore = currentScore - oldScoreContribution + newScoreContribution;
-      quizSession.results.scores.set(participant.playerId, updatedScore);
+      quizSession.results.scores.set(participant.playerId, currentScore - (existingAnswer.pointsAwarded || 0));
     }
 
     // Calculate time spent
     const timeSpent = Date.now() - quizSession.questionStartTime.getTime();
     
     // Check if answer is correct
-    const isCorrect = answerIndex === currentQuestion.correctAnswerIndex;
+    const isCorrect = gradingService.isCorrect(currentQuestion, normalizedAnswer);
+    const streak = isCorrect ? this.getStreakBefore(participantAnswers, quizSession.currentQuestionIndex) + 1 : 0;
+
+    // Score with the room's scoring strategy
+    const scoring = scoringService.scoreAnswer(quizSession.scoringMode, {
+      points: this.getQuestionPoints(currentQuestion),
+      isCorrect,
+      timeSpent,
+      duration: quizSession.questionDuration,
+      streak
+    });
     
-    // Update score (only if this is a new answer, not an update)
-    let newScore = 0;
-    if (!existingAnswer) {
-      const currentScore = quizSession.results.scores.get(participant.playerId) || 0;
-      newScore = isCorrect ? currentScore + 1 : currentScore;
-      quizSession.results.scores.set(participant.playerId, newScore);
-    } else {
-      // For existing answers, get the updated score from the map
-      newScore = quizSession.results.scores.get(participant.playerId) || 0;
-    }
+    const newScore = (quizSession.results.scores.get(participant.playerId) || 0) + scoring.pointsAwarded;
+    quizSession.results.scores.set(participant.playerId, newScore);
 
     // Store answer
     const answerData = {
       questionIndex: quizSession.currentQuestionIndex,
-      answerIndex: answerIndex,
+      answer: normalizedAnswer,
+      // Kept for clients that read option-based answers by index
+      answerIndex: typeof normalizedAnswer === 'number' ? normalizedAnswer : null,
+      ...(optionOrder && { optionOrder }),
       isCorrect: isCorrect,
+      pointsAwarded: scoring.pointsAwarded,
+      basePoints: scoring.basePoints,
+      speedBonus: scoring.speedBonus,
+      streakBonus: scoring.streakBonus,
+      streak: streak,
       timeSpent: timeSpent,
       submittedAt: new Date()
     };
@@ -306,14 +647,21 @@ class DoQuizService {
 
     console.log(`📝 Stored answer for ${participant.name}:`, {
       questionIndex: quizSession.currentQuestionIndex,
-      answerIndex: answerIndex,
+      answer: normalizedAnswer,
       isCorrect: isCorrect,
       totalAnswers: participantAnswers.length,
-      allAnswers: participantAnswers.map(a => ({ q: a.questionIndex, a: a.answerIndex, c: a.isCorrect }))
+      allAnswers: participantAnswers.map(a => ({ q: a.questionIndex, a: a.answer, c: a.isCorrect }))
     });
 
     return {
       isCorrect: isCorrect,
+      pointsAwarded: scoring.pointsAwarded,
+      breakdown: {
+        basePoints: scoring.basePoints,
+        speedBonus: scoring.speedBonus,
+        streakBonus: scoring.streakBonus
+      },
+      streak: streak,
       timeSpent: timeSpent,
       currentScore: newScore,
       participantId: participantId,
@@ -321,6 +669,78 @@ class DoQuizService {
     };
   }
 
+  /**
+   * Count consecutive correct answers right before a question
+   * @param {Array} answers - Participant's answers
+   * @param {number} questionIndex - Question being answered
+   * @returns {number} Length of the streak
+   */
+  getStreakBefore(answers, questionIndex) {
+    let streak = 0;
+    for (let index = questionIndex - 1; index >= 0; index--) {
+      const answer = answers.find(a => a.questionIndex === index);
+      if (!answer || !answer.isCorrect) break;
+      streak++;
+    }
+    return streak;
+  }
+
+  /**
+   * Count consecutive correct answers up to the latest answered question
+   * @param {Array} answers - Participant's answers
+   * @returns {number} Length of the current streak
+   */
+  getCurrentStreak(answers) {
+    const lastIndex = answers.reduce((max, a) => Math.max(max, a.questionIndex), -1);
+    return this.getStreakBefore(answers, lastIndex + 1);
+  }
+
+  /**
+   * Add up the points breakdown of a participant's answers
+   * @param {Array} answers - Participant's answers
+   * @returns {object} { basePoints, speedBonus, streakBonus }
+   */
+  getScoreBreakdown(answers) {
+    return answers.reduce((breakdown, answer) => ({
+      basePoints: breakdown.basePoints + (answer.basePoints || 0),
+      speedBonus: breakdown.speedBonus + (answer.speedBonus || 0),
+      streakBonus: breakdown.streakBonus + (answer.streakBonus || 0)
+    }), { basePoints: 0, speedBonus: 0, streakBonus: 0 });
+  }
+
+  /**
+   * Move a participant of an active session to a new socket after a reconnect
+   * @param {string} roomCode - Room code
+   * @param {string} previousSocketId - Socket ID the participant used before
+   * @param {string} socketId - New socket ID
+   */
+  replaceParticipantSocket(roomCode, previousSocketId, socketId) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!quizSession || previousSocketId === socketId) return;
+
+    const participant = quizSession.participants.get(previousSocketId);
+    if (!participant) return;
+
+    quizSession.participants.delete(previousSocketId);
+    quizSession.participants.set(socketId, participant);
+  }
+
+  /**
+   * Get a participant's score and answers in the active session
+   * @param {string} roomCode - Room code
+   * @param {string} playerId - Player ID
+   * @returns {object|null} { score, answers } or null if no session is running
+   */
+  getParticipantProgress(roomCode, playerId) {
+    const quizSession = this.activeQuizzes.get(roomCode);
+    if (!quizSession) return null;
+
+    return {
+      score: quizSession.results.scores.get(playerId) || 0,
+      answers: quizSession.results.answers.get(playerId) || []
+    };
+  }
+
   /**
    * Get time remaining for current question
    * @param {string} roomCode - Room code
@@ -332,6 +752,14 @@ class DoQuizService {
       return 0;
     }
 
+    if (quizSession.isRevealing) {
+      return 0;
+    }
+
+    if (quizSession.isPaused) {
+      return quizSession.pausedTimeRemaining;
+    }
+
     const elapsed = Date.now() - quizSession.questionStartTime.getTime();
     return Math.max(0, quizSession.questionDuration - elapsed);
   }
@@ -350,11 +778,16 @@ class DoQuizService {
     const leaderboard = Array.from(quizSession.participants.values())
       .map(participant => {
         const score = quizSession.results.scores.get(participant.playerId) || 0;
+        const answers = quizSession.results.answers.get(participant.playerId) || [];
         return {
           playerId: participant.playerId,
           name: participant.name,
           score: score,
-          totalQuestions: quizSession.totalQuestions
+          breakdown: this.getScoreBreakdown(answers),
+          streak: this.getCurrentStreak(answers),
+          correctAnswers: answers.filter(a => a.isCorrect).length,
+          totalQuestions: quizSession.totalQuestions,
+          isConnected: participant.isConnected !== false
         };
       })
       .sort((a, b) => b.score - a.score);
@@ -383,7 +816,7 @@ class DoQuizService {
     quizSession.results.completionTime = new Date();
 
     // Calculate detailed results for each participant
-    const participants = Array.from(quizSession.participants.values()).map(participant => {
+    const playerResults = Array.from(quizSession.participants.values()).map(participant => {
       const score = quizSession.results.scores.get(participant.playerId) || 0;
       const answers = quizSession.results.answers.get(participant.playerId) || [];
       
@@ -391,24 +824,36 @@ class DoQuizService {
         playerId: participant.playerId,
         score: score,
         answersCount: answers.length,
-        answers: answers.map(a => ({ q: a.questionIndex, a: a.answerIndex, c: a.isCorrect }))
+        answers: answers.map(a => ({ q: a.questionIndex, a: a.answer, c: a.isCorrect }))
       });
       
       return {
         playerId: participant.playerId,
         name: participant.name,
+        userId: participant.userId || null,
         score: score,
+        breakdown: this.getScoreBreakdown(answers),
+        correctAnswers: answers.filter(a => a.isCorrect).length,
         totalQuestions: quizSession.totalQuestions,
         answers: answers
       };
     });
 
+    // User IDs are only needed for persistence, not in the broadcast results
+    const participants = playerResults.map(({ userId, ...result }) => result);
+
     const finalResults = {
       roomCode: roomCode,
+      quizId: quizSession.quizId,
       quizTitle: quizSession.quizTitle,
+      scoringMode: quizSession.scoringMode,
       totalQuestions: quizSession.totalQuestions,
       participants: participants,
-      questions: quizSession.questions, // Add questions data
+      // Correct answers and explanations for the review screen
+      questions: quizSession.questions.map((question, index) => ({
+        ...this.getQuestionReview(question, index),
+        points: this.getQuestionPoints(question)
+      })),
       completionTime: quizSession.results.completionTime,
       duration: Date.now() - quizSession.startTime.getTime()
     };
@@ -421,6 +866,7 @@ class DoQuizService {
       participantsCount: finalResults.participants.length,
       questionsCount: finalResults.questions.length
     });
+    await roomService.saveQuizResults(roomCode, playerResults);
     
     // Clean up
     this.activeQuizzes.delete(roomCode);
@@ -451,10 +897,14 @@ class DoQuizService {
       
       if (!existingAnswer) {
         // Save "no answer" for this participant
+        const optionOrder = this.getOptionOrder(roomCode, participant.playerId, currentQuestionIndex);
         const noAnswerData = {
           questionIndex: currentQuestionIndex,
-          answerIndex: -1, // -1 means no answer
+          answer: -1, // -1 means no answer
+          answerIndex: -1,
+          ...(optionOrder && { optionOrder }),
           isCorrect: false,
+          pointsAwarded: 0,
           timeSpent: quizSession.questionDuration, // Full time spent
           submittedAt: new Date()
         };
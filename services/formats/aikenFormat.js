@@ -0,0 +1,142 @@
+const OPTION_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Aiken Format
+ * Moodle's plain text format for single answer multiple choice questions:
+ * https://docs.moodle.org/en/Aiken_format
+ *
+ *   What is 2 + 2?
+ *   A. 3
+ *   B. 4
+ *   ANSWER: B
+ */
+class AikenFormat {
+  constructor() {
+    this.fileExtension = 'aiken.txt';
+  }
+
+  /**
+   * Parse an Aiken file into questions
+   * @param {string} text - File content
+   * @returns {Object} { entries } with one { row, quizTitle, question, errors } per question
+   */
+  parse(text) {
+    const entries = [];
+    let current = null;
+
+    const finish = () => {
+      if (current) {
+        entries.push(this.toEntry(current));
+        current = null;
+      }
+    };
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (line.length === 0) {
+        // Blank lines between questions are optional, but inside one they end it early
+        if (current && current.options.length > 0) {
+          finish();
+        }
+        return;
+      }
+
+      if (!current) {
+        current = { row: index + 1, textLines: [], options: [], answer: null, errors: [] };
+      }
+
+      const answer = line.match(/^ANSWER\s*:\s*(.*)$/i);
+      if (answer) {
+        current.answer = answer[1].trim();
+        finish();
+        return;
+      }
+
+      const option = line.match(/^([A-Z])\s*[.)]\s+(.*)$/);
+      if (option && (current.textLines.length > 0 || current.options.length > 0)) {
+        if (option[1] !== OPTION_LETTERS[current.options.length]) {
+          current.errors.push(`Option ${option[1]} is out of order (expected ${OPTION_LETTERS[current.options.length]})`);
+        }
+        current.options.push(option[2].trim());
+        return;
+      }
+
+      if (current.options.length > 0) {
+        current.errors.push(`Line ${index + 1} is not an option or an ANSWER line`);
+        return;
+      }
+      current.textLines.push(line);
+    });
+
+    finish();
+
+    if (entries.length === 0) {
+      throw new Error('Import file has no rows');
+    }
+
+    return { entries };
+  }
+
+  /**
+   * Turn one parsed Aiken question into an import entry
+   * @param {Object} parsed - { row, textLines, options, answer, errors }
+   * @returns {Object} { row, quizTitle, question, errors }
+   */
+  toEntry({ row, textLines, options, answer, errors }) {
+    const question = {
+      questionType: 'single',
+      questionText: textLines.join('\n'),
+      options
+    };
+
+    if (answer === null) {
+      errors.push('ANSWER line is missing');
+    } else if (!/^[A-Z]$/i.test(answer)) {
+      errors.push(`ANSWER must be a single option letter, got "${answer}"`);
+    } else {
+      const index = OPTION_LETTERS.indexOf(answer.toUpperCase());
+      if (index >= options.length) {
+        errors.push(`ANSWER ${answer.toUpperCase()} does not match any option`);
+      } else {
+        question.correctAnswerIndex = index;
+      }
+    }
+
+    return { row, quizTitle: null, question, errors };
+  }
+
+  /**
+   * Write a quiz as Aiken
+   * Aiken only has single answer questions: true/false questions are written as
+   * two options, multi-select and short answer questions are left out.
+   * @param {Object} quiz - Quiz document
+   * @returns {Object} { content, skipped } with skipped = [{ questionIndex, reason }]
+   */
+  serialize(quiz) {
+    const blocks = [];
+    const skipped = [];
+    const oneLine = text => String(text || '').replace(/\s*\r?\n\s*/g, ' ').trim();
+
+    quiz.questions.forEach((question, index) => {
+      const questionType = question.questionType || 'single';
+      if (questionType === 'multi-select' || questionType === 'short-answer') {
+        skipped.push({ questionIndex: index, reason: `Aiken has no ${questionType} questions` });
+        return;
+      }
+
+      const options = question.options && question.options.length > 0 ? question.options : ['True', 'False'];
+      blocks.push([
+        oneLine(question.questionText),
+        ...options.map((option, optionIndex) => `${OPTION_LETTERS[optionIndex]}. ${oneLine(option)}`),
+        `ANSWER: ${OPTION_LETTERS[question.correctAnswerIndex]}`
+      ].join('\n'));
+    });
+
+    return {
+      content: blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '',
+      skipped
+    };
+  }
+}
+
+module.exports = new AikenFormat();
@@ -0,0 +1,347 @@
+const { QUESTION_TYPES } = require('../../models/Question');
+
+// Option columns are read past the option limit so validation can report the extra options
+const OPTION_LETTERS = 'ABCDEFGHIJ';
+
+// Header names (lowercase, letters and digits only) and the field they fill
+const COLUMN_ALIASES = {
+  quiz: 'quizTitle',
+  quiztitle: 'quizTitle',
+  question: 'questionText',
+  questiontext: 'questionText',
+  type: 'questionType',
+  questiontype: 'questionType',
+  options: 'options',
+  correct: 'correct',
+  correctanswer: 'correct',
+  correctanswers: 'correct',
+  answer: 'correct',
+  answers: 'correct',
+  explanation: 'explanation',
+  reference: 'referenceUrl',
+  referenceurl: 'referenceUrl',
+  difficulty: 'difficulty',
+  timelimit: 'timeLimitSeconds',
+  timelimitseconds: 'timeLimitSeconds',
+  points: 'points'
+};
+
+// Spreadsheet spellings of the question types
+const TYPE_ALIASES = {
+  single: 'single',
+  singlechoice: 'single',
+  multiplechoice: 'single',
+  mc: 'single',
+  truefalse: 'true-false',
+  tf: 'true-false',
+  multiselect: 'multi-select',
+  multi: 'multi-select',
+  multipleanswer: 'multi-select',
+  multipleanswers: 'multi-select',
+  checkbox: 'multi-select',
+  shortanswer: 'short-answer',
+  short: 'short-answer',
+  text: 'short-answer'
+};
+
+const TRUE_WORDS = ['true', 't', 'yes', 'y'];
+const FALSE_WORDS = ['false', 'f', 'no', 'n'];
+
+/**
+ * Lowercase a header or type name and drop everything but letters and digits
+ * @param {string} name - Name as written in the file
+ * @returns {string} Normalized name
+ */
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * CSV Format
+ * Reads comma, semicolon or tab separated files with a header row and one question per row,
+ * as saved by spreadsheet programs.
+ */
+class CsvFormat {
+  constructor() {
+    this.OPTION_LETTERS = OPTION_LETTERS;
+  }
+
+  /**
+   * Pick the separator: tabs for TSV, otherwise the most frequent of comma,
+   * semicolon and tab in the header line
+   * @param {string} text - File content
+   * @param {string} format - 'csv' or 'tsv'
+   * @returns {string} Separator character
+   */
+  detectDelimiter(text, format) {
+    if (format === 'tsv') {
+      return '\t';
+    }
+
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const count = delimiter => headerLine.split(delimiter).length - 1;
+
+    return [',', ';', '\t'].reduce((best, delimiter) => (count(delimiter) > count(best) ? delimiter : best));
+  }
+
+  /**
+   * Split CSV text into rows of cells
+   * Quoted cells may hold separators, line breaks and doubled quotes ("").
+   * @param {string} text - File content
+   * @param {string} delimiter - Separator character
+   * @returns {Array<Array<string>>} Rows of cells
+   */
+  parseRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    };
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (inQuotes) {
+        if (char === '"' && text[index + 1] === '"') {
+          cell += '"';
+          index++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell.length === 0) {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n') {
+        endRow();
+      } else if (char === '\r') {
+        if (text[index + 1] !== '\n') {
+          endRow();
+        }
+      } else {
+        cell += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error('Import file has an unclosed quote');
+    }
+    if (cell.length > 0 || row.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Work out which field each column fills
+   * Options can be one "options" column separated by |, or one column per option
+   * (Option 1, Option 2... or Option A, Option B... or just A, B...).
+   * @param {Array<string>} header - Header row
+   * @returns {Object} { columns, ignoredColumns } with columns[i] = { field, optionIndex }
+   */
+  mapColumns(header) {
+    const ignoredColumns = [];
+    const columns = header.map((name) => {
+      const key = normalizeName(name);
+      if (COLUMN_ALIASES[key]) {
+        return { field: COLUMN_ALIASES[key] };
+      }
+
+      const option = key.match(/^(?:option|choice)?([a-j]|\d{1,2})$/);
+      if (option) {
+        const optionIndex = /\d/.test(option[1])
+          ? parseInt(option[1], 10) - 1
+          : OPTION_LETTERS.toLowerCase().indexOf(option[1]);
+        if (optionIndex >= 0 && optionIndex < OPTION_LETTERS.length) {
+          return { field: 'option', optionIndex };
+        }
+      }
+
+      if (name.trim()) {
+        ignoredColumns.push(name.trim());
+      }
+      return null;
+    });
+
+    if (!columns.some(column => column && column.field === 'questionText')) {
+      throw new Error('Import file has no question column');
+    }
+
+    return { columns, ignoredColumns };
+  }
+
+  /**
+   * Parse a CSV or TSV file into questions
+   * Rows are numbered like spreadsheet rows: the header is row 1.
+   * @param {string} text - File content
+   * @param {Object} options - { format: 'csv' | 'tsv' }
+   * @returns {Object} { entries, ignoredColumns } with one { row, quizTitle, question, errors } per question row
+   */
+  parse(text, { format } = {}) {
+    const content = text.replace(/^\uFEFF/, '');
+    const rows = this.parseRows(content, this.detectDelimiter(content, format));
+    const isBlank = cells => cells.every(cell => cell.trim().length === 0);
+
+    const headerIndex = rows.findIndex(cells => !isBlank(cells));
+    if (headerIndex === -1) {
+      throw new Error('Import file has no rows');
+    }
+
+    const { columns, ignoredColumns } = this.mapColumns(rows[headerIndex]);
+    const entries = [];
+
+    rows.forEach((cells, index) => {
+      if (index <= headerIndex || isBlank(cells)) {
+        return;
+      }
+      entries.push({ row: index + 1, ...this.toQuestion(cells, columns) });
+    });
+
+    return { entries, ignoredColumns };
+  }
+
+  /**
+   * Turn one row into question data
+   * @param {Array<string>} cells - Row cells
+   * @param {Array<Object>} columns - Column mapping from mapColumns
+   * @returns {Object} { quizTitle, question, errors }
+   */
+  toQuestion(cells, columns) {
+    const values = {};
+    const optionCells = [];
+
+    columns.forEach((column, index) => {
+      const value = (cells[index] || '').trim();
+      if (!column || !value) {
+        return;
+      }
+      if (column.field === 'option') {
+        optionCells[column.optionIndex] = value;
+      } else {
+        values[column.field] = value;
+      }
+    });
+
+    const errors = [];
+    let options = values.options
+      ? values.options.split('|').map(option => option.trim()).filter(Boolean)
+      : optionCells.filter(Boolean);
+
+    const questionType = values.questionType
+      ? TYPE_ALIASES[normalizeName(values.questionType)] || values.questionType
+      : this.guessQuestionType(values.correct, options);
+
+    const question = {
+      questionType,
+      questionText: values.questionText || ''
+    };
+
+    if (questionType === 'short-answer') {
+      question.acceptedAnswers = values.correct
+        ? values.correct.split('|').map(answer => answer.trim()).filter(Boolean)
+        : [];
+    } else if (QUESTION_TYPES.includes(questionType)) {
+      if (questionType === 'true-false' && options.length === 0) {
+        options = ['True', 'False'];
+      }
+      question.options = options;
+
+      if (!values.correct) {
+        errors.push('Correct answer is required');
+      } else {
+        const indices = this.parseCorrectAnswer(values.correct, options, questionType);
+        if (!indices) {
+          errors.push(`Correct answer "${values.correct}" does not match any option`);
+        } else if (questionType === 'multi-select') {
+          question.correctAnswerIndices = indices;
+        } else if (indices.length > 1) {
+          errors.push('Only multi-select questions can have more than one correct answer');
+        } else {
+          question.correctAnswerIndex = indices[0];
+        }
+      }
+    }
+
+    if (values.explanation) question.explanation = values.explanation;
+    if (values.referenceUrl) question.referenceUrl = values.referenceUrl;
+    if (values.difficulty) question.difficulty = values.difficulty.toLowerCase();
+    if (values.timeLimitSeconds) question.timeLimitSeconds = Number(values.timeLimitSeconds);
+    if (values.points) question.points = Number(values.points);
+
+    return {
+      quizTitle: values.quizTitle || null,
+      question,
+      errors
+    };
+  }
+
+  /**
+   * Guess the question type of a row without a type column
+   * @param {string} correct - Correct answer cell
+   * @param {Array<string>} options - Option texts
+   * @returns {string} Question type
+   */
+  guessQuestionType(correct, options) {
+    if (options.length === 0) {
+      const word = (correct || '').toLowerCase();
+      return TRUE_WORDS.includes(word) || FALSE_WORDS.includes(word) ? 'true-false' : 'short-answer';
+    }
+    if (correct && !options.some(option => option.toLowerCase() === correct.toLowerCase()) && /[;,]/.test(correct)) {
+      return 'multi-select';
+    }
+    return 'single';
+  }
+
+  /**
+   * Read the correct answer cell as option indices
+   * The cell is matched against the option texts first, then read as letters (A, B...)
+   * or option numbers (1, 2...) separated by commas or semicolons.
+   * @param {string} correct - Correct answer cell
+   * @param {Array<string>} options - Option texts
+   * @param {string} questionType - Question type
+   * @returns {Array<number>|null} Option indices, or null if something does not match
+   */
+  parseCorrectAnswer(correct, options, questionType) {
+    const byText = value => options.findIndex(option => option.toLowerCase() === value.toLowerCase());
+
+    const exact = byText(correct);
+    if (exact !== -1) {
+      return [exact];
+    }
+
+    if (questionType === 'true-false') {
+      const word = correct.toLowerCase();
+      if (TRUE_WORDS.includes(word)) return [0];
+      if (FALSE_WORDS.includes(word)) return [1];
+    }
+
+    const indices = correct.split(/[;,]/).map(token => token.trim()).filter(Boolean).map((token) => {
+      const textIndex = byText(token);
+      if (textIndex !== -1) {
+        return textIndex;
+      }
+      if (/^[a-j]$/i.test(token)) {
+        return OPTION_LETTERS.indexOf(token.toUpperCase());
+      }
+      if (/^\d{1,2}$/.test(token)) {
+        return parseInt(token, 10) - 1;
+      }
+      return -1;
+    });
+
+    if (indices.length === 0 || indices.some(index => index < 0 || index >= options.length)) {
+      return null;
+    }
+    return [...new Set(indices)];
+  }
+}
+
+module.exports = new CsvFormat();
@@ -0,0 +1,327 @@
+// Characters GIFT reserves; a backslash before them makes them literal
+const SPECIAL_CHARACTERS = ['~', '=', '#', '{', '}', ':'];
+
+// Fractions of the full grade Moodle accepts for partially correct answers
+const MULTI_SELECT_WEIGHTS = ['100', '50', '33.33333', '25', '20', '16.66667'];
+
+/**
+ * Find the first unescaped occurrence of a string
+ * @param {string} text - Text to search
+ * @param {string} search - String to find
+ * @param {number} from - Position to start at
+ * @returns {number} Position, or -1 when not found
+ */
+const findUnescaped = (text, search, from = 0) => {
+  for (let index = from; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++;
+    } else if (text.startsWith(search, index)) {
+      return index;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Turn GIFT text into plain text
+ * @param {string} text - GIFT text with escapes
+ * @returns {string} Plain text
+ */
+const unescapeText = (text) => text
+  // One pass, so an escaped backslash followed by "n" stays a backslash and an "n"
+  .replace(/\\([~=#{}:\\n])/g, (match, char) => (char === 'n' ? '\n' : char))
+  .trim();
+
+/**
+ * Escape plain text for GIFT
+ * @param {string} text - Plain text
+ * @returns {string} GIFT text
+ */
+const escapeText = (text) => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(new RegExp(`[${SPECIAL_CHARACTERS.map(char => `\\${char}`).join('')}]`, 'g'), char => `\\${char}`)
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * GIFT Format
+ * Moodle's text format for question banks:
+ * https://docs.moodle.org/en/GIFT_format
+ * Multiple choice, multiple answer, true/false, short answer and missing word questions
+ * are read; matching, numerical, essay and description questions have no equivalent here.
+ */
+class GiftFormat {
+  constructor() {
+    this.fileExtension = 'gift.txt';
+  }
+
+  /**
+   * Split a GIFT file into question blocks separated by blank lines
+   * @param {string} text - File content
+   * @returns {Array<Object>} { line, text } with the line each block starts on
+   */
+  splitBlocks(text) {
+    const blocks = [];
+    let current = null;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+
+      if (line.startsWith('//')) {
+        return;
+      }
+      if (line.length === 0) {
+        // A blank line only ends a question outside its answer braces
+        if (current && findUnescaped(current.text, '{') !== -1 && findUnescaped(current.text, '}') === -1) {
+          current.text += '\n';
+          return;
+        }
+        current = null;
+        return;
+      }
+
+      if (!current) {
+        current = { line: index + 1, text: line };
+        blocks.push(current);
+      } else {
+        current.text += `\n${line}`;
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Parse a GIFT file into questions
+   * $CATEGORY lines become quiz titles: the questions under them are grouped into one quiz.
+   * @param {string} text - File content
+   * @returns {Object} { entries } with one { row, quizTitle, question, errors } per question
+   */
+  parse(text) {
+    const entries = [];
+    let category = null;
+
+    this.splitBlocks(text.replace(/^\uFEFF/, '')).forEach((block) => {
+      const categoryMatch = block.text.match(/^\$CATEGORY:\s*(.*)$/m);
+      if (categoryMatch) {
+        // Categories are paths such as $course$/top/Geography; "//" is a slash within a name
+        const path = categoryMatch[1].trim().replace(/^\$(course|module|system)\$\//, '').replace(/^top\//, '');
+        category = path.split(/(?<!\/)\/(?!\/)/).pop().replace(/\/\//g, '/').trim() || null;
+
+        const rest = block.text.replace(/^\$CATEGORY:.*$/m, '').trim();
+        if (rest) {
+          entries.push({ row: block.line + 1, quizTitle: category, ...this.toQuestion(rest) });
+        }
+        return;
+      }
+
+      entries.push({ row: block.line, quizTitle: category, ...this.toQuestion(block.text) });
+    });
+
+    if (entries.length === 0) {
+      throw new Error('Import file has no rows');
+    }
+
+    return { entries };
+  }
+
+  /**
+   * Turn one GIFT question into question data
+   * @param {string} text - Question block
+   * @returns {Object} { question, errors }; question is null for question types that can't be imported
+   */
+  toQuestion(text) {
+    let body = text;
+
+    // Optional ::name:: before the question text
+    if (body.startsWith('::')) {
+      const nameEnd = findUnescaped(body, '::', 2);
+      if (nameEnd !== -1) {
+        body = body.slice(nameEnd + 2).trim();
+      }
+    }
+    body = body.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+    const open = findUnescaped(body, '{');
+    const close = open === -1 ? -1 : findUnescaped(body, '}', open + 1);
+    if (open === -1 || close === -1) {
+      return { question: null, errors: ['Description items without answers are not supported'] };
+    }
+
+    const before = unescapeText(body.slice(0, open));
+    const after = unescapeText(body.slice(close + 1));
+    // Missing word questions keep a blank where the answers were
+    const questionText = after ? `${before} _____ ${after}` : before;
+    let answerText = body.slice(open + 1, close).trim();
+
+    let explanation;
+    const feedbackStart = findUnescaped(answerText, '####');
+    if (feedbackStart !== -1) {
+      explanation = unescapeText(answerText.slice(feedbackStart + 4));
+      answerText = answerText.slice(0, feedbackStart).trim();
+    }
+
+    const withExplanation = question => (explanation ? { ...question, explanation } : question);
+
+    if (answerText.length === 0) {
+      return { question: null, errors: ['Essay questions are not supported'] };
+    }
+    if (answerText.startsWith('#')) {
+      return { question: null, errors: ['Numerical questions are not supported'] };
+    }
+
+    const trueFalse = answerText.match(/^(T|TRUE|F|FALSE)(\s*#.*)?$/is);
+    if (trueFalse) {
+      return {
+        question: withExplanation({
+          questionType: 'true-false',
+          questionText,
+          options: ['True', 'False'],
+          correctAnswerIndex: trueFalse[1].toUpperCase().startsWith('T') ? 0 : 1
+        }),
+        errors: []
+      };
+    }
+
+    const answers = this.splitAnswers(answerText);
+    if (answers.length === 0) {
+      return { question: null, errors: ['Answers must start with = or ~'] };
+    }
+    if (answers.some(answer => findUnescaped(answer.text, '->') !== -1)) {
+      return { question: null, errors: ['Matching questions are not supported'] };
+    }
+
+    // Only right answers: short answer
+    if (answers.every(answer => answer.marker === '=')) {
+      return {
+        question: withExplanation({
+          questionType: 'short-answer',
+          questionText,
+          acceptedAnswers: answers
+            .filter(answer => answer.weight === null || answer.weight >= 100)
+            .map(answer => answer.text)
+        }),
+        errors: []
+      };
+    }
+
+    const options = answers.map(answer => answer.text);
+    const isWeighted = answers.some(answer => answer.weight !== null);
+
+    // Multiple answers: every option with a positive weight is right
+    if (isWeighted && answers.every(answer => answer.marker === '~')) {
+      return {
+        question: withExplanation({
+          questionType: 'multi-select',
+          questionText,
+          options,
+          correctAnswerIndices: answers
+            .map((answer, index) => (answer.weight > 0 ? index : -1))
+            .filter(index => index !== -1)
+        }),
+        errors: []
+      };
+    }
+
+    const correct = answers
+      .map((answer, index) => (answer.marker === '=' ? index : -1))
+      .filter(index => index !== -1);
+
+    return {
+      question: withExplanation({
+        questionType: 'single',
+        questionText,
+        options,
+        correctAnswerIndex: correct[0]
+      }),
+      errors: correct.length === 1 ? [] : ['Multiple choice questions must have exactly one right answer (=)']
+    };
+  }
+
+  /**
+   * Split the inside of the answer braces into answers
+   * @param {string} text - Answer block without the braces
+   * @returns {Array<Object>} { marker, weight, text }, with the weight in percent or null
+   */
+  splitAnswers(text) {
+    const answers = [];
+    let current = null;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      if (char === '\\') {
+        if (current) current.raw += char + (text[index + 1] || '');
+        index++;
+      } else if (char === '=' || char === '~') {
+        current = { marker: char, raw: '' };
+        answers.push(current);
+      } else if (current) {
+        current.raw += char;
+      } else if (char.trim()) {
+        return [];
+      }
+    }
+
+    return answers.map(({ marker, raw }) => {
+      // Answer feedback after # is not kept
+      const feedbackStart = findUnescaped(raw, '#');
+      let answer = (feedbackStart === -1 ? raw : raw.slice(0, feedbackStart)).trim();
+
+      let weight = null;
+      const weightMatch = answer.match(/^%(-?\d+(?:\.\d+)?)%/);
+      if (weightMatch) {
+        weight = parseFloat(weightMatch[1]);
+        answer = answer.slice(weightMatch[0].length);
+      }
+
+      return { marker, weight, text: unescapeText(answer) };
+    });
+  }
+
+  /**
+   * Write a quiz as GIFT
+   * The quiz title becomes the category, so importing the file groups the questions again.
+   * Media and per-question settings such as time limits and points are not part of GIFT.
+   * @param {Object} quiz - Quiz document
+   * @returns {Object} { content, skipped } with skipped = [{ questionIndex, reason }]
+   */
+  serialize(quiz) {
+    const lines = [`// ${quiz.title}`, `$CATEGORY: ${quiz.title.replace(/\//g, '//')}`, ''];
+
+    quiz.questions.forEach((question, index) => {
+      const questionType = question.questionType || 'single';
+      const options = question.options || [];
+      const answers = [];
+
+      if (questionType === 'short-answer') {
+        (question.acceptedAnswers || []).forEach(answer => answers.push(`=${escapeText(answer)}`));
+      } else if (questionType === 'true-false' && options[0] === 'True' && options[1] === 'False') {
+        answers.push(question.correctAnswerIndex === 0 ? 'TRUE' : 'FALSE');
+      } else if (questionType === 'multi-select') {
+        const correct = question.correctAnswerIndices || [];
+        const weight = MULTI_SELECT_WEIGHTS[correct.length - 1];
+        options.forEach((option, optionIndex) => {
+          answers.push(`~%${correct.includes(optionIndex) ? weight : '-100'}%${escapeText(option)}`);
+        });
+      } else {
+        options.forEach((option, optionIndex) => {
+          answers.push(`${optionIndex === question.correctAnswerIndex ? '=' : '~'}${escapeText(option)}`);
+        });
+      }
+
+      if (question.explanation) {
+        answers.push(`####${escapeText(question.explanation)}`);
+      }
+
+      lines.push(`::Q${index + 1}:: ${escapeText(question.questionText)} {`);
+      answers.forEach(answer => lines.push(`  ${answer}`));
+      lines.push('}', '');
+    });
+
+    return {
+      content: lines.join('\n'),
+      skipped: []
+    };
+  }
+}
+
+module.exports = new GiftFormat();
@@ -0,0 +1,30 @@
+const csvFormat = require('./csvFormat');
+const giftFormat = require('./giftFormat');
+const aikenFormat = require('./aikenFormat');
+const qtiFormat = require('./qtiFormat');
+
+/**
+ * Quiz file formats
+ * Import formats have parse(content, options) returning { entries } with one
+ * { row, quizTitle, question, errors } per question; content is the file's text,
+ * or its buffer for formats with binary set. Export formats have serialize(quiz)
+ * returning { content, skipped } and name their download suffix in fileExtension.
+ */
+const IMPORT_FORMATS = {
+  csv: csvFormat,
+  tsv: csvFormat,
+  gift: giftFormat,
+  aiken: aikenFormat,
+  qti: qtiFormat
+};
+
+const EXPORT_FORMATS = {
+  gift: giftFormat,
+  aiken: aikenFormat,
+  qti: qtiFormat
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  EXPORT_FORMATS
+};
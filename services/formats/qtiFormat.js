@@ -0,0 +1,556 @@
+const path = require('path').posix;
+const { MEDIA_TYPES } = require('../../models/Question');
+const { escapeXml, parseXml, findAll, findFirst, textContent } = require('./xml');
+const { createZip, readZip } = require('./zipArchive');
+
+const QTI_NAMESPACE = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" '
+  + 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" '
+  + 'xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+const MANIFEST_NAMESPACE = 'xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" '
+  + 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" '
+  + 'xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p2.xsd"';
+const RESPONSE_TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates';
+
+// Interactions that map onto a question type here; every other one is reported as unsupported
+const SUPPORTED_INTERACTIONS = ['choiceInteraction', 'textEntryInteraction'];
+
+// Elements that start a new line in the plain question text
+const BLOCK_ELEMENTS = ['p', 'div', 'br', 'li', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'tr'];
+
+// Elements whose content is not part of the question text
+const SKIPPED_ELEMENTS = ['img', 'object', 'feedbackBlock', 'feedbackInline', 'rubricBlock', 'templateBlock', 'templateInline'];
+
+/**
+ * Identifier of the choice at an option index (A, B, C...)
+ * @param {number} index - Option index
+ * @returns {string} Choice identifier
+ */
+const choiceIdentifier = (index) => String.fromCharCode(65 + index);
+
+/**
+ * Resolve a package path relative to a directory of the package
+ * @param {string} directory - Directory of the file holding the reference
+ * @param {string} href - Reference as written in the file
+ * @returns {string} Path of the zip entry
+ */
+const resolveHref = (directory, href) => {
+  let decoded = href;
+  try {
+    decoded = decodeURIComponent(href);
+  } catch (error) {
+    // Keep malformed escapes as written
+  }
+  return path.normalize(path.join(directory, decoded.split('#')[0]));
+};
+
+/**
+ * QTI Format
+ * IMS Question and Test Interoperability 2.1 content packages: a zip with an
+ * imsmanifest.xml, an assessment test and one assessment item per question.
+ * https://www.imsglobal.org/question/qtiv2p1/imsqti_implv2p1.html
+ * Choice interactions become single, true/false and multi-select questions and
+ * text entry interactions become short answer questions.
+ */
+class QtiFormat {
+  constructor() {
+    this.binary = true;
+    this.fileExtension = 'qti.zip';
+  }
+
+  /**
+   * Write a quiz as a QTI 2.1 package
+   * Time limits and points go on the test's item references (timeLimits and weight),
+   * explanations become modal feedback. Media are linked by URL, not packaged.
+   * @param {Object} quiz - Quiz document
+   * @returns {Object} { content, skipped } with the zip archive as content
+   */
+  serialize(quiz) {
+    const testIdentifier = `test-${quiz._id || 'quiz'}`;
+    const items = quiz.questions.map((question, index) => {
+      const identifier = `item-${question._id || index + 1}`;
+      return {
+        identifier,
+        href: `items/${identifier}.xml`,
+        question,
+        content: this.writeItem(question, identifier, index)
+      };
+    });
+
+    const files = [
+      { name: 'imsmanifest.xml', content: this.writeManifest(testIdentifier, items) },
+      { name: 'assessmentTest.xml', content: this.writeTest(quiz, testIdentifier, items) },
+      ...items.map(item => ({ name: item.href, content: item.content }))
+    ];
+
+    return {
+      content: createZip(files),
+      skipped: []
+    };
+  }
+
+  /**
+   * Write the package manifest listing the test and its items
+   * @param {string} testIdentifier - Test identifier
+   * @param {Array<Object>} items - { identifier, href }
+   * @returns {string} imsmanifest.xml
+   */
+  writeManifest(testIdentifier, items) {
+    const itemResources = items.map(item => [
+      `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">`,
+      `      <file href="${item.href}"/>`,
+      '    </resource>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<manifest ${MANIFEST_NAMESPACE} identifier="manifest-${testIdentifier}">`,
+      '  <metadata>',
+      '    <schema>QTIv2.1 Package</schema>',
+      '    <schemaversion>1.0.0</schemaversion>',
+      '  </metadata>',
+      '  <organizations/>',
+      '  <resources>',
+      `    <resource identifier="${testIdentifier}" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">`,
+      '      <file href="assessmentTest.xml"/>',
+      ...items.map(item => `      <dependency identifierref="${item.identifier}"/>`),
+      '    </resource>',
+      ...itemResources,
+      '  </resources>',
+      '</manifest>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Write the assessment test: one section with the items in quiz order
+   * @param {Object} quiz - Quiz document
+   * @param {string} testIdentifier - Test identifier
+   * @param {Array<Object>} items - { identifier, href, question }
+   * @returns {string} assessmentTest.xml
+   */
+  writeTest(quiz, testIdentifier, items) {
+    const itemRefs = items.map(({ identifier, href, question }) => [
+      `      <assessmentItemRef identifier="${identifier}" href="${href}">`,
+      ...(question.timeLimitSeconds !== undefined ? [`        <timeLimits maxTime="${question.timeLimitSeconds}"/>`] : []),
+      ...(question.points !== undefined ? [`        <weight identifier="WEIGHT" value="${question.points}"/>`] : []),
+      '      </assessmentItemRef>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<assessmentTest ${QTI_NAMESPACE} identifier="${testIdentifier}" title="${escapeXml(quiz.title)}">`,
+      '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+      '  <testPart identifier="part-1" navigationMode="linear" submissionMode="individual">',
+      `    <assessmentSection identifier="section-1" title="${escapeXml(quiz.title)}" visible="true">`,
+      ...itemRefs,
+      '    </assessmentSection>',
+      '  </testPart>',
+      '  <outcomeProcessing>',
+      '    <setOutcomeValue identifier="SCORE">',
+      '      <sum>',
+      '        <testVariables variableIdentifier="SCORE" weightIdentifier="WEIGHT"/>',
+      '      </sum>',
+      '    </setOutcomeValue>',
+      '  </outcomeProcessing>',
+      '</assessmentTest>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Write one question as an assessment item
+   * @param {Object} question - Question
+   * @param {string} identifier - Item identifier
+   * @param {number} index - Position of the question in the quiz
+   * @returns {string} Item XML
+   */
+  writeItem(question, identifier, index) {
+    const questionType = question.questionType || 'single';
+    const isShortAnswer = questionType === 'short-answer';
+    const prompt = String(question.questionText || '')
+      .split(/\r?\n/)
+      .filter(line => line.trim())
+      .map(line => `    <p>${escapeXml(line)}</p>`);
+    if (question.media) {
+      prompt.push(`    <p>${this.writeMedia(question.media)}</p>`);
+    }
+
+    let declaration;
+    let interaction;
+    if (isShortAnswer) {
+      const answers = question.acceptedAnswers || [];
+      const caseSensitive = Boolean(question.caseSensitive);
+      declaration = [
+        '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">',
+        ...(answers.length > 0 ? [`    <correctResponse><value>${escapeXml(answers[0])}</value></correctResponse>`] : []),
+        '    <mapping defaultValue="0">',
+        ...answers.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="${caseSensitive}"/>`),
+        '    </mapping>',
+        '  </responseDeclaration>'
+      ];
+      const expectedLength = Math.max(10, ...answers.map(answer => answer.length));
+      interaction = [`    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${expectedLength}"/></p>`];
+    } else {
+      const isMultiSelect = questionType === 'multi-select';
+      const correct = isMultiSelect
+        ? question.correctAnswerIndices || []
+        : [question.correctAnswerIndex].filter(Number.isInteger);
+      const optionMedia = question.optionMedia || [];
+
+      declaration = [
+        `  <responseDeclaration identifier="RESPONSE" cardinality="${isMultiSelect ? 'multiple' : 'single'}" baseType="identifier">`,
+        ...(correct.length > 0
+          ? [`    <correctResponse>${correct.map(optionIndex => `<value>${choiceIdentifier(optionIndex)}</value>`).join('')}</correctResponse>`]
+          : []),
+        '  </responseDeclaration>'
+      ];
+      interaction = [
+        `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${isMultiSelect ? 0 : 1}">`,
+        ...(question.options || []).map((option, optionIndex) => {
+          const media = optionMedia.find(item => item.optionIndex === optionIndex);
+          return `      <simpleChoice identifier="${choiceIdentifier(optionIndex)}">${escapeXml(option)}${media ? ` ${this.writeMedia(media)}` : ''}</simpleChoice>`;
+        }),
+        '    </choiceInteraction>'
+      ];
+    }
+
+    // The standard templates only score; showing the explanation needs the rules written out
+    let responseProcessing = [
+      `  <responseProcessing template="${RESPONSE_TEMPLATES}/${isShortAnswer ? 'map_response' : 'match_correct'}"/>`
+    ];
+    let feedback = [];
+    if (question.explanation) {
+      const score = isShortAnswer
+        ? '<mapResponse identifier="RESPONSE"/>'
+        : '<baseValue baseType="float">1</baseValue>';
+      const condition = isShortAnswer
+        ? '<not><isNull><variable identifier="RESPONSE"/></isNull></not>'
+        : '<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>';
+      responseProcessing = [
+        '  <responseProcessing>',
+        '    <responseCondition>',
+        `      <responseIf>${condition}<setOutcomeValue identifier="SCORE">${score}</setOutcomeValue></responseIf>`,
+        '    </responseCondition>',
+        '    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>',
+        '  </responseProcessing>'
+      ];
+      feedback = [
+        `  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(question.explanation)}</modalFeedback>`
+      ];
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<assessmentItem ${QTI_NAMESPACE} identifier="${identifier}" title="Question ${index + 1}" adaptive="false" timeDependent="false">`,
+      ...declaration,
+      '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+      '    <defaultValue><value>0</value></defaultValue>',
+      '  </outcomeDeclaration>',
+      ...(question.explanation ? ['  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>'] : []),
+      '  <itemBody>',
+      ...prompt,
+      ...interaction,
+      '  </itemBody>',
+      ...responseProcessing,
+      ...feedback,
+      '</assessmentItem>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Write media as an img (images) or object (audio and video) element
+   * @param {Object} media - { type, url, mimeType, altText }
+   * @returns {string} XML element
+   */
+  writeMedia(media) {
+    if (media.type === 'image') {
+      return `<img src="${escapeXml(media.url)}" alt="${escapeXml(media.altText)}"/>`;
+    }
+    const mimeType = media.mimeType || (media.type === 'audio' ? 'audio/mpeg' : 'video/mp4');
+    return `<object data="${escapeXml(media.url)}" type="${escapeXml(mimeType)}">${escapeXml(media.altText)}</object>`;
+  }
+
+  /**
+   * Parse a QTI 2.1 package into questions
+   * Items are read in the order of the package's tests, each test becoming a quiz;
+   * items no test refers to follow in manifest order. Rows are item numbers in that order.
+   * @param {Buffer} buffer - Zip archive
+   * @returns {Object} { entries } with one { row, quizTitle, question, errors } per item
+   */
+  parse(buffer) {
+    const files = readZip(buffer);
+
+    // Packages zipped from a folder keep the manifest one level down
+    const manifestName = [...files.keys()]
+      .filter(name => path.basename(name) === 'imsmanifest.xml')
+      .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+    if (!manifestName) {
+      throw new Error('QTI package has no manifest');
+    }
+
+    const manifest = this.readPackageXml(files, manifestName);
+    const baseDirectory = path.dirname(manifestName);
+    const resources = findAll(manifest, 'resource').map((resource) => {
+      const file = findFirst(resource, 'file');
+      const href = resource.attributes.href || (file && file.attributes.href);
+      return {
+        type: resource.attributes.type || '',
+        href: href ? resolveHref(baseDirectory, href) : null
+      };
+    }).filter(resource => resource.href);
+
+    const itemResources = resources.filter(resource => /^imsqti_item_xmlv2p\d$/.test(resource.type));
+    if (itemResources.length === 0) {
+      throw new Error('QTI package has no QTI 2.1 items');
+    }
+
+    const refs = [];
+    resources
+      .filter(resource => /^imsqti_test_xmlv2p\d$/.test(resource.type))
+      .forEach((resource) => {
+        const test = this.readPackageXml(files, resource.href);
+        const quizTitle = (test.attributes.title || '').trim() || null;
+        findAll(test, 'assessmentItemRef').forEach((itemRef) => {
+          const timeLimits = findFirst(itemRef, 'timeLimits');
+          const weight = findFirst(itemRef, 'weight');
+          refs.push({
+            href: resolveHref(path.dirname(resource.href), itemRef.attributes.href || ''),
+            quizTitle,
+            maxTime: timeLimits ? timeLimits.attributes.maxTime : undefined,
+            weight: weight ? weight.attributes.value : undefined
+          });
+        });
+      });
+
+    const referenced = new Set(refs.map(ref => ref.href));
+    itemResources
+      .filter(resource => !referenced.has(resource.href))
+      .forEach(resource => refs.push({ href: resource.href, quizTitle: null }));
+
+    const entries = refs.map((ref, index) => ({
+      row: index + 1,
+      quizTitle: ref.quizTitle,
+      ...this.readItem(files, ref)
+    }));
+
+    return { entries };
+  }
+
+  /**
+   * Read the manifest or a test from the package
+   * @param {Map} files - Zip entries from readZip
+   * @param {string} name - Entry name
+   * @returns {Object} Root element
+   */
+  readPackageXml(files, name) {
+    const file = files.get(name);
+    if (!file) {
+      throw new Error('QTI package is missing a file its manifest lists');
+    }
+    try {
+      return parseXml(file.read().toString('utf8'));
+    } catch (error) {
+      if (error.message === 'Invalid XML') {
+        throw new Error('QTI package has invalid XML');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read one item of the package as question data
+   * @param {Map} files - Zip entries from readZip
+   * @param {Object} ref - { href, maxTime, weight } from the test's item reference
+   * @returns {Object} { question, errors }
+   */
+  readItem(files, { href, maxTime, weight }) {
+    const file = files.get(href);
+    if (!file) {
+      return { question: null, errors: [`Item ${href} is missing from the package`] };
+    }
+
+    let item;
+    try {
+      item = parseXml(file.read().toString('utf8'));
+    } catch (error) {
+      if (error.message !== 'Invalid XML') {
+        throw error;
+      }
+      return { question: null, errors: [`Item ${href} is not valid XML`] };
+    }
+    if (item.name !== 'assessmentItem') {
+      return { question: null, errors: [`Item ${href} is not an assessment item`] };
+    }
+
+    const result = this.toQuestion(item);
+    if (result.question) {
+      const maxScore = findAll(item, 'outcomeDeclaration').find(outcome => outcome.attributes.identifier === 'MAXSCORE');
+      const points = weight !== undefined ? weight : maxScore && textContent(maxScore).trim();
+
+      if (maxTime !== undefined) result.question.timeLimitSeconds = Math.round(Number(maxTime));
+      if (points) result.question.points = Math.round(Number(points));
+    }
+    return result;
+  }
+
+  /**
+   * Turn an assessment item into question data
+   * @param {Object} item - assessmentItem element
+   * @returns {Object} { question, errors }; question is null for items that can't be imported
+   */
+  toQuestion(item) {
+    const body = findFirst(item, 'itemBody');
+    if (!body) {
+      return { question: null, errors: ['Item has no itemBody'] };
+    }
+
+    const interactions = [];
+    const collectInteractions = (element) => {
+      element.children.forEach((child) => {
+        if (typeof child === 'string') return;
+        if (child.name.endsWith('Interaction')) interactions.push(child);
+        collectInteractions(child);
+      });
+    };
+    collectInteractions(body);
+
+    const unsupported = [...new Set(interactions
+      .map(interaction => interaction.name)
+      .filter(name => !SUPPORTED_INTERACTIONS.includes(name)))];
+    if (unsupported.length > 0) {
+      return { question: null, errors: unsupported.map(name => `${name} is not supported`) };
+    }
+    if (interactions.length === 0) {
+      return { question: null, errors: ['Item has no interaction'] };
+    }
+    if (interactions.length > 1) {
+      return { question: null, errors: ['Items with more than one interaction are not supported'] };
+    }
+
+    const interaction = interactions[0];
+    const declaration = findAll(item, 'responseDeclaration')
+      .find(element => element.attributes.identifier === interaction.attributes.responseIdentifier);
+    const correctResponse = declaration && findFirst(declaration, 'correctResponse');
+    const mapEntries = declaration ? findAll(declaration, 'mapEntry') : [];
+    // Items scored only through a mapping list their right answers as positive map entries
+    const correctValues = correctResponse
+      ? findAll(correctResponse, 'value').map(value => textContent(value).trim())
+      : mapEntries.filter(entry => Number(entry.attributes.mappedValue) > 0).map(entry => entry.attributes.mapKey);
+
+    const questionText = this.toPlainText(body, interaction).replace(/\s*_____$/, '');
+    const media = this.findMedia(body, interaction);
+    const feedback = findFirst(item, 'modalFeedback');
+    const explanation = feedback ? this.toPlainText(feedback) : '';
+    const errors = [];
+    let question;
+
+    if (interaction.name === 'textEntryInteraction') {
+      const answers = [
+        ...correctValues,
+        ...mapEntries.filter(entry => Number(entry.attributes.mappedValue) > 0).map(entry => entry.attributes.mapKey)
+      ].map(answer => (answer || '').trim()).filter(Boolean);
+
+      question = {
+        questionType: 'short-answer',
+        questionText,
+        acceptedAnswers: [...new Set(answers)]
+      };
+      if (mapEntries.some(entry => entry.attributes.caseSensitive === 'true')) {
+        question.caseSensitive = true;
+      }
+    } else {
+      const choices = findAll(interaction, 'simpleChoice');
+      const options = choices.map(choice => this.toPlainText(choice));
+      const indices = correctValues.map(value => choices.findIndex(choice => choice.attributes.identifier === value));
+      if (indices.includes(-1)) {
+        errors.push('Correct response does not match any choice');
+      }
+      const correct = indices.filter(index => index !== -1);
+
+      const optionMedia = [];
+      choices.forEach((choice, optionIndex) => {
+        const choiceMedia = this.findMedia(choice);
+        if (choiceMedia) optionMedia.push({ optionIndex, ...choiceMedia });
+      });
+
+      if (declaration && declaration.attributes.cardinality !== 'single') {
+        question = { questionType: 'multi-select', questionText, options, correctAnswerIndices: correct };
+      } else {
+        const isTrueFalse = options.length === 2
+          && options[0].toLowerCase() === 'true'
+          && options[1].toLowerCase() === 'false';
+        question = { questionType: isTrueFalse ? 'true-false' : 'single', questionText, options };
+        if (correct.length > 0) question.correctAnswerIndex = correct[0];
+      }
+      if (optionMedia.length > 0) question.optionMedia = optionMedia;
+    }
+
+    if (media) question.media = media;
+    if (explanation) question.explanation = explanation;
+
+    return { question, errors };
+  }
+
+  /**
+   * Flatten XHTML content to plain text, one line per paragraph
+   * A text entry interaction becomes a _____ blank; a choice interaction contributes its prompt.
+   * @param {Object} element - Element to flatten
+   * @param {Object} interaction - The item's interaction, if any
+   * @returns {string} Plain text
+   */
+  toPlainText(element, interaction = null) {
+    const flatten = (node) => {
+      if (typeof node === 'string') return node;
+      if (node === interaction) {
+        const prompt = findFirst(node, 'prompt');
+        return node.name === 'textEntryInteraction' ? ' _____ ' : `\n${prompt ? flatten(prompt) : ''}\n`;
+      }
+      if (SKIPPED_ELEMENTS.includes(node.name)) return '';
+      const content = node.children.map(flatten).join('');
+      return BLOCK_ELEMENTS.includes(node.name) ? `\n${content}\n` : content;
+    };
+
+    return flatten(element)
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Find the first linked image, audio or video in an element
+   * Files packaged inside the zip have no URL here and are left out.
+   * @param {Object} element - Element to search
+   * @param {Object} interaction - Interaction to leave out of the search, if any
+   * @returns {Object|null} Media data
+   */
+  findMedia(element, interaction = null) {
+    for (const child of element.children) {
+      if (typeof child === 'string' || child === interaction) continue;
+
+      if (child.name === 'img' || child.name === 'object') {
+        const url = (child.name === 'img' ? child.attributes.src : child.attributes.data) || '';
+        const mimeType = child.attributes.type;
+        const type = child.name === 'img' ? 'image' : (mimeType || '').split('/')[0];
+        const altText = (child.name === 'img' ? child.attributes.alt || '' : textContent(child)).trim();
+
+        if (/^(https?:\/\/|\/)\S+$/i.test(url) && MEDIA_TYPES.includes(type)) {
+          return {
+            type,
+            url,
+            ...(mimeType ? { mimeType } : {}),
+            ...(altText ? { altText } : {})
+          };
+        }
+        continue;
+      }
+
+      const media = this.findMedia(child, interaction);
+      if (media) return media;
+    }
+    return null;
+  }
+}
+
+module.exports = new QtiFormat();
@@ -0,0 +1,187 @@
+// Named entities besides the five XML ones that show up in XHTML content
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00A0'
+};
+
+// Deepest element nesting accepted; real documents stay far below it, and the
+// recursive walks over parsed trees (here and in the formats) rely on the cap
+const MAX_DEPTH = 256;
+
+// Sticky patterns, matched in place at the parser's position
+const DOCTYPE_PATTERN = /<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/iy;
+const START_TAG_PATTERN = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Replace character and entity references with the characters they stand for
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+});
+
+/**
+ * Parse an XML document into a tree of elements
+ * Elements are { name, attributes, children } where children are elements and strings.
+ * Namespace prefixes are dropped from element and attribute names, so qti:choiceInteraction
+ * and choiceInteraction read the same. DTDs are skipped, not applied. Documents nested
+ * deeper than MAX_DEPTH elements are rejected as invalid.
+ * @param {string} text - XML document
+ * @returns {Object} Root element
+ */
+const parseXml = (text) => {
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+  const localName = name => name.slice(name.indexOf(':') + 1);
+  let index = 0;
+
+  const fail = () => {
+    throw new Error('Invalid XML');
+  };
+
+  while (index < text.length) {
+    const parent = stack[stack.length - 1];
+    const tagStart = text.indexOf('<', index);
+
+    if (tagStart === -1 || tagStart > index) {
+      const end = tagStart === -1 ? text.length : tagStart;
+      const content = text.slice(index, end);
+      if (parent !== root) {
+        parent.children.push(decodeEntities(content));
+      } else if (content.trim()) {
+        fail();
+      }
+      index = end;
+      continue;
+    }
+
+    if (text.startsWith('<!--', index)) {
+      const end = text.indexOf('-->', index);
+      if (end === -1) fail();
+      index = end + 3;
+    } else if (text.startsWith('<![CDATA[', index)) {
+      const end = text.indexOf(']]>', index);
+      if (end === -1 || parent === root) fail();
+      parent.children.push(text.slice(index + 9, end));
+      index = end + 3;
+    } else if (text.startsWith('<?', index)) {
+      const end = text.indexOf('?>', index);
+      if (end === -1) fail();
+      index = end + 2;
+    } else if (text.startsWith('<!', index)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      DOCTYPE_PATTERN.lastIndex = index;
+      const match = DOCTYPE_PATTERN.exec(text);
+      if (!match) fail();
+      index += match[0].length;
+    } else if (text[index + 1] === '/') {
+      const end = text.indexOf('>', index);
+      if (end === -1) fail();
+      const name = localName(text.slice(index + 2, end).trim());
+      if (parent === root || parent.name !== name) fail();
+      stack.pop();
+      index = end + 1;
+    } else {
+      START_TAG_PATTERN.lastIndex = index;
+      const match = START_TAG_PATTERN.exec(text);
+      if (!match) fail();
+
+      const element = { name: localName(match[1]), attributes: {}, children: [] };
+      const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        if (/^xmlns(:|$)/.test(attribute[1])) continue;
+        element.attributes[localName(attribute[1])] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+
+      if (parent === root && root.children.length > 0) fail();
+      parent.children.push(element);
+      if (!match[3]) {
+        if (stack.length > MAX_DEPTH) fail();
+        stack.push(element);
+      }
+      index += match[0].length;
+    }
+  }
+
+  if (stack.length !== 1 || root.children.length !== 1) fail();
+  return root.children[0];
+};
+
+/**
+ * Find every element with a name below an element, in document order
+ * @param {Object} element - Element to search
+ * @param {string} name - Element name without namespace prefix
+ * @returns {Array<Object>} Matching elements
+ */
+const findAll = (element, name) => {
+  const found = [];
+  const pending = [...element.children].reverse();
+  while (pending.length > 0) {
+    const child = pending.pop();
+    if (typeof child === 'string') continue;
+    if (child.name === name) found.push(child);
+    for (let index = child.children.length - 1; index >= 0; index--) {
+      pending.push(child.children[index]);
+    }
+  }
+  return found;
+};
+
+/**
+ * Find the first element with a name below an element
+ * @param {Object} element - Element to search
+ * @param {string} name - Element name without namespace prefix
+ * @returns {Object|null} Element, or null when there is none
+ */
+const findFirst = (element, name) => findAll(element, name)[0] || null;
+
+/**
+ * Get the text inside an element and all of its descendants
+ * @param {Object} element - Element
+ * @returns {string} Text content
+ */
+const textContent = (element) => {
+  const parts = [];
+  const pending = [...element.children].reverse();
+  while (pending.length > 0) {
+    const child = pending.pop();
+    if (typeof child === 'string') {
+      parts.push(child);
+      continue;
+    }
+    for (let index = child.children.length - 1; index >= 0; index--) {
+      pending.push(child.children[index]);
+    }
+  }
+  return parts.join('');
+};
+
+module.exports = {
+  escapeXml,
+  parseXml,
+  findAll,
+  findFirst,
+  textContent
+};
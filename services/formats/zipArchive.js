@@ -0,0 +1,220 @@
+const zlib = require('zlib');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const UTF8_NAMES_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+// Caps on what an archive may unpack to, so a small upload can't expand into gigabytes
+const MAX_ENTRIES = 5000;
+const MAX_UNPACKED_SIZE = 50 * 1024 * 1024;
+
+// CRC-32 lookup table (IEEE polynomial, as zip uses); zlib.crc32 only exists from Node 20.15
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum zip stores for every file
+ * @param {Buffer} data - File content
+ * @returns {number} Unsigned checksum
+ */
+const crc32 = (data) => {
+  if (typeof zlib.crc32 === 'function') {
+    return zlib.crc32(data);
+  }
+  let crc = 0xFFFFFFFF;
+  for (let index = 0; index < data.length; index++) {
+    crc = CRC_TABLE[(crc ^ data[index]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Convert a date to the MS-DOS time and date fields zip headers use
+ * @param {Date} date - Date
+ * @returns {Object} { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a zip archive
+ * Files are deflated; archives larger than 4 GB (zip64) are not supported.
+ * @param {Array<Object>} files - { name, content } with content as a string or Buffer
+ * @returns {Buffer} Zip archive
+ */
+const createZip = (files) => {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES_FLAG, 6);
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES_FLAG, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, compressed);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_SIZE);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Whether a buffer starts like a zip archive
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} True for zip archives
+ */
+const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER_SIGNATURE;
+
+/**
+ * Read the file list of a zip archive
+ * Files are unpacked on demand with read(), so entries that are never used
+ * (images, stylesheets) cost nothing.
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, Object>} File name to { name, size, read() }; directories are left out
+ */
+const readZip = (buffer) => {
+  const invalid = () => new Error('Import file is not a valid zip archive');
+
+  // Anything shorter can't even hold the end of central directory record
+  if (buffer.length < END_OF_CENTRAL_DIRECTORY_SIZE) {
+    throw invalid();
+  }
+
+  // The end of central directory record sits in the last 22 bytes plus up to 64 KB of comment
+  const lastOffset = buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE;
+  let endOffset = -1;
+  for (let index = lastOffset; index >= Math.max(0, lastOffset - 0xFFFF); index--) {
+    if (buffer.readUInt32LE(index) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = index;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw invalid();
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  if (entryCount > MAX_ENTRIES) {
+    throw new Error('Zip archive is too large to unpack');
+  }
+
+  const entries = new Map();
+  let unpackedSize = 0;
+  let offset = buffer.readUInt32LE(endOffset + 16);
+
+  for (let count = 0; count < entryCount; count++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw invalid();
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & UTF8_NAMES_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+
+    entries.set(name, {
+      name,
+      size,
+      read: () => {
+        // Encrypted entries and compression methods other than store and deflate
+        if ((flags & 0x1) || (method !== STORED && method !== DEFLATED)) {
+          throw new Error('Zip archive uses unsupported compression or encryption');
+        }
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+          throw invalid();
+        }
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (compressed.length !== compressedSize) {
+          throw invalid();
+        }
+
+        unpackedSize += size;
+        if (unpackedSize > MAX_UNPACKED_SIZE) {
+          throw new Error('Zip archive is too large to unpack');
+        }
+
+        let data;
+        try {
+          data = method === STORED ? compressed : zlib.inflateRawSync(compressed, { maxOutputLength: size || 1 });
+        } catch (error) {
+          throw invalid();
+        }
+        if (data.length !== size || crc32(data) !== crc) {
+          throw invalid();
+        }
+        return data;
+      }
+    });
+  }
+
+  return entries;
+};
+
+module.exports = {
+  createZip,
+  isZip,
+  readZip
+};
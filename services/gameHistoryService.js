@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const Answer = require('../models/Answer');
+const Quiz = require('../models/Quiz');
+const quizRevisionService = require('./quizRevisionService');
+const gradingService = require('./gradingService');
+const richTextService = require('./richTextService');
+const shuffleService = require('./shuffleService');
+
+/**
+ * Game History Service
+ * Reads finished games back out of the Answer collection
+ */
+class GameHistoryService {
+  /**
+   * Build pagination info in the same shape as the quiz listing
+   * @param {number} page - Current page
+   * @param {number} limit - Items per page
+   * @param {number} total - Total number of items
+   * @returns {Object} Pagination info
+   */
+  buildPagination(page, limit, total) {
+    return {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalGames: total,
+      hasNextPage: page < Math.ceil(total / limit),
+      hasPrevPage: page > 1
+    };
+  }
+
+  /**
+   * Look up quiz titles for a list of quiz IDs
+   * @param {Array} quizIds - Quiz IDs
+   * @returns {Promise<Map>} quizId string => title
+   */
+  async getQuizTitles(quizIds) {
+    const quizzes = await Quiz.find({ _id: { $in: quizIds } }).select('title');
+    return new Map(quizzes.map(quiz => [quiz._id.toString(), quiz.title]));
+  }
+
+  /**
+   * Get games hosted by a user, one entry per game session
+   * @param {string} hostId - Host user ID
+   * @param {Object} options - Query options (page, limit, sortBy, sortOrder)
+   * @returns {Promise<Object>} Object containing games and pagination info
+   */
+  async getHostedGames(hostId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sortBy = 'completedAt',
+        sortOrder = 'desc'
+      } = options;
+
+      const skip = (page - 1) * limit;
+      const sortField = sortBy === 'participantCount' ? 'participantCount' : 'completedAt';
+      const sort = { [sortField]: sortOrder === 'desc' ? -1 : 1 };
+
+      const [result] = await Answer.aggregate([
+        { $match: { hostId: new mongoose.Types.ObjectId(hostId) } },
+        {
+          $group: {
+            _id: { gameSessionId: '$gameSessionId', roomCode: '$roomCode', quizId: '$quizId' },
+            participantCount: { $sum: 1 },
+            guestCount: { $sum: { $cond: ['$isGuest', 1, 0] } },
+            averageScore: { $avg: '$totalScore' },
+            topScore: { $max: '$totalScore' },
+            totalQuestions: { $max: '$totalQuestions' },
+            completedAt: { $max: '$completedAt' }
+          }
+        },
+        { $sort: sort },
+        {
+          $facet: {
+            games: [{ $skip: skip }, { $limit: parseInt(limit) }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const total = result.total.length > 0 ? result.total[0].count : 0;
+      const titles = await this.getQuizTitles(result.games.map(game => game._id.quizId));
+
+      const games = result.games.map(game => ({
+        gameSessionId: game._id.gameSessionId,
+        roomCode: game._id.roomCode,
+        quizId: game._id.quizId,
+        quizTitle: titles.get(game._id.quizId.toString()) || null,
+        participantCount: game.participantCount,
+        guestCount: game.guestCount,
+        averageScore: Math.round(game.averageScore * 100) / 100,
+        topScore: game.topScore,
+        totalQuestions: game.totalQuestions,
+        completedAt: game.completedAt
+      }));
+
+      return {
+        games,
+        pagination: this.buildPagination(page, limit, total)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get hosted games: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get games a logged-in user took part in as a player
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options (page, limit, sortBy, sortOrder)
+   * @returns {Promise<Object>} Object containing games and pagination info
+   */
+  async getPlayedGames(userId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sortBy = 'completedAt',
+        sortOrder = 'desc'
+      } = options;
+
+      const skip = (page - 1) * limit;
+      const sortField = sortBy === 'score' ? 'totalScore' : 'completedAt';
+      const sort = { [sortField]: sortOrder === 'desc' ? -1 : 1 };
+
+      const query = { userId };
+
+      const [answers, total] = await Promise.all([
+        Answer.find(query)
+          .sort(sort)
+          .skip(skip)
+          .limit(parseInt(limit))
+          .select('-responses -__v'),
+        Answer.countDocuments(query)
+      ]);
+
+      // Rank each player within their game using every score from those sessions
+      const sessionIds = answers.map(answer => answer.gameSessionId);
+      const [titles, sessionScores] = await Promise.all([
+        this.getQuizTitles(answers.map(answer => answer.quizId)),
+        Answer.find({ gameSessionId: { $in: sessionIds } }).select('gameSessionId totalScore')
+      ]);
+
+      const games = answers.map(answer => {
+        const scores = sessionScores.filter(s => s.gameSessionId === answer.gameSessionId);
+        return {
+          gameSessionId: answer.gameSessionId,
+          roomCode: answer.roomCode,
+          quizId: answer.quizId,
+          quizTitle: titles.get(answer.quizId.toString()) || null,
+          playerName: answer.playerName,
+          score: answer.totalScore,
+          totalQuestions: answer.totalQuestions,
+          rank: scores.filter(s => s.totalScore > answer.totalScore).length + 1,
+          participantCount: scores.length,
+          completedAt: answer.completedAt
+        };
+      });
+
+      return {
+        games,
+        pagination: this.buildPagination(page, limit, total)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get played games: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the full record of a finished game
+   * Only the host and the logged-in players of the game can see it.
+   * @param {string} gameSessionId - Game session ID
+   * @param {string} userId - ID of the requesting user
+   * @returns {Promise<Object>} Final leaderboard and per-question responses
+   */
+  async getGameDetail(gameSessionId, userId) {
+    const answers = await Answer.find({ gameSessionId }).select('-__v');
+    if (answers.length === 0) {
+      throw new Error('Game not found');
+    }
+
+    const userIdStr = userId.toString();
+    const first = answers[0];
+    const isHost = first.hostId && first.hostId.toString() === userIdStr;
+    const isPlayer = answers.some(answer => answer.userId && answer.userId.toString() === userIdStr);
+    if (!isHost && !isPlayer) {
+      throw new Error('Access denied');
+    }
+
+    // The questions as they were asked, even if the quiz was edited since
+    const quiz = await quizRevisionService.getPlayedContent(first.quizId, first.quizRevision, gameSessionId);
+
+    const totalTime = answer => answer.responses.reduce((sum, response) => sum + (response.timeSpent || 0), 0);
+    const leaderboard = answers
+      .slice()
+      .sort((a, b) => b.totalScore - a.totalScore || totalTime(a) - totalTime(b))
+      .map((answer, index) => ({
+        rank: index + 1,
+        playerId: answer.playerId,
+        name: answer.playerName,
+        isGuest: answer.isGuest,
+        score: answer.totalScore,
+        correctAnswers: answer.responses.filter(response => response.isCorrect).length,
+        totalTime: totalTime(answer)
+      }));
+
+    const questions = Array.from({ length: first.totalQuestions }, (_, questionIndex) => {
+      const question = quiz ? quiz.questions[questionIndex] : null;
+      const responses = answers.map(answer => {
+        const response = answer.responses.find(r => r.questionIndex === questionIndex);
+        return {
+          playerId: answer.playerId,
+          name: answer.playerName,
+          answer: response ? response.answer : -1,
+          // Options as this player saw them, when the room shuffled them
+          optionOrder: response && response.optionOrder && response.optionOrder.length ? response.optionOrder : null,
+          shownAnswer: response ? shuffleService.toShownAnswer(response.answer, response.optionOrder) : -1,
+          isCorrect: response ? response.isCorrect : false,
+          pointsAwarded: response && response.pointsAwarded !== undefined ? response.pointsAwarded : null,
+          timeSpent: response ? response.timeSpent : null
+        };
+      });
+
+      return {
+        questionIndex,
+        questionType: question ? gradingService.getQuestionType(question) : null,
+        questionText: question ? question.questionText : null,
+        options: question ? question.options || [] : [],
+        correctAnswer: question ? gradingService.getCorrectAnswer(question) : null,
+        correctAnswerIndex: question ? question.correctAnswerIndex : null,
+        explanation: question ? question.explanation || null : null,
+        referenceUrl: question ? question.referenceUrl || null : null,
+        rich: question ? richTextService.formatQuestion(question, { withExplanation: true }) : null,
+        timeLimitSeconds: question ? question.timeLimitSeconds : null,
+        points: question ? question.points : null,
+        correctCount: responses.filter(response => response.isCorrect).length,
+        responses
+      };
+    });
+
+    return {
+      gameSessionId,
+      roomCode: first.roomCode,
+      quizId: first.quizId,
+      quizTitle: quiz ? quiz.title : null,
+      quizRevision: quiz ? quiz.revision : null,
+      hostId: first.hostId,
+      isHost,
+      totalQuestions: first.totalQuestions,
+      participantCount: answers.length,
+      completedAt: answers.reduce((latest, answer) => (answer.completedAt > latest ? answer.completedAt : latest), first.completedAt),
+      leaderboard,
+      questions
+    };
+  }
+}
+
+module.exports = new GameHistoryService();
@@ -0,0 +1,111 @@
+/**
+ * Grading Service
+ * Checks submitted answers against a question for every question type
+ */
+class GradingService {
+  /**
+   * Get a question's type, treating older questions as single choice
+   * @param {object} question - Question data
+   * @returns {string} Question type
+   */
+  getQuestionType(question) {
+    return question.questionType || 'single';
+  }
+
+  /**
+   * Normalize short answer text for comparison
+   * @param {string} text - Answer text
+   * @param {boolean} caseSensitive - Keep letter case when comparing
+   * @returns {string} Normalized text
+   */
+  normalizeText(text, caseSensitive) {
+    const collapsed = String(text).trim().replace(/\s+/g, ' ');
+    return caseSensitive ? collapsed : collapsed.toLowerCase();
+  }
+
+  /**
+   * Check the shape of a submitted answer and bring it into a canonical form
+   * - single / true-false: option index
+   * - multi-select: sorted array of unique option indices
+   * - short-answer: trimmed text
+   * @param {object} question - Question being answered
+   * @param {*} answer - Submitted answer
+   * @returns {number|Array|string} Normalized answer
+   */
+  normalizeAnswer(question, answer) {
+    const questionType = this.getQuestionType(question);
+    const optionCount = question.options ? question.options.length : 0;
+    const isOptionIndex = value => Number.isInteger(value) && value >= 0 && value < optionCount;
+
+    if (questionType === 'short-answer') {
+      if (typeof answer !== 'string' || answer.trim().length === 0) {
+        throw new Error('Answer must be non-empty text');
+      }
+      if (answer.length > 200) {
+        throw new Error('Answer cannot exceed 200 characters');
+      }
+      return answer.trim();
+    }
+
+    if (questionType === 'multi-select') {
+      if (!Array.isArray(answer) || answer.length === 0) {
+        throw new Error('Answer must be a non-empty array of option indices');
+      }
+      if (!answer.every(isOptionIndex)) {
+        throw new Error('Invalid option index');
+      }
+      return [...new Set(answer)].sort((a, b) => a - b);
+    }
+
+    if (!isOptionIndex(answer)) {
+      throw new Error('Invalid option index');
+    }
+    return answer;
+  }
+
+  /**
+   * Check if a normalized answer is correct
+   * Multi-select answers must match the correct options exactly.
+   * @param {object} question - Question being answered
+   * @param {number|Array|string} answer - Normalized answer
+   * @returns {boolean} True if the answer is correct
+   */
+  isCorrect(question, answer) {
+    const questionType = this.getQuestionType(question);
+
+    if (questionType === 'short-answer') {
+      const submitted = this.normalizeText(answer, question.caseSensitive);
+      return (question.acceptedAnswers || []).some(accepted =>
+        this.normalizeText(accepted, question.caseSensitive) === submitted
+      );
+    }
+
+    if (questionType === 'multi-select') {
+      const correct = [...new Set(question.correctAnswerIndices || [])];
+      return Array.isArray(answer) &&
+        answer.length === correct.length &&
+        correct.every(index => answer.includes(index));
+    }
+
+    return answer === question.correctAnswerIndex;
+  }
+
+  /**
+   * Get the correct answer of a question in the same shape as a submitted answer
+   * @param {object} question - Question data
+   * @returns {number|Array} Correct option index or indices, or accepted answers for short answer
+   */
+  getCorrectAnswer(question) {
+    const questionType = this.getQuestionType(question);
+
+    if (questionType === 'short-answer') {
+      return question.acceptedAnswers || [];
+    }
+    if (questionType === 'multi-select') {
+      return [...(question.correctAnswerIndices || [])].sort((a, b) => a - b);
+    }
+    return question.correctAnswerIndex;
+  }
+}
+
+module.exports = new GradingService();
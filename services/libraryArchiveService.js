@@ -0,0 +1,519 @@
+const crypto = require('crypto');
+const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+const QuizRevision = require('../models/QuizRevision');
+const BankQuestion = require('../models/BankQuestion');
+const Answer = require('../models/Answer');
+const GameQuestionSet = require('../models/GameQuestionSet');
+const User = require('../models/User');
+const quizService = require('./quizService');
+const richTextService = require('./richTextService');
+
+const ARCHIVE_FORMAT = 'quiz-library';
+const ARCHIVE_VERSION = 1;
+const MAX_ARCHIVE_SIZE = 50 * 1024 * 1024;
+const DUPLICATE_MODES = ['skip', 'copy'];
+
+// Quiz fields carried over on restore; creator and collaborators belong to this server's accounts
+const QUIZ_FIELDS = ['title', 'authorName', 'tags', 'subject', 'gradeLevel', 'language', 'visibility', 'status', 'questionPools'];
+
+// Answer fields carried over on restore; quizId, hostId and userId are remapped
+const RESULT_FIELDS = [
+  'isGuest', 'playerId', 'playerName', 'roomCode', 'gameSessionId', 'quizRevision', 'scoringMode',
+  'responses', 'totalScore', 'totalQuestions', 'completedAt', 'createdAt'
+];
+
+/**
+ * Drop the fields Mongoose adds for its own bookkeeping
+ * @param {Object} doc - Lean document
+ * @returns {Object} Document for the archive
+ */
+const toArchiveItem = ({ __v, ...doc }) => doc;
+
+/**
+ * Copy the content fields of a question, without media storage keys
+ * Restored questions link to the original files instead of owning them, so deleting
+ * a restored question never removes a file another quiz still uses.
+ * @param {Object} question - Question document or object
+ * @returns {Object} Plain question content
+ */
+const pickContent = (question) => {
+  const source = typeof question.toObject === 'function' ? question.toObject() : question;
+  const content = {};
+  Question.CONTENT_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      content[field] = source[field];
+    }
+  });
+
+  if (content.media) {
+    const { key, ...media } = content.media;
+    content.media = media;
+  }
+  if (Array.isArray(content.optionMedia)) {
+    content.optionMedia = content.optionMedia.map(({ key, ...media }) => media);
+  }
+  return content;
+};
+
+/**
+ * Hash content so equal quizzes and bank questions can be recognized
+ * @param {Object} content - Plain content
+ * @returns {string} Hex digest
+ */
+const fingerprint = (content) => crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+
+/**
+ * Fingerprint a quiz by its title, questions and question pools
+ * @param {Object} quiz - Quiz document
+ * @returns {string} Hex digest
+ */
+const quizFingerprint = (quiz) => fingerprint({
+  title: quiz.title,
+  questions: quiz.questions.map(pickContent),
+  questionPools: quiz.questionPools.map(pool => pool.toObject())
+});
+
+/**
+ * Fingerprint a bank question by its content and tags
+ * @param {Object} bankQuestion - Bank question document
+ * @returns {string} Hex digest
+ */
+const bankFingerprint = (bankQuestion) => fingerprint({
+  ...pickContent(bankQuestion),
+  tags: [...bankQuestion.tags]
+});
+
+/**
+ * Drop the "Question 1" label from validation errors of a single question
+ * @param {string} error - Error from quizService.validateQuestion
+ * @returns {string} Error without the label
+ */
+const withoutQuestionLabel = (error) => error.replace(/^Question 1(?::|,) /, '');
+
+/**
+ * Read a list from the archive, treating a missing list as empty
+ * @param {*} value - Archive field
+ * @returns {Array} List items that are objects
+ */
+const asList = (value) => (Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : []);
+
+/**
+ * Library Archive Service
+ * Writes a user's whole library (quizzes with their revisions, question bank and,
+ * optionally, the results of the games they hosted) to a versioned JSON archive,
+ * and restores such archives into an account, possibly on another server.
+ */
+class LibraryArchiveService {
+  constructor() {
+    this.ARCHIVE_FORMAT = ARCHIVE_FORMAT;
+    this.ARCHIVE_VERSION = ARCHIVE_VERSION;
+    this.MAX_ARCHIVE_SIZE = MAX_ARCHIVE_SIZE;
+    this.DUPLICATE_MODES = DUPLICATE_MODES;
+  }
+
+  /**
+   * Write a user's library as a JSON archive
+   * The archive goes out piece by piece through write(), one document at a time,
+   * so large libraries are never held in memory as a whole.
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - { includeResults }
+   * @param {Function} write - Async function receiving each chunk of JSON text
+   * @returns {Promise<void>}
+   */
+  async writeArchive(userId, { includeResults = false } = {}, write) {
+    const owner = await User.findById(userId).select('name email');
+    const header = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      owner: {
+        id: userId,
+        name: owner ? owner.name : null,
+        email: owner ? owner.email : null
+      },
+      includesResults: includeResults
+    };
+
+    // The header's closing brace is left off so the lists can follow it
+    await write(`${JSON.stringify(header).slice(0, -1)},\n"quizzes":[`);
+
+    const quizIds = [];
+    await this.writeList(
+      Quiz.find({ creator: userId }).sort({ createdAt: 1 }).select('-creator -collaborators').lean().cursor(),
+      write,
+      async (quiz) => {
+        quizIds.push(quiz._id);
+        const revisions = await QuizRevision.find({ quizId: quiz._id }).sort({ revision: 1 }).select('-quizId').lean();
+        return { ...toArchiveItem(quiz), revisions: revisions.map(toArchiveItem) };
+      }
+    );
+
+    await write('],\n"bankQuestions":[');
+    await this.writeList(
+      BankQuestion.find({ owner: userId }).sort({ createdAt: 1 }).select('-owner').lean().cursor(),
+      write,
+      toArchiveItem
+    );
+
+    if (includeResults) {
+      // Only games the user hosted with their own quizzes; other teachers' games stay with them
+      const resultsFilter = { hostId: userId, quizId: { $in: quizIds } };
+      const gameSessionIds = await Answer.distinct('gameSessionId', resultsFilter);
+
+      await write('],\n"questionSets":[');
+      await this.writeList(
+        GameQuestionSet.find({ gameSessionId: { $in: gameSessionIds } }).lean().cursor(),
+        write,
+        toArchiveItem
+      );
+
+      await write('],\n"results":[');
+      await this.writeList(
+        Answer.find(resultsFilter).sort({ completedAt: 1 }).select('-hostId').lean().cursor(),
+        write,
+        toArchiveItem
+      );
+    }
+
+    await write(']}\n');
+  }
+
+  /**
+   * Write the documents of a cursor as the items of a JSON list
+   * @param {Object} cursor - Mongoose query cursor
+   * @param {Function} write - Async function receiving each chunk
+   * @param {Function} transform - Turns a document into its archive item
+   * @returns {Promise<void>}
+   */
+  async writeList(cursor, write, transform) {
+    let first = true;
+    for await (const doc of cursor) {
+      const item = await transform(doc);
+      await write(`${first ? '' : ','}\n${JSON.stringify(item)}`);
+      first = false;
+    }
+  }
+
+  /**
+   * Read an uploaded archive
+   * @param {Object} file - Multer file
+   * @returns {Object} Parsed archive
+   */
+  readArchive(file) {
+    if (!file) {
+      throw new Error('No file uploaded');
+    }
+
+    let archive;
+    try {
+      archive = JSON.parse(file.buffer.toString('utf8').replace(/^﻿/, ''));
+    } catch (error) {
+      throw new Error('Archive is not valid JSON');
+    }
+
+    if (!archive || archive.format !== ARCHIVE_FORMAT || !Array.isArray(archive.quizzes)) {
+      throw new Error('Not a quiz library archive');
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+      throw new Error('Unsupported archive version');
+    }
+    return archive;
+  }
+
+  /**
+   * Restore an archive into a user's library
+   * Everything gets new IDs: bank question links, question pools and game results are
+   * pointed at the restored copies. Quizzes and bank questions whose content is already
+   * in the library are duplicates: with duplicates = 'skip' they are not restored again
+   * (links to a duplicate bank question use the existing one), with 'copy' they are.
+   * Games are restored with their quiz, unless their results are already stored;
+   * other players' results are restored as guests.
+   * @param {Object} file - Multer file holding the archive
+   * @param {string} userId - User restoring the archive
+   * @param {Object} options - { duplicates, dryRun }
+   * @returns {Promise<Object>} What was restored, skipped as duplicate and left out with errors
+   */
+  async restoreArchive(file, userId, { duplicates = 'skip', dryRun = false } = {}) {
+    const archive = this.readArchive(file);
+    const ownerId = archive.owner && archive.owner.id ? String(archive.owner.id) : null;
+
+    const bankQuestions = await this.restoreBankQuestions(asList(archive.bankQuestions), userId, { duplicates, dryRun });
+    const quizzes = await this.restoreQuizzes(asList(archive.quizzes), userId, {
+      duplicates,
+      dryRun,
+      ownerId,
+      bankIds: bankQuestions.ids
+    });
+    const games = await this.restoreGames(asList(archive.results), asList(archive.questionSets), userId, {
+      dryRun,
+      quizIds: quizzes.ids,
+      bankIds: bankQuestions.ids
+    });
+
+    return {
+      dryRun,
+      archiveVersion: archive.version,
+      exportedAt: archive.exportedAt || null,
+      quizzes: quizzes.report,
+      bankQuestions: bankQuestions.report,
+      games
+    };
+  }
+
+  /**
+   * Restore the question bank of an archive
+   * @param {Array} items - Archived bank questions
+   * @param {string} userId - User restoring the archive
+   * @param {Object} options - { duplicates, dryRun }
+   * @returns {Promise<Object>} { ids, report } with ids mapping archive IDs to bank question IDs here
+   */
+  async restoreBankQuestions(items, userId, { duplicates, dryRun }) {
+    const existing = await BankQuestion.find({ owner: userId });
+    const byFingerprint = new Map(existing.map(bankQuestion => [bankFingerprint(bankQuestion), bankQuestion._id]));
+    const ids = new Map();
+    const report = { restored: 0, duplicates: 0, failed: [] };
+
+    for (const item of items) {
+      const archiveId = String(item._id);
+      const errors = quizService.validateQuestion(item, 0).map(withoutQuestionLabel);
+      if (errors.length > 0) {
+        report.failed.push({ id: archiveId, errors });
+        continue;
+      }
+
+      const bankQuestion = new BankQuestion({
+        ...richTextService.sanitizeQuestion(pickContent(item)),
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        version: Number.isInteger(item.version) && item.version > 0 ? item.version : 1,
+        owner: userId,
+        createdAt: item.createdAt
+      });
+
+      const hash = bankFingerprint(bankQuestion);
+      if (duplicates === 'skip' && byFingerprint.has(hash)) {
+        ids.set(archiveId, byFingerprint.get(hash));
+        report.duplicates++;
+        continue;
+      }
+
+      try {
+        if (dryRun) {
+          await bankQuestion.validate();
+        } else {
+          await bankQuestion.save();
+        }
+      } catch (error) {
+        report.failed.push({ id: archiveId, errors: [error.message] });
+        continue;
+      }
+
+      ids.set(archiveId, bankQuestion._id);
+      byFingerprint.set(hash, bankQuestion._id);
+      report.restored++;
+    }
+
+    return { ids, report };
+  }
+
+  /**
+   * Point a question's bank link at the restored bank question
+   * Links to bank questions that were not restored are dropped; the question keeps its content.
+   * @param {Object} question - Archived question
+   * @param {Map} bankIds - Archive bank question ID => bank question ID here
+   * @returns {Object} Question to save
+   */
+  remapQuestion(question, bankIds) {
+    const content = { ...pickContent(question), ...(question._id !== undefined && { _id: question._id }) };
+    const bankRef = question.bankRef;
+    const linkedId = bankRef && bankRef.questionId ? bankIds.get(String(bankRef.questionId)) : null;
+
+    return {
+      ...content,
+      bankRef: linkedId ? { questionId: linkedId, version: bankRef.version, mode: bankRef.mode } : null
+    };
+  }
+
+  /**
+   * Restore the quizzes of an archive with their revision history
+   * Question IDs are kept so restored game results still point at the questions they answered.
+   * @param {Array} items - Archived quizzes
+   * @param {string} userId - User restoring the archive
+   * @param {Object} options - { duplicates, dryRun, ownerId, bankIds }
+   * @returns {Promise<Object>} { ids, report } with ids mapping archive IDs to restored quiz IDs
+   */
+  async restoreQuizzes(items, userId, { duplicates, dryRun, ownerId, bankIds }) {
+    const existing = await Quiz.find({ creator: userId });
+    const byFingerprint = new Map(existing.map(quiz => [quizFingerprint(quiz), quiz._id]));
+    const ids = new Map();
+    const report = { restored: [], duplicates: [], failed: [] };
+
+    for (const item of items) {
+      const archiveId = String(item._id);
+      const quizData = {};
+      QUIZ_FIELDS.forEach(field => {
+        if (item[field] !== undefined && item[field] !== null) {
+          quizData[field] = item[field];
+        }
+      });
+      quizData.questions = asList(item.questions).map(question => this.remapQuestion(question, bankIds));
+
+      const draft = quizData.status === 'draft';
+      const validation = quizService.validateQuizData(quizData, { draft });
+      if (!validation.isValid) {
+        report.failed.push({ id: archiveId, title: item.title || null, errors: validation.errors });
+        continue;
+      }
+
+      const revisions = asList(item.revisions).filter(revision => Number.isInteger(revision.revision) && revision.revision > 0);
+      const keepsRevision = revisions.some(revision => revision.revision === item.currentRevision);
+      const lastRevision = Math.max(0, ...revisions.map(revision => revision.revision));
+
+      const quiz = new Quiz({
+        ...quizService.sanitizeRichText(quizData),
+        creator: userId,
+        collaborators: [],
+        publishedAt: draft ? null : item.publishedAt || new Date(),
+        isArchived: item.isArchived === true,
+        archivedAt: item.isArchived === true ? item.archivedAt || new Date() : null,
+        // Without its current revision in the archive the quiz content becomes a new revision
+        currentRevision: keepsRevision ? item.currentRevision : lastRevision + 1,
+        createdAt: item.createdAt
+      });
+
+      const hash = quizFingerprint(quiz);
+      if (duplicates === 'skip' && byFingerprint.has(hash)) {
+        report.duplicates.push({ id: archiveId, title: quiz.title, existingId: byFingerprint.get(hash) });
+        continue;
+      }
+
+      const revisionDocs = revisions.map(revision => ({
+        quizId: quiz._id,
+        revision: revision.revision,
+        title: revision.title,
+        status: revision.status,
+        questions: asList(revision.questions).map(question => this.remapQuestion(question, bankIds)),
+        questionPools: asList(revision.questionPools),
+        // Revisions by collaborators keep no author: their accounts are not part of the archive
+        createdBy: ownerId && String(revision.createdBy) === ownerId ? userId : null,
+        reason: revision.reason,
+        restoredFrom: revision.restoredFrom,
+        createdAt: revision.createdAt
+      }));
+      if (!keepsRevision) {
+        revisionDocs.push({
+          quizId: quiz._id,
+          revision: quiz.currentRevision,
+          title: quiz.title,
+          status: quiz.status,
+          questions: quiz.questions.map(question => question.toObject()),
+          questionPools: quiz.questionPools.map(pool => pool.toObject()),
+          createdBy: userId,
+          reason: 'create'
+        });
+      }
+
+      try {
+        if (dryRun) {
+          await quiz.validate();
+        } else {
+          await quiz.save();
+          // Damaged revisions are left out rather than failing the whole quiz
+          await QuizRevision.insertMany(revisionDocs, { ordered: false });
+        }
+      } catch (error) {
+        report.failed.push({ id: archiveId, title: quiz.title, errors: [error.message] });
+        continue;
+      }
+
+      ids.set(archiveId, quiz._id);
+      byFingerprint.set(hash, quiz._id);
+      report.restored.push({ id: dryRun ? null : quiz._id, archiveId, title: quiz.title, questionsCount: quiz.questions.length });
+    }
+
+    return { ids, report };
+  }
+
+  /**
+   * Restore the game results of an archive
+   * Only the restoring user's own results stay linked to their account; every other player
+   * is restored as a guest under their player name.
+   * @param {Array} results - Archived answers, one per player and game
+   * @param {Array} questionSets - Archived question sets of pool and shuffled games
+   * @param {string} userId - User restoring the archive (the host of the restored games)
+   * @param {Object} options - { dryRun, quizIds, bankIds }
+   * @returns {Promise<Object>} Counts of restored, duplicate and skipped games, and failures
+   */
+  async restoreGames(results, questionSets, userId, { dryRun, quizIds, bankIds }) {
+    const report = { restored: 0, duplicates: 0, skipped: 0, failed: [] };
+
+    const games = new Map();
+    results.forEach(result => {
+      const gameSessionId = String(result.gameSessionId || '');
+      if (!games.has(gameSessionId)) {
+        games.set(gameSessionId, []);
+      }
+      games.get(gameSessionId).push(result);
+    });
+
+    const stored = new Set(await Answer.distinct('gameSessionId', { gameSessionId: { $in: [...games.keys()] } }));
+    const setsBySession = new Map(questionSets.map(questionSet => [String(questionSet.gameSessionId), questionSet]));
+
+    for (const [gameSessionId, players] of games) {
+      const quizId = quizIds.get(String(players[0].quizId));
+      if (!gameSessionId || !quizId) {
+        // The game's quiz was not restored (duplicate or failed)
+        report.skipped++;
+        continue;
+      }
+      if (stored.has(gameSessionId)) {
+        report.duplicates++;
+        continue;
+      }
+
+      const answers = players.map(player => {
+        const answer = { quizId, hostId: userId };
+        RESULT_FIELDS.forEach(field => {
+          if (player[field] !== undefined) {
+            answer[field] = player[field];
+          }
+        });
+        // The archive is uploaded by its holder, so its user IDs prove nothing about other accounts
+        const own = !player.isGuest && String(player.userId) === String(userId);
+        answer.userId = own ? userId : null;
+        answer.isGuest = !own;
+        return new Answer(answer);
+      });
+
+      const questionSet = setsBySession.get(gameSessionId);
+      const setDoc = questionSet ? new GameQuestionSet({
+        gameSessionId,
+        quizId,
+        quizRevision: questionSet.quizRevision,
+        title: questionSet.title,
+        questions: asList(questionSet.questions).map(question => this.remapQuestion(question, bankIds)),
+        createdAt: questionSet.createdAt
+      }) : null;
+
+      try {
+        await Promise.all([...answers, ...(setDoc ? [setDoc] : [])].map(doc => doc.validate()));
+        if (!dryRun) {
+          // insertMany skips the save hooks, so the archived totals are kept as played
+          await Answer.insertMany(answers);
+          if (setDoc) {
+            await setDoc.save();
+          }
+        }
+      } catch (error) {
+        report.failed.push({ gameSessionId, errors: [error.message] });
+        continue;
+      }
+
+      report.restored++;
+    }
+
+    return report;
+  }
+}
+
+module.exports = new LibraryArchiveService();
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const path = require('path');
+const { getStorage } = require('./storage');
+const quizService = require('./quizService');
+
+/**
+ * Accepted upload formats per media type, with the file extension used when storing them
+ */
+const ALLOWED_MIME_TYPES = {
+  image: {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp'
+  },
+  audio: {
+    'audio/mpeg': '.mp3',
+    'audio/wav': '.wav',
+    'audio/x-wav': '.wav',
+    'audio/ogg': '.ogg',
+    'audio/mp4': '.m4a',
+    'audio/aac': '.aac',
+    'audio/webm': '.weba'
+  },
+  video: {
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'video/ogg': '.ogv'
+  }
+};
+
+/**
+ * Check whether a buffer starts with the given bytes
+ * @param {Buffer} buffer - File content
+ * @param {string|Array<number>} bytes - Expected bytes (a string is read as latin1)
+ * @param {number} offset - Where the bytes start
+ * @returns {boolean} True when they match
+ */
+const startsWith = (buffer, bytes, offset = 0) => {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return buffer.length >= offset + expected.length && buffer.subarray(offset, offset + expected.length).equals(expected);
+};
+
+const isRiff = (buffer, format) => startsWith(buffer, 'RIFF') && startsWith(buffer, format, 8);
+// MP4 family (MP4 video, M4A audio): an "ftyp" box first
+const isIsoMedia = buffer => startsWith(buffer, 'ftyp', 4);
+// Matroska/WebM: EBML header
+const isEbml = buffer => startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]);
+const isOgg = buffer => startsWith(buffer, 'OggS');
+// MP3 and AAC files may open with an ID3 tag; otherwise the first frame's sync word
+const isId3 = buffer => startsWith(buffer, 'ID3');
+const isMpegFrame = buffer => buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0;
+const isAdtsFrame = buffer => buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0;
+
+/**
+ * File signatures of the accepted MIME types
+ * The declared type comes from the client, so the content has to back it up.
+ */
+const SIGNATURES = {
+  'image/jpeg': buffer => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  'image/png': buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/gif': buffer => startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a'),
+  'image/webp': buffer => isRiff(buffer, 'WEBP'),
+  'audio/mpeg': buffer => isId3(buffer) || isMpegFrame(buffer),
+  'audio/wav': buffer => isRiff(buffer, 'WAVE'),
+  'audio/x-wav': buffer => isRiff(buffer, 'WAVE'),
+  'audio/ogg': isOgg,
+  'audio/mp4': isIsoMedia,
+  'audio/aac': buffer => isId3(buffer) || isAdtsFrame(buffer) || startsWith(buffer, 'ADIF'),
+  'audio/webm': isEbml,
+  'video/mp4': isIsoMedia,
+  'video/webm': isEbml,
+  'video/ogg': isOgg
+};
+
+const MAX_FILE_SIZES = {
+  image: 5 * 1024 * 1024,
+  audio: 10 * 1024 * 1024,
+  video: 50 * 1024 * 1024
+};
+
+// Largest accepted upload of any type; the upload middleware stops reading past this
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(MAX_FILE_SIZES));
+
+/**
+ * Media Service
+ * Validates uploaded files, stores them through the storage adapter
+ * and attaches them to questions and answer options
+ */
+class MediaService {
+  constructor() {
+    this.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
+    this.MAX_FILE_SIZES = MAX_FILE_SIZES;
+    this.MAX_UPLOAD_SIZE = MAX_UPLOAD_SIZE;
+  }
+
+  /**
+   * Get the media type (image, audio, video) of a MIME type
+   * @param {string} mimeType - MIME type
+   * @returns {string|null} Media type or null when not supported
+   */
+  getMediaType(mimeType) {
+    return Object.keys(ALLOWED_MIME_TYPES)
+      .find(type => ALLOWED_MIME_TYPES[type][mimeType]) || null;
+  }
+
+  /**
+   * Check an uploaded file's type, size and content
+   * @param {object} file - Multer file (buffer, mimetype, size, originalname)
+   * @returns {string} Media type
+   */
+  validateFile(file) {
+    if (!file) {
+      throw new Error('No file uploaded');
+    }
+
+    const type = this.getMediaType(file.mimetype);
+    if (!type) {
+      throw new Error('Unsupported media type');
+    }
+
+    if (file.size > MAX_FILE_SIZES[type]) {
+      throw new Error('File too large');
+    }
+
+    if (!file.buffer || !SIGNATURES[file.mimetype](file.buffer)) {
+      throw new Error('File content does not match its type');
+    }
+
+    return type;
+  }
+
+  /**
+   * Describe the size limit of every media type, e.g. "image 5 MB"
+   * @returns {string} Size limits
+   */
+  describeLimits() {
+    return Object.entries(MAX_FILE_SIZES)
+      .map(([type, size]) => `${type} ${size / (1024 * 1024)} MB`)
+      .join(', ');
+  }
+
+  /**
+   * Validate and store an uploaded file
+   * @param {object} file - Multer file
+   * @param {object} options - { altText, uploadedBy }
+   * @returns {object} Media data to attach to a question or option
+   */
+  async saveUpload(file, { altText, uploadedBy = null } = {}) {
+    const type = this.validateFile(file);
+    const extension = ALLOWED_MIME_TYPES[type][file.mimetype];
+    const key = path.posix.join(type, `${crypto.randomBytes(16).toString('hex')}${extension}`);
+
+    const stored = await getStorage().save({
+      buffer: file.buffer,
+      key,
+      mimeType: file.mimetype
+    });
+
+    console.log(`📎 Stored ${type} upload ${stored.key} (${file.size} bytes) for user ${uploadedBy}`);
+
+    return {
+      type,
+      url: stored.url,
+      key: stored.key,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedBy,
+      ...(altText && { altText })
+    };
+  }
+
+  /**
+   * Delete an uploaded file; external links are left alone
+   * @param {object} media - Media data
+   */
+  async removeMedia(media) {
+    if (!media || !media.key) {
+      return;
+    }
+
+    try {
+      await getStorage().remove(media.key);
+    } catch (error) {
+      // A leftover file is not worth failing the request over
+      console.error(`Failed to remove media ${media.key}:`, error.message);
+    }
+  }
+
+  /**
+   * Media fields safe to send to players (no storage key)
+   * @param {object} media - Media data
+   * @returns {object|null} Public media data
+   */
+  formatMedia(media) {
+    if (!media || !media.url) {
+      return null;
+    }
+
+    return {
+      type: media.type,
+      url: media.url,
+      mimeType: media.mimeType || null,
+      altText: media.altText || null
+    };
+  }
+
+  /**
+   * Media of a question and its options for player payloads
+   * optionMedia lines up with the options array, with null for options without media.
+   * @param {object} question - Question data
+   * @returns {object} { media, optionMedia }
+   */
+  formatQuestionMedia(question) {
+    const options = question.options || [];
+    const optionMedia = options.map((option, index) => {
+      const media = (question.optionMedia || []).find(m => m.optionIndex === index);
+      return this.formatMedia(media);
+    });
+
+    return {
+      media: this.formatMedia(question.media),
+      optionMedia
+    };
+  }
+
+  /**
+   * Attach media to a question, or to one of its options, replacing what was there
+   * Replaced files are kept: earlier revisions of the quiz still show them.
+   * @param {object} quiz - Quiz document
+   * @param {string} questionId - Question ID
+   * @param {object} media - Media data from saveUpload
+   * @param {number} optionIndex - Option index, or undefined for the question itself
+   * @param {string} userId - User making the change
+   * @returns {object} Updated question
+   */
+  async attachToQuestion(quiz, questionId, media, optionIndex, userId) {
+    const question = this.findQuestion(quiz, questionId);
+
+    if (optionIndex === undefined) {
+      question.media = media;
+    } else {
+      this.checkOptionIndex(question, optionIndex);
+      const optionMedia = question.optionMedia || [];
+      question.optionMedia = [
+        ...optionMedia.filter(m => m.optionIndex !== optionIndex),
+        { ...media, optionIndex }
+      ].sort((a, b) => a.optionIndex - b.optionIndex);
+    }
+
+    return this.saveQuestions(quiz, questionId, userId);
+  }
+
+  /**
+   * Remove the media of a question or one of its options
+   * @param {object} quiz - Quiz document
+   * @param {string} questionId - Question ID
+   * @param {number} optionIndex - Option index, or undefined for the question itself
+   * @param {string} userId - User making the change
+   * @returns {object} Updated question
+   */
+  async detachFromQuestion(quiz, questionId, optionIndex, userId) {
+    const question = this.findQuestion(quiz, questionId);
+    let removed;
+
+    if (optionIndex === undefined) {
+      removed = question.media;
+      question.media = null;
+    } else {
+      this.checkOptionIndex(question, optionIndex);
+      removed = (question.optionMedia || []).find(m => m.optionIndex === optionIndex);
+      question.optionMedia = (question.optionMedia || []).filter(m => m.optionIndex !== optionIndex);
+    }
+
+    if (!removed || !removed.url) {
+      throw new Error('Media not found');
+    }
+
+    return this.saveQuestions(quiz, questionId, userId);
+  }
+
+  /**
+   * Save the quiz's questions as a new revision and return the changed question
+   * @param {object} quiz - Quiz document with modified questions
+   * @param {string} questionId - ID of the changed question
+   * @param {string} userId - User making the change
+   * @returns {object} Updated question
+   */
+  async saveQuestions(quiz, questionId, userId) {
+    const updatedQuiz = await quizService.saveQuestions(
+      quiz,
+      quiz.questions.map(question => question.toObject()),
+      { userId }
+    );
+
+    return updatedQuiz.questions.id(questionId);
+  }
+
+  /**
+   * Find a question of a quiz by its ID
+   * @param {object} quiz - Quiz document
+   * @param {string} questionId - Question ID
+   * @returns {object} Question subdocument
+   */
+  findQuestion(quiz, questionId) {
+    const question = quiz.questions.id(questionId);
+    if (!question) {
+      throw new Error('Question not found');
+    }
+    return question;
+  }
+
+  /**
+   * Make sure an option index points to one of the question's options
+   * @param {object} question - Question data
+   * @param {number} optionIndex - Option index
+   */
+  checkOptionIndex(question, optionIndex) {
+    const options = question.options || [];
+    if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= options.length) {
+      throw new Error('Invalid option index');
+    }
+  }
+}
+
+module.exports = new MediaService();
@@ -0,0 +1,255 @@
+const katex = require('katex');
+const gradingService = require('./gradingService');
+const questionPoolService = require('./questionPoolService');
+const richTextService = require('./richTextService');
+const shuffleService = require('./shuffleService');
+
+const MAX_VARIANTS = 10;
+const OPTION_LETTERS = 'ABCDEF';
+const SHORT_ANSWER_LINES = 2;
+
+// Math is rendered to KaTeX markup on the server; the page only needs its stylesheet
+const KATEX_STYLESHEET = `https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css`;
+
+const STYLES = `
+  @page { margin: 18mm 16mm; }
+  body { font-family: Georgia, "Times New Roman", serif; font-size: 12pt; line-height: 1.4; color: #000; margin: 0; }
+  h1 { font-size: 18pt; margin: 0 0 4pt; }
+  h2 { font-size: 15pt; margin: 0 0 10pt; }
+  .sheet + .sheet { break-before: page; }
+  .meta { display: flex; justify-content: space-between; font-size: 10pt; margin-bottom: 10pt; }
+  .student { display: flex; gap: 16pt; margin: 12pt 0 16pt; }
+  .student span { flex: 1; border-bottom: 1px solid #000; padding-bottom: 2pt; }
+  .questions { padding-left: 22pt; margin: 0; }
+  .question { break-inside: avoid; margin-bottom: 14pt; }
+  .points, .hint { font-size: 10pt; font-style: italic; }
+  .options { list-style: upper-alpha; padding-left: 22pt; margin: 6pt 0 0; }
+  .options li { margin-bottom: 3pt; }
+  .answer-line { border-bottom: 1px solid #000; height: 22pt; }
+  .media { display: block; max-width: 100%; max-height: 8cm; margin: 6pt 0; }
+  .media-note { font-size: 10pt; font-style: italic; }
+  pre { white-space: pre-wrap; font-size: 10pt; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #000; padding: 4pt 6pt; text-align: left; vertical-align: top; }
+  th:first-child, td:first-child { width: 28pt; text-align: right; }
+`;
+
+const escapeHtml = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render rich text markup to HTML
+ * @param {string} text - Markup
+ * @returns {string} HTML, empty for missing text
+ */
+const renderText = (text) => {
+  const rendered = richTextService.render(text);
+  return rendered ? rendered.html : '';
+};
+
+/**
+ * Describe a number of points
+ * @param {number} points - Points
+ * @returns {string} "1 point", "3 points"
+ */
+const formatPoints = (points) => `${points} ${points === 1 ? 'point' : 'points'}`;
+
+/**
+ * Print Service
+ * Renders quizzes as print-ready HTML for running them on paper: numbered questions,
+ * lettered options and an answer key on a page of its own. Printing the page from a
+ * browser (or saving it as PDF) gives the paper version.
+ * Shuffled variants work like shuffled game rooms, so students sitting next to each
+ * other get the same questions in a different order.
+ */
+class PrintService {
+  constructor() {
+    this.MAX_VARIANTS = MAX_VARIANTS;
+  }
+
+  /**
+   * Render a quiz for printing
+   * Quizzes with question pools are drawn once, so every variant has the same questions.
+   * @param {Object} quiz - Quiz document
+   * @param {Object} options - { variants, shuffleQuestions, shuffleOptions, answerKey, baseUrl }
+   *   baseUrl turns uploaded file paths into links that work outside the API
+   * @returns {Promise<string>} HTML document
+   */
+  async renderQuiz(quiz, {
+    variants = 1,
+    shuffleQuestions = false,
+    shuffleOptions = false,
+    answerKey = true,
+    baseUrl = ''
+  } = {}) {
+    const questions = await questionPoolService.drawQuestions(quiz);
+    if (questions.length === 0) {
+      throw new Error('Quiz has no questions to print');
+    }
+    const showPoints = questions.some(question => question.points !== 1);
+
+    const sheets = [];
+    for (let index = 0; index < variants; index++) {
+      const label = variants > 1 ? `Version ${String.fromCharCode(65 + index)}` : null;
+      const ordered = shuffleQuestions ? shuffleService.shuffle(questions) : questions;
+      const variant = ordered.map(question => (
+        shuffleOptions ? shuffleService.applyOptionOrder(question, shuffleService.createOptionOrder(question)) : question
+      ));
+
+      sheets.push(this.renderQuestionSheet(quiz, variant, { label, showPoints, baseUrl }));
+      if (answerKey) {
+        sheets.push(this.renderAnswerKey(quiz, variant, { label, showPoints }));
+      }
+    }
+
+    return [
+      '<!DOCTYPE html>',
+      `<html lang="${escapeHtml(quiz.language || 'en')}">`,
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(quiz.title)}</title>`,
+      `<link rel="stylesheet" href="${KATEX_STYLESHEET}">`,
+      `<style>${STYLES}</style>`,
+      '</head>',
+      '<body>',
+      ...sheets,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Render the pages students fill in
+   * @param {Object} quiz - Quiz document
+   * @param {Array} questions - Questions in the variant's order
+   * @param {Object} options - { label, showPoints, baseUrl }
+   * @returns {string} HTML section
+   */
+  renderQuestionSheet(quiz, questions, { label, showPoints, baseUrl }) {
+    const totalPoints = questions.reduce((total, question) => total + question.points, 0);
+    const details = [
+      `${questions.length} ${questions.length === 1 ? 'question' : 'questions'}`,
+      ...(showPoints ? [formatPoints(totalPoints)] : [])
+    ];
+
+    return [
+      '<section class="sheet">',
+      `<h1>${escapeHtml(quiz.title)}</h1>`,
+      `<div class="meta"><span>${escapeHtml(details.join(' · '))}</span>${label ? `<strong>${label}</strong>` : ''}</div>`,
+      '<div class="student"><span>Name:</span><span>Class:</span><span>Date:</span></div>',
+      '<ol class="questions">',
+      ...questions.map(question => this.renderQuestion(question, { showPoints, baseUrl })),
+      '</ol>',
+      '</section>'
+    ].join('\n');
+  }
+
+  /**
+   * Render one question with its options or answer lines
+   * @param {Object} question - Question data
+   * @param {Object} options - { showPoints, baseUrl }
+   * @returns {string} HTML list item
+   */
+  renderQuestion(question, { showPoints, baseUrl }) {
+    const questionType = gradingService.getQuestionType(question);
+    const optionMedia = question.optionMedia || [];
+    const parts = [`<div class="text">${renderText(question.questionText)}</div>`];
+
+    if (showPoints) {
+      parts.push(`<div class="points">(${formatPoints(question.points)})</div>`);
+    }
+    if (question.media) {
+      parts.push(this.renderMedia(question.media, baseUrl));
+    }
+
+    if (questionType === 'short-answer') {
+      parts.push(...Array.from({ length: SHORT_ANSWER_LINES }, () => '<div class="answer-line"></div>'));
+    } else {
+      if (questionType === 'multi-select') {
+        parts.push('<div class="hint">Select all that apply.</div>');
+      }
+      parts.push(
+        '<ol class="options">',
+        ...(question.options || []).map((option, index) => {
+          const media = optionMedia.find(item => item.optionIndex === index);
+          return `<li>${renderText(option)}${media ? this.renderMedia(media, baseUrl) : ''}</li>`;
+        }),
+        '</ol>'
+      );
+    }
+
+    return `<li class="question">\n${parts.join('\n')}\n</li>`;
+  }
+
+  /**
+   * Render media for paper: images are printed, audio and video are named with their link
+   * @param {Object} media - { type, url, altText }
+   * @param {string} baseUrl - Origin for uploaded file paths
+   * @returns {string} HTML
+   */
+  renderMedia(media, baseUrl) {
+    const url = media.url.startsWith('/') ? `${baseUrl}${media.url}` : media.url;
+    if (media.type === 'image') {
+      return `<img class="media" src="${escapeHtml(url)}" alt="${escapeHtml(media.altText || '')}">`;
+    }
+    const kind = media.type === 'audio' ? 'Audio' : 'Video';
+    return `<div class="media-note">${kind}${media.altText ? `: ${escapeHtml(media.altText)}` : ''} (${escapeHtml(url)})</div>`;
+  }
+
+  /**
+   * Render the answer key of a variant on a page of its own
+   * @param {Object} quiz - Quiz document
+   * @param {Array} questions - Questions in the variant's order, with their options as printed
+   * @param {Object} options - { label, showPoints }
+   * @returns {string} HTML section
+   */
+  renderAnswerKey(quiz, questions, { label, showPoints }) {
+    const rows = questions.map((question, index) => [
+      '<tr>',
+      `<td>${index + 1}</td>`,
+      `<td>${this.formatAnswer(question)}</td>`,
+      ...(showPoints ? [`<td>${question.points}</td>`] : []),
+      '</tr>'
+    ].join(''));
+
+    return [
+      '<section class="sheet answer-key">',
+      `<h2>Answer key${label ? ` · ${label}` : ''}</h2>`,
+      `<div class="meta"><span>${escapeHtml(quiz.title)}</span></div>`,
+      '<table>',
+      `<thead><tr><th>#</th><th>Answer</th>${showPoints ? '<th>Points</th>' : ''}</tr></thead>`,
+      '<tbody>',
+      ...rows,
+      '</tbody>',
+      '</table>',
+      '</section>'
+    ].join('\n');
+  }
+
+  /**
+   * Write the right answer of a question as it appears on the sheet
+   * @param {Object} question - Question data, options in printed order
+   * @returns {string} HTML: option letters, or the accepted answers of a short answer question
+   */
+  formatAnswer(question) {
+    const questionType = gradingService.getQuestionType(question);
+    if (questionType === 'short-answer') {
+      return (question.acceptedAnswers || []).map(escapeHtml).join(' / ');
+    }
+
+    const correct = questionType === 'multi-select'
+      ? [...(question.correctAnswerIndices || [])].sort((a, b) => a - b)
+      : [question.correctAnswerIndex];
+    return correct
+      .filter(index => Number.isInteger(index) && index >= 0)
+      .map(index => OPTION_LETTERS[index])
+      .join(', ');
+  }
+}
+
+module.exports = new PrintService();
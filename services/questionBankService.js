@@ -0,0 +1,307 @@
+const BankQuestion = require('../models/BankQuestion');
+const Question = require('../models/Question');
+const Quiz = require('../models/Quiz');
+const quizService = require('./quizService');
+const richTextService = require('./richTextService');
+
+/**
+ * Copy the content fields of a question
+ * @param {Object} question - Question document or object
+ * @returns {Object} Plain question content
+ */
+const pickContent = (question) => {
+  const source = typeof question.toObject === 'function' ? question.toObject() : question;
+  const content = {};
+  Question.CONTENT_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      content[field] = source[field];
+    }
+  });
+  return content;
+};
+
+/**
+ * Question Bank Service
+ * Stores reusable questions and keeps the quiz questions copied from them up to date
+ */
+class QuestionBankService {
+  /**
+   * Add a question to a user's bank
+   * @param {string} ownerId - Owner user ID
+   * @param {Object} data - Question content and tags (already validated)
+   * @returns {Promise<Object>} Created bank question
+   */
+  async createBankQuestion(ownerId, data) {
+    try {
+      const bankQuestion = new BankQuestion({
+        ...richTextService.sanitizeQuestion(pickContent(data)),
+        tags: data.tags || [],
+        owner: ownerId
+      });
+      return await bankQuestion.save();
+    } catch (error) {
+      throw new Error(`Failed to create bank question: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a bank question owned by a user
+   * Other users' questions look missing, like private quizzes.
+   * @param {string} bankQuestionId - Bank question ID
+   * @param {string} ownerId - User ID
+   * @returns {Promise<Object>} Bank question
+   */
+  async getBankQuestion(bankQuestionId, ownerId) {
+    try {
+      const bankQuestion = await BankQuestion.findById(bankQuestionId);
+      if (!bankQuestion || bankQuestion.owner.toString() !== ownerId.toString()) {
+        throw new Error('Bank question not found');
+      }
+      return bankQuestion;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid bank question ID format');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Search a user's bank by text and tags
+   * @param {string} ownerId - Owner user ID
+   * @param {Object} options - Query options (q, tags, questionType, difficulty, page, limit)
+   * @returns {Promise<Object>} Object containing questions and pagination info
+   */
+  async listBankQuestions(ownerId, options = {}) {
+    try {
+      const { q, tags, questionType, difficulty, page = 1, limit = 20 } = options;
+      const skip = (page - 1) * limit;
+
+      const query = { owner: ownerId };
+      const projection = { __v: 0 };
+      let sort = { updatedAt: -1 };
+
+      if (q) {
+        query.$text = { $search: q };
+        projection.score = { $meta: 'textScore' };
+        sort = { score: { $meta: 'textScore' }, updatedAt: -1 };
+      }
+      if (tags && tags.length > 0) {
+        query.tags = { $all: tags.map(tag => tag.toLowerCase()) };
+      }
+      if (questionType) {
+        query.questionType = questionType === 'single' ? { $in: ['single', null] } : questionType;
+      }
+      if (difficulty) {
+        query.difficulty = difficulty;
+      }
+
+      const [questions, total] = await Promise.all([
+        BankQuestion.find(query, projection)
+          .sort(sort)
+          .skip(skip)
+          .limit(parseInt(limit)),
+        BankQuestion.countDocuments(query)
+      ]);
+
+      return {
+        questions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalQuestions: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to list bank questions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the content and tags of a bank question
+   * The version goes up, and linked quiz questions are updated unless propagate is false.
+   * @param {Object} bankQuestion - Bank question document
+   * @param {Object} data - New question content and tags (already validated)
+   * @param {Object} options - { propagate, userId }
+   * @returns {Promise<Object>} { bankQuestion, propagation } where propagation lists updated and failed quizzes
+   */
+  async updateBankQuestion(bankQuestion, data, { propagate = true, userId } = {}) {
+    let updated;
+    try {
+      const content = richTextService.sanitizeQuestion(pickContent(data));
+      // Fields left out are cleared, as when replacing a quiz question
+      const unset = {};
+      Question.CONTENT_FIELDS.forEach(field => {
+        if (content[field] === undefined) {
+          unset[field] = 1;
+        }
+      });
+
+      updated = await BankQuestion.findByIdAndUpdate(
+        bankQuestion._id,
+        {
+          $set: { ...content, tags: data.tags || [] },
+          ...(Object.keys(unset).length > 0 && { $unset: unset }),
+          $inc: { version: 1 }
+        },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to update bank question: ${error.message}`);
+    }
+
+    if (!updated) {
+      throw new Error('Bank question not found');
+    }
+
+    const propagation = propagate
+      ? await this.propagate(updated, userId)
+      : { updatedQuizzes: [], failedQuizzes: [] };
+
+    return { bankQuestion: updated, propagation };
+  }
+
+  /**
+   * Delete a bank question
+   * Quiz copies keep their content; their link just stops receiving updates.
+   * @param {Object} bankQuestion - Bank question document
+   * @returns {Promise<void>}
+   */
+  async deleteBankQuestion(bankQuestion) {
+    await BankQuestion.deleteOne({ _id: bankQuestion._id });
+  }
+
+  /**
+   * Build a quiz question from a bank question
+   * @param {Object} bankQuestion - Bank question document
+   * @param {string} mode - linked or pinned
+   * @returns {Object} Question data with a bankRef
+   */
+  toQuizQuestion(bankQuestion, mode = 'linked') {
+    return {
+      ...pickContent(bankQuestion),
+      bankRef: {
+        questionId: bankQuestion._id,
+        version: bankQuestion.version,
+        mode
+      }
+    };
+  }
+
+  /**
+   * Find the owner's quizzes holding copies of a bank question
+   * Copies in quizzes someone else created are never followed, even if a link
+   * to the bank question ended up there.
+   * @param {Object} bankQuestion - Bank question document
+   * @returns {Promise<Array>} Quiz documents
+   */
+  async findLinkedQuizzes(bankQuestion) {
+    return Quiz.find({ 'questions.bankRef.questionId': bankQuestion._id, creator: bankQuestion.owner });
+  }
+
+  /**
+   * List where a bank question is used
+   * @param {Object} bankQuestion - Bank question document
+   * @returns {Promise<Array>} One entry per quiz question copied from it
+   */
+  async getUsage(bankQuestion) {
+    const quizzes = await this.findLinkedQuizzes(bankQuestion);
+    const usage = [];
+
+    quizzes.forEach(quiz => {
+      quiz.questions.forEach((question, index) => {
+        if (question.bankRef && question.bankRef.questionId.equals(bankQuestion._id)) {
+          usage.push({
+            quizId: quiz._id,
+            quizTitle: quiz.title,
+            questionId: question._id,
+            questionIndex: index,
+            mode: question.bankRef.mode,
+            version: question.bankRef.version,
+            upToDate: question.bankRef.version === bankQuestion.version
+          });
+        }
+      });
+    });
+
+    return usage;
+  }
+
+  /**
+   * Copy the latest content of a bank question into every linked quiz question
+   * Each quiz gets a new revision. A quiz that fails (for example because it was
+   * being edited at the same moment) is reported and left for the next edit or a manual sync.
+   * @param {Object} bankQuestion - Updated bank question document
+   * @param {string} userId - User who edited the bank question
+   * @returns {Promise<Object>} { updatedQuizzes, failedQuizzes }
+   */
+  async propagate(bankQuestion, userId) {
+    const quizzes = await this.findLinkedQuizzes(bankQuestion);
+    const updatedQuizzes = [];
+    const failedQuizzes = [];
+
+    for (const quiz of quizzes) {
+      let changed = false;
+      const questions = quiz.questions.map(question => {
+        const plain = question.toObject();
+        if (!plain.bankRef || plain.bankRef.mode !== 'linked' || !plain.bankRef.questionId.equals(bankQuestion._id)) {
+          return plain;
+        }
+        changed = true;
+        return {
+          ...this.toQuizQuestion(bankQuestion, 'linked'),
+          _id: plain._id
+        };
+      });
+
+      if (!changed) {
+        continue;
+      }
+
+      try {
+        await quizService.saveQuestions(quiz, questions, { userId });
+        updatedQuizzes.push({ quizId: quiz._id, title: quiz.title });
+      } catch (error) {
+        console.error(`Error updating bank question ${bankQuestion._id} in quiz ${quiz._id}:`, error.message);
+        failedQuizzes.push({ quizId: quiz._id, title: quiz.title, reason: error.message });
+      }
+    }
+
+    return { updatedQuizzes, failedQuizzes };
+  }
+
+  /**
+   * Change how a quiz question follows its bank question
+   * Switching to linked, or sync on a pinned question, copies the latest bank version in.
+   * Anyone who can edit the quiz may do this, but the bank question must belong to the quiz creator.
+   * @param {Object} quiz - Quiz document
+   * @param {string} questionId - Quiz question ID
+   * @param {Object} link - { mode, sync }
+   * @param {Object} options - { expectedRevision, userId }
+   * @returns {Promise<Object>} { quiz, question } with the saved question
+   */
+  async setLink(quiz, questionId, { mode, sync = false }, { expectedRevision, userId } = {}) {
+    const index = quizService.findQuestionIndex(quiz, questionId);
+    const questions = quiz.questions.map(question => question.toObject());
+    const current = questions[index];
+
+    if (!current.bankRef) {
+      throw new Error('Question is not from the question bank');
+    }
+
+    const nextMode = mode || current.bankRef.mode;
+    if (nextMode === 'linked' || sync) {
+      const bankQuestion = await this.getBankQuestion(current.bankRef.questionId, quiz.creator);
+      questions[index] = { ...this.toQuizQuestion(bankQuestion, nextMode), _id: current._id };
+    } else {
+      questions[index] = { ...current, bankRef: { ...current.bankRef, mode: nextMode } };
+    }
+
+    const updatedQuiz = await quizService.saveQuestions(quiz, questions, { expectedRevision, userId });
+    return { quiz: updatedQuiz, question: updatedQuiz.questions[index] };
+  }
+}
+
+module.exports = new QuestionBankService();
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const BankQuestion = require('../models/BankQuestion');
+const questionBankService = require('./questionBankService');
+
+/**
+ * Question Pool Service
+ * Turns a quiz's pool rules into concrete questions drawn from its creator's question bank
+ */
+class QuestionPoolService {
+  /**
+   * Check whether a quiz draws questions from pools
+   * @param {Object} quiz - Quiz document
+   * @returns {boolean} True if the quiz has pool rules
+   */
+  hasPools(quiz) {
+    return Array.isArray(quiz.questionPools) && quiz.questionPools.length > 0;
+  }
+
+  /**
+   * Build the bank query matching one pool rule
+   * Aggregations don't cast, so IDs are converted here.
+   * @param {string} ownerId - Owner of the bank (the quiz creator)
+   * @param {Object} pool - Pool rule ({ count, tags, difficulty, questionType })
+   * @param {Array} excludeIds - Bank question IDs already used in this game
+   * @returns {Object} MongoDB query
+   */
+  buildPoolQuery(ownerId, pool, excludeIds = []) {
+    const query = { owner: new mongoose.Types.ObjectId(ownerId.toString()) };
+
+    if (excludeIds.length > 0) {
+      query._id = { $nin: excludeIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+    }
+    if (pool.tags && pool.tags.length > 0) {
+      query.tags = { $all: pool.tags.map(tag => tag.toLowerCase()) };
+    }
+    if (pool.difficulty) {
+      query.difficulty = pool.difficulty;
+    }
+    if (pool.questionType) {
+      // Questions saved before question types existed are single choice
+      query.questionType = pool.questionType === 'single' ? { $in: ['single', null] } : pool.questionType;
+    }
+
+    return query;
+  }
+
+  /**
+   * Bank questions already used as fixed questions of the quiz
+   * @param {Object} quiz - Quiz document
+   * @returns {Array} Bank question IDs
+   */
+  getFixedBankIds(quiz) {
+    return quiz.questions
+      .filter(question => question.bankRef && question.bankRef.questionId)
+      .map(question => question.bankRef.questionId);
+  }
+
+  /**
+   * Resolve a quiz into the questions of one game
+   * Fixed questions come first, in order, followed by each pool's random draw.
+   * A bank question is never asked twice in the same game.
+   * @param {Object} quiz - Quiz document
+   * @returns {Promise<Array>} Questions for the game (drawn ones keep their bank question ID)
+   */
+  async drawQuestions(quiz) {
+    const questions = quiz.questions.map(question => (typeof question.toObject === 'function' ? question.toObject() : question));
+    if (!this.hasPools(quiz)) {
+      return questions;
+    }
+
+    const used = this.getFixedBankIds(quiz);
+
+    for (const [index, pool] of quiz.questionPools.entries()) {
+      const sample = await BankQuestion.aggregate([
+        { $match: this.buildPoolQuery(quiz.creator, pool, used) },
+        { $sample: { size: pool.count } }
+      ]);
+
+      if (sample.length < pool.count) {
+        throw new Error(`Question pool ${index + 1} needs ${pool.count} questions but the question bank only has ${sample.length} matching`);
+      }
+
+      sample.forEach(bankQuestion => {
+        used.push(bankQuestion._id);
+        // Pinned: the game keeps the version it drew even if the bank question changes mid-game
+        questions.push({ ...questionBankService.toQuizQuestion(bankQuestion, 'pinned'), _id: bankQuestion._id });
+      });
+    }
+
+    return questions;
+  }
+
+  /**
+   * Count the bank questions matching each pool rule
+   * Pools are counted on their own; rules that overlap share the same questions.
+   * @param {Object} quiz - Quiz document
+   * @returns {Promise<Array>} One entry per pool with the number of matching questions
+   */
+  async getAvailability(quiz) {
+    const fixedBankIds = this.getFixedBankIds(quiz);
+
+    return Promise.all((quiz.questionPools || []).map(async pool => {
+      const available = await BankQuestion.countDocuments(this.buildPoolQuery(quiz.creator, pool, fixedBankIds));
+      return {
+        count: pool.count,
+        tags: pool.tags || [],
+        difficulty: pool.difficulty || null,
+        questionType: pool.questionType || null,
+        available,
+        isSatisfied: available >= pool.count
+      };
+    }));
+  }
+}
+
+module.exports = new QuestionPoolService();
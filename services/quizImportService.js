@@ -0,0 +1,196 @@
+const path = require('path');
+const quizService = require('./quizService');
+const { IMPORT_FORMATS } = require('./formats');
+const { isZip } = require('./formats/zipArchive');
+
+const MAX_IMPORT_SIZE = 2 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_QUIZZES = 50;
+
+// File extensions that name their format
+const EXTENSIONS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.gift': 'gift',
+  '.zip': 'qti'
+};
+
+/**
+ * Drop the "Question 1" label from validation errors of a single question
+ * @param {string} error - Error from quizService.validateQuestion
+ * @returns {string} Error without the label
+ */
+const withoutQuestionLabel = (error) => error.replace(/^Question 1(?::|,) /, '');
+
+/**
+ * Quiz Import Service
+ * Creates quizzes from uploaded files. Each question row is checked on its own:
+ * rows with errors are reported and left out, the rest are imported.
+ */
+class QuizImportService {
+  constructor() {
+    this.MAX_IMPORT_SIZE = MAX_IMPORT_SIZE;
+    this.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+    this.MAX_IMPORT_QUIZZES = MAX_IMPORT_QUIZZES;
+    this.FORMATS = Object.keys(IMPORT_FORMATS);
+  }
+
+  /**
+   * Read an uploaded file as text
+   * @param {Object} file - Multer file (buffer, originalname, mimetype)
+   * @returns {string} File content
+   */
+  readFile(file) {
+    if (!file) {
+      throw new Error('No file uploaded');
+    }
+
+    // Spreadsheet workbooks (.xlsx, .ods) and other binary files
+    if (file.buffer.includes(0)) {
+      throw new Error('Import file must be text');
+    }
+
+    return file.buffer.toString('utf8');
+  }
+
+  /**
+   * Work out the format of an uploaded file
+   * Zip archives are read as QTI packages. Plain .txt files are recognized by their
+   * content: Aiken by its ANSWER lines, GIFT by its answer braces. Anything else is read as CSV.
+   * @param {Object} file - Multer file
+   * @param {string} format - Format chosen by the user, if any
+   * @returns {string} Format name
+   */
+  detectFormat(file, format) {
+    if (format) {
+      return format;
+    }
+
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (EXTENSIONS[extension]) {
+      return EXTENSIONS[extension];
+    }
+    if (isZip(file.buffer)) {
+      return 'qti';
+    }
+    if (file.mimetype === 'text/tab-separated-values') {
+      return 'tsv';
+    }
+
+    const text = file.buffer.toString('utf8');
+    if (/^ANSWER\s*:\s*[A-Z]\s*$/im.test(text)) {
+      return 'aiken';
+    }
+    if (/^\$CATEGORY:/m.test(text) || /\{[^}]*[=~][^}]*\}|\{\s*(T|F|TRUE|FALSE)\s*\}/i.test(text)) {
+      return 'gift';
+    }
+    return 'csv';
+  }
+
+  /**
+   * Import the questions of a file into new quizzes
+   * Rows are grouped into quizzes by their quiz column (CSV), category (GIFT) or test (QTI),
+   * or all go into one quiz named after the title option (or the file name).
+   * For GIFT and Aiken files a row is the line the question starts on, for QTI packages the item number.
+   * @param {Object} file - Multer file
+   * @param {Object} options - { format, title, status, userId, dryRun }
+   * @returns {Promise<Object>} Created quizzes, row counts and row-level errors
+   */
+  async importQuizzes(file, { format, title, status = 'draft', userId, dryRun = false } = {}) {
+    if (!file) {
+      throw new Error('No file uploaded');
+    }
+
+    const fileFormat = this.detectFormat(file, format);
+    const content = IMPORT_FORMATS[fileFormat] && IMPORT_FORMATS[fileFormat].binary ? file.buffer : this.readFile(file);
+    const { entries, ignoredColumns = [] } = quizService.parseQuestions(content, fileFormat);
+
+    if (entries.length > MAX_IMPORT_ROWS) {
+      throw new Error('Import file has too many rows');
+    }
+
+    const defaultTitle = (title && title.trim())
+      || path.parse(file.originalname || '').name.trim()
+      || 'Imported quiz';
+    const groups = new Map();
+    const errors = [];
+
+    for (const entry of entries) {
+      const quizTitle = entry.quizTitle || defaultTitle;
+      if (!groups.has(quizTitle)) {
+        groups.set(quizTitle, []);
+      }
+
+      // An unreadable correct answer is left out of the question, so skip the validator's take on it.
+      // Question types with no equivalent here have no question to validate.
+      const validationErrors = entry.question
+        ? quizService.validateQuestion(entry.question, 0)
+          .map(withoutQuestionLabel)
+          .filter(error => entry.errors.length === 0 || !/^(Correct answer|At least one correct answer)/.test(error))
+        : [];
+      const rowErrors = [...entry.errors, ...validationErrors];
+      if (rowErrors.length > 0) {
+        errors.push({ row: entry.row, quiz: quizTitle, errors: [...new Set(rowErrors)] });
+      } else {
+        groups.get(quizTitle).push(entry);
+      }
+    }
+
+    if (groups.size > MAX_IMPORT_QUIZZES) {
+      throw new Error('Import file has too many quizzes');
+    }
+
+    const quizzes = [];
+    for (const [quizTitle, groupEntries] of groups) {
+      if (groupEntries.length === 0) {
+        continue;
+      }
+
+      const quizData = {
+        title: quizTitle,
+        status,
+        questions: groupEntries.map(entry => entry.question)
+      };
+      const rows = groupEntries.map(entry => entry.row);
+
+      const validation = quizService.validateQuizData(quizData, { draft: status === 'draft' });
+      if (!validation.isValid) {
+        errors.push({ row: null, quiz: quizTitle, rows, errors: validation.errors });
+        continue;
+      }
+
+      if (dryRun) {
+        quizzes.push({ id: null, title: quizTitle, status, questionsCount: quizData.questions.length, rows });
+        continue;
+      }
+
+      try {
+        const quiz = await quizService.createQuiz({
+          ...quizData,
+          creator: userId,
+          collaborators: []
+        });
+        quizzes.push({ id: quiz._id, title: quiz.title, status: quiz.status, questionsCount: quiz.questions.length, rows });
+      } catch (error) {
+        console.error(`Error importing quiz "${quizTitle}":`, error);
+        errors.push({ row: null, quiz: quizTitle, rows, errors: [error.message] });
+      }
+    }
+
+    const importedRows = quizzes.reduce((total, quiz) => total + quiz.rows.length, 0);
+
+    return {
+      format: fileFormat,
+      dryRun,
+      totalRows: entries.length,
+      importedRows,
+      skippedRows: entries.length - importedRows,
+      quizzes,
+      ignoredColumns,
+      errors: errors.sort((a, b) => (a.row || Infinity) - (b.row || Infinity))
+    };
+  }
+}
+
+module.exports = new QuizImportService();
@@ -0,0 +1,232 @@
+const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+const QuizRevision = require('../models/QuizRevision');
+const GameQuestionSet = require('../models/GameQuestionSet');
+
+// Question fields compared when diffing two revisions
+const DIFF_FIELDS = Question.CONTENT_FIELDS;
+
+/**
+ * Convert a subdocument (question or pool) to a plain object
+ * @param {Object} value - Subdocument or plain object
+ * @returns {Object} Plain object
+ */
+const toPlainObject = value => (value && typeof value.toObject === 'function'
+  ? value.toObject()
+  : value);
+
+/**
+ * Normalize a field value so equal content compares equal
+ * (missing, null and empty arrays all count as "not set")
+ * @param {*} value - Field value
+ * @returns {string} Comparable value
+ */
+const comparable = value => {
+  if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+    return 'null';
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Quiz Revision Service
+ * Keeps immutable snapshots of quiz content and compares them
+ */
+class QuizRevisionService {
+  /**
+   * Save the quiz's current content as its currentRevision
+   * @param {Object} quiz - Quiz document (currentRevision already set)
+   * @param {string} userId - User who made the change
+   * @param {Object} options - { reason, restoredFrom }
+   * @returns {Promise<Object>} Created revision
+   */
+  async recordRevision(quiz, userId, { reason = 'update', restoredFrom = null } = {}) {
+    const revision = new QuizRevision({
+      quizId: quiz._id,
+      revision: quiz.currentRevision,
+      title: quiz.title,
+      status: quiz.status || 'published',
+      questions: quiz.questions.map(toPlainObject),
+      questionPools: (quiz.questionPools || []).map(toPlainObject),
+      createdBy: userId || null,
+      reason,
+      restoredFrom
+    });
+
+    return revision.save();
+  }
+
+  /**
+   * Make sure the quiz's current content is stored as a revision
+   * Quizzes saved before revisions were kept get revision 1 the first time they are needed.
+   * @param {Object} quiz - Quiz document
+   * @param {string} userId - User on whose behalf the revision is created
+   * @returns {Promise<number>} Current revision number
+   */
+  async ensureRevision(quiz, userId = null) {
+    if (quiz.currentRevision > 0) {
+      return quiz.currentRevision;
+    }
+
+    // Only one caller gets to create the first revision
+    const claimed = await Quiz.findOneAndUpdate(
+      { _id: quiz._id, currentRevision: { $in: [0, null] } },
+      { $set: { currentRevision: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const latest = await Quiz.findById(quiz._id).select('currentRevision');
+      quiz.currentRevision = latest ? latest.currentRevision : 0;
+      return quiz.currentRevision;
+    }
+
+    quiz.currentRevision = 1;
+    await this.recordRevision(claimed, userId || claimed.creator, { reason: 'create' });
+    return 1;
+  }
+
+  /**
+   * List the revisions of a quiz, newest first
+   * @param {string} quizId - Quiz ID
+   * @param {Object} options - Query options (page, limit)
+   * @returns {Promise<Object>} Object containing revisions and pagination info
+   */
+  async listRevisions(quizId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const skip = (page - 1) * limit;
+
+      const [revisions, total] = await Promise.all([
+        QuizRevision.find({ quizId })
+          .sort({ revision: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('createdBy', 'name email'),
+        QuizRevision.countDocuments({ quizId })
+      ]);
+
+      return {
+        revisions: revisions.map(revision => ({
+          revision: revision.revision,
+          title: revision.title,
+          status: revision.status || 'published',
+          questionsCount: revision.questions.length,
+          reason: revision.reason,
+          restoredFrom: revision.restoredFrom,
+          createdBy: revision.createdBy
+            ? { id: revision.createdBy._id, name: revision.createdBy.name }
+            : null,
+          createdAt: revision.createdAt
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRevisions: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to list revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get one revision of a quiz
+   * @param {string} quizId - Quiz ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object>} Revision document
+   */
+  async getRevision(quizId, revision) {
+    const found = await QuizRevision.findOne({ quizId, revision });
+    if (!found) {
+      throw new Error('Revision not found');
+    }
+    return found;
+  }
+
+  /**
+   * Get the questions a game was played with
+   * Games drawn from question pools stored their own question set; others use the
+   * revision, falling back to the quiz's current questions for games from before
+   * revisions were kept.
+   * @param {string} quizId - Quiz ID
+   * @param {number|null} revision - Revision recorded on the game's answers
+   * @param {string|null} gameSessionId - Game session ID
+   * @returns {Promise<Object|null>} { title, questions, revision } or null if nothing is left
+   */
+  async getPlayedContent(quizId, revision, gameSessionId = null) {
+    if (gameSessionId) {
+      const questionSet = await GameQuestionSet.findOne({ gameSessionId });
+      if (questionSet) {
+        return { title: questionSet.title, questions: questionSet.questions, revision: questionSet.quizRevision };
+      }
+    }
+
+    if (revision) {
+      const found = await QuizRevision.findOne({ quizId, revision });
+      if (found) {
+        return { title: found.title, questions: found.questions, revision: found.revision };
+      }
+    }
+
+    const quiz = await Quiz.findById(quizId);
+    return quiz ? { title: quiz.title, questions: quiz.questions, revision: null } : null;
+  }
+
+  /**
+   * Compare two revisions question by question (matched by position)
+   * @param {Object} from - Older revision
+   * @param {Object} to - Newer revision
+   * @returns {Object} Title change and per-question changes
+   */
+  diffRevisions(from, to) {
+    const fromQuestions = from.questions.map(toPlainObject);
+    const toQuestions = to.questions.map(toPlainObject);
+    const questions = [];
+
+    for (let index = 0; index < Math.max(fromQuestions.length, toQuestions.length); index++) {
+      const before = fromQuestions[index];
+      const after = toQuestions[index];
+
+      if (!before) {
+        questions.push({ questionIndex: index, change: 'added', questionText: after.questionText });
+        continue;
+      }
+
+      if (!after) {
+        questions.push({ questionIndex: index, change: 'removed', questionText: before.questionText });
+        continue;
+      }
+
+      const fields = {};
+      DIFF_FIELDS.forEach(field => {
+        if (comparable(before[field]) !== comparable(after[field])) {
+          fields[field] = {
+            from: before[field] === undefined ? null : before[field],
+            to: after[field] === undefined ? null : after[field]
+          };
+        }
+      });
+
+      if (Object.keys(fields).length > 0) {
+        questions.push({ questionIndex: index, change: 'modified', questionText: after.questionText, fields });
+      }
+    }
+
+    const fromPools = (from.questionPools || []).map(toPlainObject);
+    const toPools = (to.questionPools || []).map(toPlainObject);
+
+    return {
+      from: from.revision,
+      to: to.revision,
+      title: from.title !== to.title ? { from: from.title, to: to.title } : null,
+      questionPools: comparable(fromPools) !== comparable(toPools) ? { from: fromPools, to: toPools } : null,
+      questionsCount: { from: fromQuestions.length, to: toQuestions.length },
+      questions
+    };
+  }
+}
+
+module.exports = new QuizRevisionService();
@@ -1,4 +1,18 @@
 const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+const BankQuestion = require('../models/BankQuestion');
+const questionPoolSchema = require('../models/QuestionPool');
+const User = require('../models/User');
+const richTextService = require('./richTextService');
+const quizRevisionService = require('./quizRevisionService');
+const { IMPORT_FORMATS, EXPORT_FORMATS } = require('./formats');
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 /**
  * Quiz Service
@@ -12,8 +26,14 @@ class QuizService {
    */
   async createQuiz(quizData) {
     try {
-      const quiz = new Quiz(quizData);
+      const published = quizData.status !== 'draft';
+      const quiz = new Quiz({
+        ...this.sanitizeRichText(quizData),
+        publishedAt: published ? new Date() : null,
+        currentRevision: 1
+      });
       const savedQuiz = await quiz.save();
+      await quizRevisionService.recordRevision(savedQuiz, savedQuiz.creator, { reason: 'create' });
       return savedQuiz;
     } catch (error) {
       throw new Error(`Failed to create quiz: ${error.message}`);
@@ -22,27 +42,65 @@ class QuizService {
 
   /**
    * Update an existing quiz
+   * Changes to the title or questions are saved as a new revision.
+   * Drafts skip the schema validators, which would reject unfinished questions;
+   * their content is checked by validateQuizData in draft mode instead.
+   * With expectedRevision the update only applies if nobody saved a newer revision
+   * in the meantime (optimistic concurrency).
    * @param {string} quizId - Quiz ID
    * @param {Object} updateData - Data to update (excludes id and creator)
+   * @param {Object} options - Revision info (userId, reason, restoredFrom), draft and expectedRevision
    * @returns {Promise<Object>} Updated quiz object
    */
-  async updateQuiz(quizId, updateData) {
+  async updateQuiz(quizId, updateData, options = {}) {
     try {
-      const updatedQuiz = await Quiz.findByIdAndUpdate(
-        quizId,
-        updateData,
-        { new: true, runValidators: true }
+      const changesContent = updateData.title !== undefined
+        || updateData.questions !== undefined
+        || updateData.questionPools !== undefined;
+      const draft = updateData.status !== undefined
+        ? updateData.status === 'draft'
+        : Boolean(options.draft);
+      const update = { $set: this.sanitizeRichText(updateData) };
+      if (changesContent) {
+        update.$inc = { currentRevision: 1 };
+      }
+
+      const filter = { _id: quizId };
+      if (options.expectedRevision !== undefined) {
+        // Quizzes saved before revisions were kept have no currentRevision at all
+        filter.currentRevision = options.expectedRevision === 0
+          ? { $in: [0, null] }
+          : options.expectedRevision;
+      }
+
+      const updatedQuiz = await Quiz.findOneAndUpdate(
+        filter,
+        update,
+        { new: true, runValidators: !draft }
       );
       
       if (!updatedQuiz) {
+        if (options.expectedRevision !== undefined && await Quiz.exists({ _id: quizId })) {
+          throw new Error('Quiz was changed by someone else');
+        }
         throw new Error('Quiz not found');
       }
+
+      if (changesContent) {
+        await quizRevisionService.recordRevision(updatedQuiz, options.userId, {
+          reason: options.reason,
+          restoredFrom: options.restoredFrom
+        });
+      }
       
       return updatedQuiz;
     } catch (error) {
       if (error.name === 'CastError') {
         throw new Error('Invalid quiz ID format');
       }
+      if (error.message === 'Quiz not found' || error.message === 'Quiz was changed by someone else') {
+        throw error;
+      }
       throw new Error(`Failed to update quiz: ${error.message}`);
     }
   }
@@ -63,14 +121,474 @@ class QuizService {
       if (error.name === 'CastError') {
         throw new Error('Invalid quiz ID format');
       }
+      if (error.message === 'Quiz not found') {
+        throw error;
+      }
       throw new Error(`Failed to get quiz: ${error.message}`);
     }
   }
 
+  /**
+   * Delete a quiz
+   * Stored game results keep their quizId so past games stay in the history.
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise<Object>} Deleted quiz
+   */
+  async deleteQuiz(quizId) {
+    try {
+      const deletedQuiz = await Quiz.findByIdAndDelete(quizId);
+      if (!deletedQuiz) {
+        throw new Error('Quiz not found');
+      }
+      return deletedQuiz;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Invalid quiz ID format');
+      }
+      if (error.message === 'Quiz not found') {
+        throw error;
+      }
+      throw new Error(`Failed to delete quiz: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a copy of a quiz with new question IDs
+   * Questions keep their bank links only when the new creator owns the bank question;
+   * a copy made by a collaborator must not follow (or sync from) someone else's bank.
+   * @param {Object} quiz - Quiz document to copy
+   * @param {string} creatorId - ID of the user who owns the copy
+   * @param {Object} overrides - Fields to change on the copy (title)
+   * @returns {Promise<Object>} Created quiz
+   */
+  async duplicateQuiz(quiz, creatorId, overrides = {}) {
+    try {
+      const source = quiz.toObject();
+      const questions = await this.keepOwnedBankRefs(
+        source.questions.map(({ _id, ...question }) => question),
+        creatorId
+      );
+
+      return await this.createQuiz({
+        title: overrides.title || `${source.title} (Copy)`.slice(0, 200),
+        authorName: source.authorName,
+        tags: source.tags,
+        subject: source.subject,
+        gradeLevel: source.gradeLevel,
+        language: source.language,
+        status: source.status,
+        creator: creatorId,
+        questions,
+        questionPools: source.questionPools
+      });
+    } catch (error) {
+      throw new Error(`Failed to duplicate quiz: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore the title, questions and question pools of an earlier revision
+   * The restored content becomes a new revision, so nothing is lost.
+   * @param {Object} quiz - Quiz document
+   * @param {number} revision - Revision number to restore
+   * @param {string} userId - User doing the rollback
+   * @returns {Promise<Object>} Updated quiz
+   */
+  async rollbackQuiz(quiz, revision, userId) {
+    await quizRevisionService.ensureRevision(quiz, userId);
+
+    if (revision === quiz.currentRevision) {
+      throw new Error('Quiz is already at this revision');
+    }
+
+    const target = await quizRevisionService.getRevision(quiz._id, revision);
+    const draft = quiz.status === 'draft';
+    const content = {
+      title: target.title,
+      questions: target.questions.map(question => question.toObject()),
+      questionPools: (target.questionPools || []).map(pool => pool.toObject())
+    };
+
+    // A published quiz must stay playable, so unfinished draft content cannot come back
+    if (!draft && !this.validateQuizData(content).isValid) {
+      throw new Error('Cannot restore an incomplete revision into a published quiz');
+    }
+
+    return this.updateQuiz(quiz._id, {
+      ...content,
+      updatedAt: new Date()
+    }, {
+      userId,
+      reason: 'rollback',
+      restoredFrom: revision,
+      draft
+    });
+  }
+
+  /**
+   * Add a question to a quiz
+   * @param {Object} quiz - Quiz document
+   * @param {Object} question - Question data (already validated)
+   * @param {Object} options - { position, expectedRevision, userId }; appended when position is left out
+   * @returns {Promise<Object>} { quiz, question } with the saved question
+   */
+  async addQuestion(quiz, question, { position, expectedRevision, userId } = {}) {
+    const questions = quiz.questions.map(q => q.toObject());
+    const index = position === undefined ? questions.length : Math.min(position, questions.length);
+    const { _id, ...data } = question;
+    questions.splice(index, 0, data);
+
+    const updatedQuiz = await this.saveQuestions(quiz, questions, { expectedRevision, userId });
+    return { quiz: updatedQuiz, question: updatedQuiz.questions[index] };
+  }
+
+  /**
+   * Replace a question, keeping its ID and position
+   * @param {Object} quiz - Quiz document
+   * @param {string} questionId - Question ID
+   * @param {Object} question - New question data (already validated)
+   * @param {Object} options - { expectedRevision, userId }
+   * @returns {Promise<Object>} { quiz, question } with the saved question
+   */
+  async updateQuestion(quiz, questionId, question, { expectedRevision, userId } = {}) {
+    const index = this.findQuestionIndex(quiz, questionId);
+    const questions = quiz.questions.map(q => q.toObject());
+    const { bankRef } = questions[index];
+    // A local edit stops a bank copy from being overwritten by later bank edits
+    questions[index] = {
+      ...question,
+      _id: questions[index]._id,
+      bankRef: bankRef ? { ...bankRef, mode: 'pinned' } : null
+    };
+
+    const updatedQuiz = await this.saveQuestions(quiz, questions, { expectedRevision, userId });
+    return { quiz: updatedQuiz, question: updatedQuiz.questions[index] };
+  }
+
+  /**
+   * Remove a question
+   * Published quizzes must keep at least one question.
+   * @param {Object} quiz - Quiz document
+   * @param {string} questionId - Question ID
+   * @param {Object} options - { expectedRevision, userId }
+   * @returns {Promise<Object>} Updated quiz
+   */
+  async deleteQuestion(quiz, questionId, { expectedRevision, userId } = {}) {
+    const index = this.findQuestionIndex(quiz, questionId);
+    const hasPools = quiz.questionPools && quiz.questionPools.length > 0;
+    if (quiz.questions.length === 1 && this.isPublished(quiz) && !hasPools) {
+      throw new Error('Quiz must have at least one question');
+    }
+
+    const questions = quiz.questions.map(q => q.toObject());
+    questions.splice(index, 1);
+
+    return this.saveQuestions(quiz, questions, { expectedRevision, userId });
+  }
+
+  /**
+   * Put the questions of a quiz in a new order
+   * @param {Object} quiz - Quiz document
+   * @param {Array} questionIds - Every question ID of the quiz, in the new order
+   * @param {Object} options - { expectedRevision, userId }
+   * @returns {Promise<Object>} Updated quiz
+   */
+  async reorderQuestions(quiz, questionIds, { expectedRevision, userId } = {}) {
+    const byId = new Map(quiz.questions.map(q => [q._id.toString(), q]));
+    const ids = questionIds.map(id => id.toString());
+
+    if (ids.length !== byId.size || new Set(ids).size !== ids.length || ids.some(id => !byId.has(id))) {
+      throw new Error('Question order must list every question of the quiz once');
+    }
+
+    const questions = ids.map(id => byId.get(id).toObject());
+    return this.saveQuestions(quiz, questions, { expectedRevision, userId });
+  }
+
+  /**
+   * Save a changed question list as a new revision
+   * @param {Object} quiz - Quiz document the change was made to
+   * @param {Array} questions - Complete new question list
+   * @param {Object} options - { expectedRevision, userId }; expectedRevision defaults to the revision the quiz was loaded at
+   * @returns {Promise<Object>} Updated quiz
+   */
+  async saveQuestions(quiz, questions, { expectedRevision, userId } = {}) {
+    const loadedRevision = quiz.currentRevision || 0;
+    const expected = expectedRevision === undefined ? loadedRevision : expectedRevision;
+
+    // The change was made to the loaded copy, so it must still be the latest one
+    if (expected !== loadedRevision) {
+      throw new Error('Quiz was changed by someone else');
+    }
+
+    return this.updateQuiz(quiz._id, {
+      questions,
+      updatedAt: new Date()
+    }, {
+      userId,
+      draft: !this.isPublished(quiz),
+      expectedRevision: expected
+    });
+  }
+
+  /**
+   * Drop question bank links the quiz didn't already have
+   * Links are made through the question bank endpoints; a quiz body may only
+   * keep links to bank questions the quiz was already using.
+   * @param {Array} questions - Submitted questions
+   * @param {Object|null} quiz - Quiz being updated, or null for a new quiz
+   * @returns {Array} Questions with unknown links removed
+   */
+  keepKnownBankRefs(questions, quiz = null) {
+    if (!Array.isArray(questions)) {
+      return questions;
+    }
+
+    const known = new Set((quiz ? quiz.questions : [])
+      .filter(q => q.bankRef)
+      .map(q => q.bankRef.questionId.toString()));
+
+    return questions.map(question => {
+      if (!question || typeof question !== 'object' || !question.bankRef) {
+        return question;
+      }
+      const linkedId = question.bankRef.questionId && question.bankRef.questionId.toString();
+      return known.has(linkedId) ? question : { ...question, bankRef: null };
+    });
+  }
+
+  /**
+   * Drop question bank links to bank questions another user owns
+   * @param {Array} questions - Question data
+   * @param {string} ownerId - User who will own the quiz
+   * @returns {Promise<Array>} Questions with foreign links removed
+   */
+  async keepOwnedBankRefs(questions, ownerId) {
+    const linkedIds = questions
+      .filter(question => question.bankRef && question.bankRef.questionId)
+      .map(question => question.bankRef.questionId);
+    if (linkedIds.length === 0) {
+      return questions;
+    }
+
+    const owned = await BankQuestion.find({ _id: { $in: linkedIds }, owner: ownerId }).select('_id').lean();
+    const ownedIds = new Set(owned.map(bankQuestion => bankQuestion._id.toString()));
+
+    return questions.map(question => (
+      question.bankRef && !ownedIds.has(String(question.bankRef.questionId)) ? { ...question, bankRef: null } : question
+    ));
+  }
+
+  /**
+   * Find the position of a question in a quiz
+   * @param {Object} quiz - Quiz document
+   * @param {string} questionId - Question ID
+   * @returns {number} Question index
+   */
+  findQuestionIndex(quiz, questionId) {
+    const index = quiz.questions.findIndex(q => q._id.toString() === String(questionId));
+    if (index === -1) {
+      throw new Error('Question not found');
+    }
+    return index;
+  }
+
+  /**
+   * Archive or restore a quiz
+   * Archived quizzes are hidden from the quiz listing but keep their game history.
+   * @param {string} quizId - Quiz ID
+   * @param {boolean} archived - True to archive, false to restore
+   * @returns {Promise<Object>} Updated quiz
+   */
+  async setArchived(quizId, archived) {
+    return this.updateQuiz(quizId, {
+      isArchived: archived,
+      archivedAt: archived ? new Date() : null
+    });
+  }
+
+  /**
+   * Check if a user created a quiz
+   * @param {Object} quiz - Quiz document
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user is the quiz creator
+   */
+  isOwner(quiz, userId) {
+    return !!userId && quiz.creator.toString() === userId.toString();
+  }
+
+  /**
+   * Check if a user can see the answers of a quiz and edit it
+   * @param {Object} quiz - Quiz document
+   * @param {string} userId - User ID
+   * @returns {boolean} True for the creator and collaborators
+   */
+  canEdit(quiz, userId) {
+    if (this.isOwner(quiz, userId)) {
+      return true;
+    }
+    return !!userId && (quiz.collaborators || []).some(id => id.toString() === userId.toString());
+  }
+
+  /**
+   * Check if a user can open a quiz, play it or host it
+   * Private quizzes and drafts are only visible to the creator and collaborators.
+   * @param {Object} quiz - Quiz document
+   * @param {string|null} userId - User ID (null for anonymous users)
+   * @returns {boolean} True if the quiz is visible to the user
+   */
+  canView(quiz, userId) {
+    return (quiz.visibility !== 'private' && this.isPublished(quiz)) || this.canEdit(quiz, userId);
+  }
+
+  /**
+   * Check if a quiz is published (quizzes saved before statuses existed have none)
+   * @param {Object} quiz - Quiz document
+   * @returns {boolean} True unless the quiz is a draft
+   */
+  isPublished(quiz) {
+    return quiz.status !== 'draft';
+  }
+
+  /**
+   * Publish a quiz or turn it back into a draft
+   * Callers check the content with validateQuizData before publishing.
+   * @param {string} quizId - Quiz ID
+   * @param {string} status - draft or published
+   * @returns {Promise<Object>} Updated quiz
+   */
+  async setStatus(quizId, status) {
+    return this.updateQuiz(quizId, {
+      status,
+      publishedAt: status === 'published' ? new Date() : null
+    });
+  }
+
+  /**
+   * Share a quiz with another user by email
+   * @param {Object} quiz - Quiz document
+   * @param {string} email - Email of the user to share with
+   * @returns {Promise<Object>} Added collaborator (id, name, email)
+   */
+  async addCollaborator(quiz, email) {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (this.isOwner(quiz, user._id)) {
+      throw new Error('Cannot share a quiz with its creator');
+    }
+
+    await Quiz.updateOne({ _id: quiz._id }, { $addToSet: { collaborators: user._id } });
+
+    return { id: user._id, name: user.name, email: user.email };
+  }
+
+  /**
+   * Stop sharing a quiz with a user
+   * @param {Object} quiz - Quiz document
+   * @param {string} userId - Collaborator user ID
+   * @returns {Promise<void>}
+   */
+  async removeCollaborator(quiz, userId) {
+    if (!(quiz.collaborators || []).some(id => id.toString() === userId.toString())) {
+      throw new Error('Collaborator not found');
+    }
+
+    await Quiz.updateOne({ _id: quiz._id }, { $pull: { collaborators: userId } });
+  }
+
+  /**
+   * Get the users a quiz is shared with
+   * @param {Object} quiz - Quiz document
+   * @returns {Promise<Array>} Collaborators (id, name, email)
+   */
+  async getCollaborators(quiz) {
+    const users = await User.find({ _id: { $in: quiz.collaborators || [] } }).select('name email');
+    return users.map(user => ({ id: user._id, name: user.name, email: user.email }));
+  }
+
+  /**
+   * Build query conditions for the metadata filters
+   * @param {Object} filters - { tags, subject, gradeLevel, language, difficulty }
+   *   where tags is an array of tags the quiz must all have
+   * @returns {Object} MongoDB query conditions
+   */
+  buildMetadataFilter(filters = {}) {
+    const query = {};
+    const { tags, subject, gradeLevel, language, difficulty } = filters;
+
+    if (tags && tags.length > 0) {
+      query.tags = { $all: tags.map(tag => tag.toLowerCase()) };
+    }
+    if (subject) {
+      query.subject = { $regex: `^${escapeRegex(subject)}$`, $options: 'i' };
+    }
+    if (gradeLevel) {
+      query.gradeLevel = gradeLevel;
+    }
+    if (language) {
+      query.language = language.toLowerCase();
+    }
+    if (difficulty) {
+      // Quizzes with at least one question of this difficulty
+      query['questions.difficulty'] = difficulty;
+    }
+
+    return query;
+  }
+
+  /**
+   * Count quizzes per tag, subject, grade level, language and question difficulty
+   * @param {Object} baseQuery - Quizzes to count (e.g. a creator's quizzes or the public catalog)
+   * @param {Object} filters - Metadata filters applied before counting
+   * @returns {Promise<Object>} Facet counts, each an array of { value, count }
+   */
+  async getFacets(baseQuery, filters = {}) {
+    try {
+      const countBy = field => [
+        { $match: { [field]: { $nin: [null, ''] } } },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, value: '$_id', count: 1 } }
+      ];
+
+      const [facets] = await Quiz.aggregate([
+        { $match: { ...baseQuery, ...this.buildMetadataFilter(filters) } },
+        {
+          $facet: {
+            tags: [{ $unwind: '$tags' }, ...countBy('tags'), { $limit: 50 }],
+            subjects: countBy('subject'),
+            gradeLevels: countBy('gradeLevel'),
+            languages: countBy('language'),
+            // Each quiz is counted once per difficulty it contains
+            difficulties: [
+              { $project: { difficulty: { $setUnion: ['$questions.difficulty', []] } } },
+              { $unwind: '$difficulty' },
+              ...countBy('difficulty')
+            ],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      return {
+        tags: facets.tags,
+        subjects: facets.subjects,
+        gradeLevels: facets.gradeLevels,
+        languages: facets.languages,
+        difficulties: facets.difficulties,
+        totalQuizzes: facets.total.length > 0 ? facets.total[0].count : 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to get quiz facets: ${error.message}`);
+    }
+  }
+
   /**
    * Get all quizzes created by a specific user with optional pagination
    * @param {string} creatorId - ID of the quiz creator
-   * @param {Object} options - Query options (page, limit, sortBy)
+   * @param {Object} options - Query options (page, limit, sortBy, archived, status, filters)
    * @returns {Promise<Object>} Object containing quizzes and pagination info
    */
   async getAllQuizzes(creatorId, options = {}) {
@@ -79,13 +597,21 @@ class QuizService {
         page = 1,
         limit = 10,
         sortBy = 'createdAt',
-        sortOrder = 'desc'
+        sortOrder = 'desc',
+        archived = false,
+        status,
+        filters = {}
       } = options;
 
       const skip = (page - 1) * limit;
       const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
-      const query = { creator: creatorId };
+      const query = {
+        creator: creatorId,
+        isArchived: archived ? true : { $ne: true },
+        ...this.buildStatusFilter(status),
+        ...this.buildMetadataFilter(filters)
+      };
 
       const [quizzes, total] = await Promise.all([
         Quiz.find(query)
@@ -124,7 +650,10 @@ class QuizService {
         page = 1,
         limit = 10,
         sortBy = 'createdAt',
-        sortOrder = 'desc'
+        sortOrder = 'desc',
+        archived = false,
+        status,
+        filters = {}
       } = options;
 
       const skip = (page - 1) * limit;
@@ -132,6 +661,9 @@ class QuizService {
 
       const searchQuery = {
         creator: creatorId,
+        isArchived: archived ? true : { $ne: true },
+        ...this.buildStatusFilter(status),
+        ...this.buildMetadataFilter(filters),
         $or: [
           { title: { $regex: searchTerm, $options: 'i' } },
           { authorName: { $regex: searchTerm, $options: 'i' } }
@@ -163,12 +695,155 @@ class QuizService {
     }
   }
 
+  /**
+   * Query conditions for a status filter
+   * Quizzes saved before statuses existed have none and count as published.
+   * @param {string} status - draft, published or undefined for both
+   * @returns {Object} MongoDB query conditions
+   */
+  buildStatusFilter(status) {
+    if (status === 'draft') {
+      return { status: 'draft' };
+    }
+    if (status === 'published') {
+      return { status: { $ne: 'draft' } };
+    }
+    return {};
+  }
+
+  /**
+   * Base query for quizzes listed in the public catalog
+   * @returns {Object} MongoDB query conditions
+   */
+  getCatalogQuery() {
+    return { visibility: 'public', isArchived: { $ne: true }, ...this.buildStatusFilter('published') };
+  }
+
+  /**
+   * Browse public quizzes from every creator
+   * Searching uses the title/authorName text index and can be sorted by relevance.
+   * @param {Object} options - Query options (q, authorName, minQuestions, maxQuestions, questionType, filters, page, limit, sortBy, sortOrder)
+   * @returns {Promise<Object>} Object containing quizzes and pagination info
+   */
+  async getCatalog(options = {}) {
+    try {
+      const {
+        q,
+        authorName,
+        minQuestions,
+        maxQuestions,
+        questionType,
+        filters = {},
+        page = 1,
+        limit = 10,
+        sortOrder = 'desc'
+      } = options;
+      let { sortBy } = options;
+
+      const skip = (page - 1) * limit;
+      const query = { ...this.getCatalogQuery(), ...this.buildMetadataFilter(filters) };
+      const projection = { __v: 0, collaborators: 0 };
+
+      if (q) {
+        query.$text = { $search: q };
+        projection.score = { $meta: 'textScore' };
+      }
+
+      if (authorName) {
+        query.authorName = { $regex: `^${escapeRegex(authorName)}$`, $options: 'i' };
+      }
+
+      if (questionType) {
+        query['questions.questionType'] = questionType === 'single'
+          ? { $in: ['single', null] }
+          : questionType;
+      }
+
+      const sizeConditions = [];
+      if (minQuestions !== undefined) {
+        sizeConditions.push({ $gte: [{ $size: '$questions' }, minQuestions] });
+      }
+      if (maxQuestions !== undefined) {
+        sizeConditions.push({ $lte: [{ $size: '$questions' }, maxQuestions] });
+      }
+      if (sizeConditions.length > 0) {
+        query.$expr = sizeConditions.length === 1 ? sizeConditions[0] : { $and: sizeConditions };
+      }
+
+      // Relevance is the default order when searching
+      if (!sortBy) {
+        sortBy = q ? 'relevance' : 'createdAt';
+      }
+      const sort = sortBy === 'relevance' && q
+        ? { score: { $meta: 'textScore' }, createdAt: -1 }
+        : { [sortBy === 'relevance' ? 'createdAt' : sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+      const [quizzes, total] = await Promise.all([
+        Quiz.find(query, projection)
+          .sort(sort)
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Quiz.countDocuments(query)
+      ]);
+
+      return {
+        quizzes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalQuizzes: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get quiz catalog: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse questions from a quiz file (CSV, TSV, GIFT, Aiken or a QTI package)
+   * Questions are not validated here; entries carry the problems found while reading them,
+   * and a null question when the file's question type has no equivalent in questionSchema.
+   * @param {string|Buffer} content - File text, or the file buffer for binary formats (QTI)
+   * @param {string} format - Format name
+   * @returns {Object} { entries } with one { row, quizTitle, question, errors } per question
+   */
+  parseQuestions(content, format) {
+    const parser = IMPORT_FORMATS[format];
+    if (!parser) {
+      throw new Error('Unsupported import format');
+    }
+    return parser.parse(content, { format });
+  }
+
+  /**
+   * Write a quiz as a file (GIFT, Aiken or a QTI package)
+   * @param {Object} quiz - Quiz document
+   * @param {string} format - Format name
+   * @returns {Object} { content, skipped, fileExtension } with the questions the format can't hold
+   */
+  exportQuiz(quiz, format) {
+    const serializer = EXPORT_FORMATS[format];
+    if (!serializer) {
+      throw new Error('Unsupported export format');
+    }
+    return {
+      ...serializer.serialize(quiz),
+      fileExtension: serializer.fileExtension
+    };
+  }
+
   /**
    * Validate quiz data before creation
+   * Drafts only need a title; what they do contain must still be well-formed
+   * (lengths, types, indices in range), but missing questions, options and
+   * answers are allowed until the quiz is published.
    * @param {Object} quizData - Quiz data to validate
+   * @param {Object} options - { draft }
    * @returns {Object} Validation result
    */
-  validateQuizData(quizData) {
+  validateQuizData(quizData, { draft = false } = {}) {
     const errors = [];
 
     // Validate title
@@ -183,45 +858,367 @@ class QuizService {
       errors.push('Author name cannot exceed 100 characters');
     }
 
+    errors.push(...this.validateMetadata(quizData));
+
+    if (quizData.status !== undefined && !Quiz.STATUSES.includes(quizData.status)) {
+      errors.push(`Status must be one of: ${Quiz.STATUSES.join(', ')}`);
+    }
+
+    const poolErrors = this.validateQuestionPools(quizData);
+    errors.push(...poolErrors);
+    const hasPools = poolErrors.length === 0 && Array.isArray(quizData.questionPools) && quizData.questionPools.length > 0;
+
     // Validate questions
-    if (!quizData.questions || !Array.isArray(quizData.questions)) {
+    if (draft && quizData.questions === undefined) {
+      // A draft can be saved before it has any questions
+    } else if (hasPools && quizData.questions === undefined) {
+      // Every question can come from the pools
+    } else if (!quizData.questions || !Array.isArray(quizData.questions)) {
       errors.push('Questions array is required');
-    } else if (quizData.questions.length === 0) {
+    } else if (quizData.questions.length === 0 && !draft && !hasPools) {
       errors.push('Quiz must have at least one question');
     } else {
       // Validate each question
       quizData.questions.forEach((question, index) => {
-        if (!question.questionText || question.questionText.trim().length === 0) {
-          errors.push(`Question ${index + 1}: Question text is required`);
-        } else if (question.questionText.length > 500) {
-          errors.push(`Question ${index + 1}: Question text cannot exceed 500 characters`);
-        }
+        errors.push(...this.validateQuestion(question, index, { draft }));
+      });
+    }
 
-        if (!question.options || !Array.isArray(question.options)) {
-          errors.push(`Question ${index + 1}: Options array is required`);
-        } else if (question.options.length !== 4) {
-          errors.push(`Question ${index + 1}: Must have exactly 4 options`);
-        } else {
-          question.options.forEach((option, optionIndex) => {
-            if (!option || option.trim().length === 0) {
-              errors.push(`Question ${index + 1}, Option ${optionIndex + 1}: Option text is required`);
-            }
-          });
-        }
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate the question pool rules of a quiz
+   * Whether the bank has enough matching questions is only known when a room is created.
+   * @param {Object} quizData - Quiz data to validate
+   * @returns {Array} Validation errors
+   */
+  validateQuestionPools(quizData) {
+    const errors = [];
+    const pools = quizData.questionPools;
+
+    if (pools === undefined) {
+      return errors;
+    }
+
+    if (!Array.isArray(pools)) {
+      errors.push('Question pools must be an array');
+      return errors;
+    }
+
+    if (pools.length > questionPoolSchema.MAX_POOLS) {
+      errors.push(`A quiz cannot have more than ${questionPoolSchema.MAX_POOLS} question pools`);
+    }
+
+    pools.forEach((pool, index) => {
+      if (!pool || typeof pool !== 'object' || Array.isArray(pool)) {
+        errors.push(`Question pool ${index + 1}: Pool must be an object`);
+        return;
+      }
+
+      if (!Number.isInteger(pool.count) || pool.count < 1 || pool.count > questionPoolSchema.MAX_POOL_COUNT) {
+        errors.push(`Question pool ${index + 1}: Count must be a whole number from 1 to ${questionPoolSchema.MAX_POOL_COUNT}`);
+      }
+
+      if (pool.tags !== undefined && (!Array.isArray(pool.tags) ||
+        pool.tags.some(tag => typeof tag !== 'string' || tag.trim().length === 0 || tag.length > 30))) {
+        errors.push(`Question pool ${index + 1}: Tags must be 1 to 30 characters each`);
+      }
+
+      if (pool.difficulty !== undefined && !Question.DIFFICULTIES.includes(pool.difficulty)) {
+        errors.push(`Question pool ${index + 1}: Difficulty must be one of: ${Question.DIFFICULTIES.join(', ')}`);
+      }
+
+      if (pool.questionType !== undefined && !Question.QUESTION_TYPES.includes(pool.questionType)) {
+        errors.push(`Question pool ${index + 1}: Question type must be one of: ${Question.QUESTION_TYPES.join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate one question
+   * @param {Object} question - Question data to validate
+   * @param {number} index - Position of the question in the quiz
+   * @param {Object} options - { draft } to allow missing text, options and answers
+   * @returns {Array} Validation errors
+   */
+  validateQuestion(question, index, { draft = false } = {}) {
+    const errors = [];
+
+    if (!question || typeof question !== 'object' || Array.isArray(question)) {
+      errors.push(`Question ${index + 1}: Question must be an object`);
+      return errors;
+    }
+
+    if (question.questionText !== undefined && question.questionText !== null && typeof question.questionText !== 'string') {
+      errors.push(`Question ${index + 1}: Question text must be text`);
+    } else if (!question.questionText || question.questionText.trim().length === 0) {
+      if (!draft) {
+        errors.push(`Question ${index + 1}: Question text is required`);
+      }
+    } else if (question.questionText.length > 500) {
+      errors.push(`Question ${index + 1}: Question text cannot exceed 500 characters`);
+    }
+
+    errors.push(...this.validateQuestionAnswers(question, index, { draft }));
+    errors.push(...this.validateQuestionMedia(question, index));
+    errors.push(...this.validateRichText(question, index));
+
+    if (question.explanation !== undefined &&
+      (typeof question.explanation !== 'string' || question.explanation.length > 1000)) {
+      errors.push(`Question ${index + 1}: Explanation must be text of at most 1000 characters`);
+    }
+
+    if (question.referenceUrl !== undefined &&
+      (typeof question.referenceUrl !== 'string' || !/^https?:\/\/\S+$/i.test(question.referenceUrl.trim()) || question.referenceUrl.length > 500)) {
+      errors.push(`Question ${index + 1}: Reference URL must be an http or https link of at most 500 characters`);
+    }
+
+    if (question.difficulty !== undefined && !Question.DIFFICULTIES.includes(question.difficulty)) {
+      errors.push(`Question ${index + 1}: Difficulty must be one of: ${Question.DIFFICULTIES.join(', ')}`);
+    }
+
+    if (question.timeLimitSeconds !== undefined) {
+      if (!Number.isInteger(question.timeLimitSeconds)) {
+        errors.push(`Question ${index + 1}: Time limit must be a whole number of seconds`);
+      } else if (question.timeLimitSeconds < 5 || question.timeLimitSeconds > 300) {
+        errors.push(`Question ${index + 1}: Time limit must be between 5 and 300 seconds`);
+      }
+    }
+
+    if (question.points !== undefined) {
+      if (!Number.isInteger(question.points)) {
+        errors.push(`Question ${index + 1}: Points must be a whole number`);
+      } else if (question.points < 0 || question.points > 1000) {
+        errors.push(`Question ${index + 1}: Points must be between 0 and 1000`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate quiz metadata (tags, subject, grade level, language)
+   * @param {Object} quizData - Quiz data to validate
+   * @returns {Array} Validation errors
+   */
+  validateMetadata(quizData) {
+    const errors = [];
 
-        if (typeof question.correctAnswerIndex !== 'number') {
-          errors.push(`Question ${index + 1}: Correct answer index must be a number`);
-        } else if (question.correctAnswerIndex < 0 || question.correctAnswerIndex > 3) {
-          errors.push(`Question ${index + 1}: Correct answer index must be between 0 and 3`);
+    if (quizData.tags !== undefined) {
+      if (!Array.isArray(quizData.tags)) {
+        errors.push('Tags must be an array');
+      } else {
+        if (quizData.tags.length > Quiz.MAX_TAGS) {
+          errors.push(`A quiz cannot have more than ${Quiz.MAX_TAGS} tags`);
         }
+        quizData.tags.forEach((tag, tagIndex) => {
+          if (typeof tag !== 'string' || tag.trim().length === 0) {
+            errors.push(`Tag ${tagIndex + 1}: Tag text is required`);
+          } else if (tag.trim().length > 30) {
+            errors.push(`Tag ${tagIndex + 1}: Tag cannot exceed 30 characters`);
+          }
+        });
+      }
+    }
+
+    if (quizData.subject !== undefined && (typeof quizData.subject !== 'string' || quizData.subject.length > 100)) {
+      errors.push('Subject must be text of at most 100 characters');
+    }
+
+    if (quizData.gradeLevel !== undefined && !Quiz.GRADE_LEVELS.includes(quizData.gradeLevel)) {
+      errors.push(`Grade level must be one of: ${Quiz.GRADE_LEVELS.join(', ')}`);
+    }
+
+    if (quizData.language !== undefined &&
+      (typeof quizData.language !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(quizData.language.trim()))) {
+      errors.push('Language must be a language code such as "en" or "pt-br"');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the math in a question's rich text fields
+   * @param {Object} question - Question data to validate
+   * @param {number} index - Position of the question in the quiz
+   * @returns {Array} Validation errors
+   */
+  validateRichText(question, index) {
+    const label = `Question ${index + 1}`;
+    const errors = richTextService.validate(question.questionText)
+      .map(error => `${label}: ${error}`);
+
+    if (Array.isArray(question.options)) {
+      question.options.forEach((option, optionIndex) => {
+        errors.push(...richTextService.validate(option)
+          .map(error => `${label}, Option ${optionIndex + 1}: ${error}`));
       });
     }
 
+    errors.push(...richTextService.validate(question.explanation)
+      .map(error => `${label}, Explanation: ${error}`));
+
+    return errors;
+  }
+
+  /**
+   * Sanitize the rich text of the questions in quiz data before saving
+   * @param {Object} quizData - Quiz data (create or update)
+   * @returns {Object} Quiz data with sanitized questions
+   */
+  sanitizeRichText(quizData) {
+    if (!quizData || !Array.isArray(quizData.questions)) {
+      return quizData;
+    }
+
     return {
-      isValid: errors.length === 0,
-      errors
+      ...quizData,
+      questions: quizData.questions.map(question => richTextService.sanitizeQuestion(question))
     };
   }
+
+  /**
+   * Validate the media attached to a question and its options
+   * @param {Object} question - Question data to validate
+   * @param {number} index - Position of the question in the quiz
+   * @returns {Array} Validation errors
+   */
+  validateQuestionMedia(question, index) {
+    const errors = [];
+    const label = `Question ${index + 1}`;
+
+    const checkMedia = (media, mediaLabel) => {
+      if (!media || typeof media !== 'object') {
+        errors.push(`${mediaLabel}: Media must be an object`);
+        return;
+      }
+      if (!Question.MEDIA_TYPES.includes(media.type)) {
+        errors.push(`${mediaLabel}: Media type must be one of: ${Question.MEDIA_TYPES.join(', ')}`);
+      }
+      if (typeof media.url !== 'string' || !/^(https?:\/\/|\/)\S+$/i.test(media.url.trim())) {
+        errors.push(`${mediaLabel}: Media URL must be an http or https link or an uploaded file path`);
+      }
+    };
+
+    if (question.media !== undefined && question.media !== null) {
+      checkMedia(question.media, label);
+    }
+
+    if (question.optionMedia !== undefined) {
+      if (!Array.isArray(question.optionMedia)) {
+        errors.push(`${label}: Option media must be an array`);
+        return errors;
+      }
+
+      const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+      const seen = new Set();
+      question.optionMedia.forEach((media, mediaIndex) => {
+        const mediaLabel = `${label}, Option media ${mediaIndex + 1}`;
+        checkMedia(media, mediaLabel);
+        if (!media || typeof media !== 'object') {
+          return;
+        }
+        if (!Number.isInteger(media.optionIndex) || media.optionIndex < 0 || media.optionIndex >= optionCount) {
+          errors.push(`${mediaLabel}: Option index must point to an existing option`);
+        } else if (seen.has(media.optionIndex)) {
+          errors.push(`${mediaLabel}: Each option can have only one media attachment`);
+        }
+        seen.add(media.optionIndex);
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the options and correct answers of a question for its type
+   * @param {Object} question - Question data to validate
+   * @param {number} index - Position of the question in the quiz
+   * @param {Object} options - { draft } to allow missing options and answers
+   * @returns {Array} Validation errors
+   */
+  validateQuestionAnswers(question, index, { draft = false } = {}) {
+    const errors = [];
+    const label = `Question ${index + 1}`;
+    const questionType = question.questionType || 'single';
+
+    if (!Question.QUESTION_TYPES.includes(questionType)) {
+      errors.push(`${label}: Question type must be one of: ${Question.QUESTION_TYPES.join(', ')}`);
+      return errors;
+    }
+
+    if (questionType === 'short-answer') {
+      if (!Array.isArray(question.acceptedAnswers) || question.acceptedAnswers.length === 0) {
+        if (!draft || !(question.acceptedAnswers === undefined || Array.isArray(question.acceptedAnswers))) {
+          errors.push(`${label}: At least one accepted answer is required`);
+        }
+      } else {
+        question.acceptedAnswers.forEach((accepted, acceptedIndex) => {
+          if (typeof accepted !== 'string' || (accepted.trim().length === 0 && !draft)) {
+            errors.push(`${label}, Accepted answer ${acceptedIndex + 1}: Answer text is required`);
+          } else if (accepted.length > 200) {
+            errors.push(`${label}, Accepted answer ${acceptedIndex + 1}: Answer text cannot exceed 200 characters`);
+          }
+        });
+      }
+      return errors;
+    }
+
+    // True/false questions get the standard options when none are given
+    const options = questionType === 'true-false' && question.options === undefined
+      ? ['True', 'False']
+      : question.options;
+
+    if (!options || !Array.isArray(options)) {
+      if (draft && options === undefined) {
+        return errors;
+      }
+      errors.push(`${label}: Options array is required`);
+      return errors;
+    }
+
+    if (questionType === 'true-false' && options.length !== 2 && !(draft && options.length < 2)) {
+      errors.push(`${label}: True/false questions must have exactly 2 options`);
+    } else if (options.length > Question.MAX_OPTIONS || (options.length < Question.MIN_OPTIONS && !draft)) {
+      errors.push(`${label}: Must have between ${Question.MIN_OPTIONS} and ${Question.MAX_OPTIONS} options`);
+    }
+
+    options.forEach((option, optionIndex) => {
+      if (typeof option !== 'string' || (option.trim().length === 0 && !draft)) {
+        errors.push(`${label}, Option ${optionIndex + 1}: Option text is required`);
+      }
+    });
+
+    if (questionType === 'multi-select') {
+      const indices = question.correctAnswerIndices;
+      if (!Array.isArray(indices) || indices.length === 0) {
+        if (!draft || !(indices === undefined || Array.isArray(indices))) {
+          errors.push(`${label}: At least one correct answer index is required`);
+        }
+      } else if (indices.some(i => !Number.isInteger(i) || i < 0 || i >= options.length)) {
+        errors.push(`${label}: Correct answer indices must be between 0 and ${options.length - 1}`);
+      } else if (new Set(indices).size !== indices.length) {
+        errors.push(`${label}: Correct answer indices must be unique`);
+      }
+      return errors;
+    }
+
+    if (typeof question.correctAnswerIndex !== 'number') {
+      if (!draft || !(question.correctAnswerIndex === undefined || question.correctAnswerIndex === null)) {
+        errors.push(`${label}: Correct answer index must be a number`);
+      }
+    } else if (question.correctAnswerIndex < 0 || question.correctAnswerIndex >= options.length) {
+      errors.push(`${label}: Correct answer index must be between 0 and ${options.length - 1}`);
+    }
+
+    return errors;
+  }
 }
 
 module.exports = new QuizService();
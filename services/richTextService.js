@@ -0,0 +1,317 @@
+const katex = require('katex');
+
+/**
+ * Rich text markup for question, option and explanation text
+ *
+ *   **bold**
+ *   `inline code`
+ *   ```lang
+ *   code block
+ *   ```
+ *   $x^2$          inline LaTeX math
+ *   $$\frac{a}{b}$$ display LaTeX math
+ *
+ * A backslash escapes the markup characters (\*, \`, \$, \\). Inline math follows the
+ * Pandoc rule so prices read as text: no space right inside the dollars and no digit
+ * right after the closing one ("costs $5 and $10" stays text).
+ *
+ * The markup is what gets stored. Clients get two renderings of it:
+ * - html: escaped HTML with <strong>, <code>, <pre><code> and KaTeX markup for math
+ *   (needs the KaTeX stylesheet on the page)
+ * - plain: the text without markup; math keeps its LaTeX source
+ */
+
+const ESCAPABLE = ['\\', '*', '`', '$'];
+const CODE_LANGUAGE_PATTERN = /^[a-z0-9+#-]{1,20}$/i;
+const RENDER_CACHE_SIZE = 1000;
+
+// Control characters (except tab and newline), zero-width characters and bidi overrides
+const UNSAFE_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+const KATEX_OPTIONS = {
+  throwOnError: true,
+  trust: false,
+  strict: 'ignore',
+  maxSize: 10,
+  maxExpand: 100
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Rich Text Service
+ * Parses, sanitizes and renders the rich text markup
+ */
+class RichTextService {
+  constructor() {
+    this.renderCache = new Map();
+  }
+
+  /**
+   * Clean up submitted markup: unify line breaks, strip invisible and control
+   * characters and surrounding whitespace
+   * @param {string} text - Submitted text
+   * @returns {string} Sanitized text
+   */
+  sanitize(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(UNSAFE_CHARACTERS, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Sanitize the rich text fields of a question
+   * @param {object} question - Question data
+   * @returns {object} Question with sanitized text
+   */
+  sanitizeQuestion(question) {
+    if (!question || typeof question !== 'object') {
+      return question;
+    }
+
+    return {
+      ...question,
+      ...(question.questionText !== undefined && { questionText: this.sanitize(question.questionText) }),
+      ...(Array.isArray(question.options) && { options: question.options.map(option => this.sanitize(option)) }),
+      ...(question.explanation !== undefined && { explanation: this.sanitize(question.explanation) })
+    };
+  }
+
+  /**
+   * Split markup into nodes
+   * @param {string} text - Markup
+   * @param {boolean} allowBold - False inside bold text
+   * @returns {Array} Nodes: { type: text|bold|code|codeblock|math|displaymath, value, language?, children? }
+   */
+  parse(text, allowBold = true) {
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: 'text', value: buffer });
+        buffer = '';
+      }
+    };
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+        buffer += text[i + 1];
+        i += 2;
+        continue;
+      }
+
+      if (text.startsWith('```', i)) {
+        const end = text.indexOf('```', i + 3);
+        if (end !== -1) {
+          const body = text.slice(i + 3, end);
+          const newline = body.indexOf('\n');
+          const firstLine = newline === -1 ? '' : body.slice(0, newline).trim();
+          const hasLanguage = CODE_LANGUAGE_PATTERN.test(firstLine);
+          flush();
+          nodes.push({
+            type: 'codeblock',
+            language: hasLanguage ? firstLine.toLowerCase() : null,
+            value: (hasLanguage || (newline !== -1 && firstLine === '') ? body.slice(newline + 1) : body).replace(/\n$/, '')
+          });
+          i = end + 3;
+          continue;
+        }
+      }
+
+      if (text.startsWith('$$', i)) {
+        const end = this.findClosingDollar(text, i + 2, '$$');
+        if (end > i + 2) {
+          flush();
+          nodes.push({ type: 'displaymath', value: text.slice(i + 2, end).trim() });
+          i = end + 2;
+          continue;
+        }
+      }
+
+      if (char === '`') {
+        const end = text.indexOf('`', i + 1);
+        if (end > i + 1) {
+          flush();
+          nodes.push({ type: 'code', value: text.slice(i + 1, end) });
+          i = end + 1;
+          continue;
+        }
+      }
+
+      if (char === '$' && !/\s/.test(text[i + 1] || ' ')) {
+        const end = this.findClosingDollar(text, i + 1, '$');
+        if (end > i + 1 && !/\s/.test(text[end - 1]) && !/\d/.test(text[end + 1] || '')) {
+          flush();
+          nodes.push({ type: 'math', value: text.slice(i + 1, end) });
+          i = end + 1;
+          continue;
+        }
+      }
+
+      if (allowBold && text.startsWith('**', i)) {
+        const end = text.indexOf('**', i + 2);
+        if (end > i + 2) {
+          flush();
+          nodes.push({ type: 'bold', children: this.parse(text.slice(i + 2, end), false) });
+          i = end + 2;
+          continue;
+        }
+      }
+
+      buffer += char;
+      i++;
+    }
+
+    flush();
+    return nodes;
+  }
+
+  /**
+   * Find the closing math delimiter, skipping LaTeX-escaped dollars (\$)
+   * @param {string} text - Markup
+   * @param {number} from - Index to search from
+   * @param {string} delimiter - $ or $$
+   * @returns {number} Index of the delimiter or -1
+   */
+  findClosingDollar(text, from, delimiter) {
+    let index = text.indexOf(delimiter, from);
+    while (index !== -1 && text[index - 1] === '\\') {
+      index = text.indexOf(delimiter, index + 1);
+    }
+    // A single $ must not be the start of $$
+    if (delimiter === '$' && index !== -1 && text[index + 1] === '$') {
+      return -1;
+    }
+    return index;
+  }
+
+  /**
+   * Check that every math expression in the markup is valid LaTeX
+   * @param {string} text - Markup
+   * @returns {Array} Error messages
+   */
+  validate(text) {
+    if (typeof text !== 'string') {
+      return [];
+    }
+
+    const errors = [];
+    const visit = (nodes) => nodes.forEach(node => {
+      if (node.type === 'math' || node.type === 'displaymath') {
+        try {
+          katex.renderToString(node.value, { ...KATEX_OPTIONS, displayMode: node.type === 'displaymath' });
+        } catch (error) {
+          errors.push(`Invalid math "${node.value}": ${error.message.replace(/^KaTeX parse error: /, '')}`);
+        }
+      }
+      if (node.children) {
+        visit(node.children);
+      }
+    });
+
+    visit(this.parse(this.sanitize(text)));
+    return errors;
+  }
+
+  /**
+   * Render markup to safe HTML and plain text
+   * @param {string} text - Markup
+   * @returns {object|null} { html, plain } or null for empty text
+   */
+  render(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+      return null;
+    }
+
+    if (this.renderCache.has(text)) {
+      return this.renderCache.get(text);
+    }
+
+    const nodes = this.parse(text);
+    const rendered = {
+      html: this.toHtml(nodes),
+      plain: this.toPlain(nodes)
+    };
+
+    if (this.renderCache.size >= RENDER_CACHE_SIZE) {
+      this.renderCache.delete(this.renderCache.keys().next().value);
+    }
+    this.renderCache.set(text, rendered);
+
+    return rendered;
+  }
+
+  toHtml(nodes) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'bold':
+          return `<strong>${this.toHtml(node.children)}</strong>`;
+        case 'code':
+          return `<code>${escapeHtml(node.value)}</code>`;
+        case 'codeblock':
+          return `<pre><code${node.language ? ` class="language-${node.language}"` : ''}>${escapeHtml(node.value)}</code></pre>`;
+        case 'math':
+        case 'displaymath':
+          return this.renderMath(node.value, node.type === 'displaymath');
+        default:
+          return escapeHtml(node.value).replace(/\n/g, '<br>');
+      }
+    }).join('');
+  }
+
+  toPlain(nodes) {
+    return nodes.map(node => {
+      if (node.type === 'bold') {
+        return this.toPlain(node.children);
+      }
+      return node.value;
+    }).join('');
+  }
+
+  /**
+   * Render LaTeX with KaTeX; stored text was validated, but older quizzes may
+   * still contain broken math, which is shown as code instead
+   * @param {string} latex - LaTeX source
+   * @param {boolean} displayMode - Display (block) math
+   * @returns {string} HTML
+   */
+  renderMath(latex, displayMode) {
+    try {
+      return katex.renderToString(latex, { ...KATEX_OPTIONS, displayMode });
+    } catch (error) {
+      return `<code class="math-error">${escapeHtml(latex)}</code>`;
+    }
+  }
+
+  /**
+   * Rendered forms of a question's rich text for clients
+   * The explanation is left out unless asked for, since it gives the answer away.
+   * @param {object} question - Question data
+   * @param {object} options - { withExplanation }
+   * @returns {object} { questionText, options, explanation? } each as { html, plain }
+   */
+  formatQuestion(question, { withExplanation = false } = {}) {
+    return {
+      questionText: this.render(question.questionText),
+      options: (question.options || []).map(option => this.render(option)),
+      ...(withExplanation && { explanation: this.render(question.explanation) })
+    };
+  }
+}
+
+module.exports = new RichTextService();
@@ -1,5 +1,12 @@
+const crypto = require('crypto');
 const Quiz = require('../models/Quiz');
 const Answer = require('../models/Answer');
+const GameQuestionSet = require('../models/GameQuestionSet');
+const scoringService = require('./scoringService');
+const quizService = require('./quizService');
+const quizRevisionService = require('./quizRevisionService');
+const questionPoolService = require('./questionPoolService');
+const shuffleService = require('./shuffleService');
 
 /**
  * Room Management Service
@@ -8,11 +15,15 @@ const Answer = require('../models/Answer');
 class RoomService {
   constructor() {
     // In-memory storage for active rooms
-    // Structure: roomCode => { quizId, hostId, participants, currentQuestion, quizData, timer, isActive }
+    // Structure: roomCode => { quizId, hostId, actingHostId, participants, currentQuestion, quizData, timer, isActive }
     this.rooms = new Map();
     
     // Track timers for each room
     this.timers = new Map();
+
+    // Track reconnect grace timers for disconnected participants
+    // Structure: `${roomCode}:${playerId}` => timer
+    this.disconnectTimers = new Map();
   }
 
   /**
@@ -47,35 +58,87 @@ class RoomService {
     return result;
   }
 
+  /**
+   * Generate a reconnect token for a participant
+   * @returns {string} Random token that lets a player rejoin after a socket drop
+   */
+  generateReconnectToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
   /**
    * Create a new room
    * @param {string} quizId - Quiz ID
    * @param {string} hostId - Host user ID
+   * @param {object} options - Game options ({ scoringMode, shuffleQuestions, shuffleOptions })
    * @returns {string} Room code
    */
-  async createRoom(quizId, hostId) {
+  async createRoom(quizId, hostId, options = {}) {
     try {
+      const scoringMode = options.scoringMode || 'classic';
+      if (!scoringService.isValidMode(scoringMode)) {
+        throw new Error('Invalid scoring mode');
+      }
+      const shuffleQuestions = options.shuffleQuestions === true;
+      const shuffleOptions = options.shuffleOptions === true;
+
       // Fetch quiz data
       const quiz = await Quiz.findById(quizId);
-      if (!quiz) {
+      // Private quizzes can only be hosted by their creator and collaborators
+      if (!quiz || !quizService.canView(quiz, hostId)) {
         throw new Error('Quiz not found');
       }
 
+      // Drafts may be unfinished; quizzes saved before statuses existed count as published
+      if (!quizService.isPublished(quiz)) {
+        throw new Error('Quiz is not published');
+      }
+
+      // Pin the game to the quiz content as it is now
+      const quizRevision = await quizRevisionService.ensureRevision(quiz, hostId);
+      const gameSessionId = this.generatePlayerId(); // Unique game session ID
+
+      // Quizzes with question pools get a fresh draw for every room, and shuffled
+      // rooms their own order; kept so the game's results show the questions as asked
+      let quizData = quiz;
+      let questionSet = null;
+      if (questionPoolService.hasPools(quiz) || shuffleQuestions) {
+        const questions = questionPoolService.hasPools(quiz)
+          ? await questionPoolService.drawQuestions(quiz)
+          : quiz.questions.map(question => question.toObject());
+
+        questionSet = new GameQuestionSet({
+          gameSessionId,
+          quizId: quiz._id,
+          quizRevision,
+          title: quiz.title,
+          questions: shuffleQuestions ? shuffleService.shuffle(questions) : questions
+        });
+        quizData = { _id: quiz._id, title: quiz.title, questions: questionSet.questions };
+      }
+
       const roomCode = this.generateRoomCode();
       
       const room = {
         quizId,
-        hostId,
-        participants: new Map(), // socketId => { playerId, name, answers: [], score: 0, isReady: false }
+        quizRevision,
+        hostId, // Quiz host the results are saved under, even after a co-host takes over
+        actingHostId: hostId, // User running the room now; checked for host-only actions
+        participants: new Map(), // socketId => { playerId, name, userId, role, answers: [], score: 0, isReady: false }
         currentQuestion: 0,
-        quizData: quiz,
+        quizData,
+        questionSet,
         isActive: false,
         isCompleted: false,
         startTime: null,
         questionStartTime: null,
-        gameSessionId: this.generatePlayerId(), // Unique game session ID
+        gameSessionId,
+        scoringMode,
+        shuffleQuestions,
+        shuffleOptions,
         maxParticipants: 50,
-        questionDuration: 30000 // 30 seconds per question
+        questionDuration: 30000, // 30 seconds per question
+        reconnectGracePeriod: 60000 // 60 seconds to rejoin after a socket drop
       };
 
       this.rooms.set(roomCode, room);
@@ -93,9 +156,10 @@ class RoomService {
    * @param {string} roomCode - Room code
    * @param {string} socketId - Socket ID
    * @param {string} name - Participant name
+   * @param {string|null} userId - Authenticated user ID (null for guests)
    * @returns {object} Room data
    */
-  joinRoom(roomCode, socketId, name) {
+  joinRoom(roomCode, socketId, name, userId = null) {
     const room = this.rooms.get(roomCode);
     if (!room) {
       throw new Error('Room not found');
@@ -118,14 +182,18 @@ class RoomService {
     // Generate unique player ID
     const playerId = this.generatePlayerId();
 
-    // Add participant
+    // Add participant (the first participant is the host)
     room.participants.set(socketId, {
       playerId,
       name,
+      userId,
+      role: room.participants.size === 0 ? 'host' : 'player',
       answers: [],
       score: 0,
       joinedAt: new Date(),
-      isReady: false
+      isReady: false,
+      isConnected: true,
+      reconnectToken: this.generateReconnectToken()
     });
 
     console.log(`User ${name} (Player ID: ${playerId}) joined room ${roomCode}`);
@@ -144,6 +212,7 @@ class RoomService {
     const participant = room.participants.get(socketId);
     if (participant) {
       console.log(`User ${participant.name} left room ${roomCode}`);
+      this.clearDisconnectTimer(roomCode, participant.playerId);
       room.participants.delete(socketId);
     }
 
@@ -153,6 +222,99 @@ class RoomService {
     }
   }
 
+  /**
+   * Mark a participant as disconnected and keep their seat for the grace period
+   * @param {string} roomCode - Room code
+   * @param {string} socketId - Socket ID that dropped
+   * @param {Function} onExpire - Called if the player has not rejoined when the grace period ends
+   * @returns {object|null} The disconnected participant
+   */
+  markDisconnected(roomCode, socketId, onExpire) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return null;
+
+    const participant = room.participants.get(socketId);
+    if (!participant) return null;
+
+    participant.isConnected = false;
+    participant.disconnectedAt = new Date();
+
+    this.clearDisconnectTimer(roomCode, participant.playerId);
+    const timer = setTimeout(() => {
+      this.disconnectTimers.delete(`${roomCode}:${participant.playerId}`);
+      console.log(`Reconnect grace period expired for ${participant.name} in room ${roomCode}`);
+      onExpire();
+    }, room.reconnectGracePeriod);
+
+    this.disconnectTimers.set(`${roomCode}:${participant.playerId}`, timer);
+
+    console.log(`User ${participant.name} disconnected from room ${roomCode} - holding seat for ${room.reconnectGracePeriod}ms`);
+    return participant;
+  }
+
+  /**
+   * Rejoin a room with a reconnect token
+   * The participant keeps their player ID, score and answers and is moved to the new socket.
+   * @param {string} roomCode - Room code
+   * @param {string} reconnectToken - Token issued when the player first joined
+   * @param {string} socketId - New socket ID
+   * @returns {object} { room, participant, previousSocketId }
+   */
+  rejoinRoom(roomCode, reconnectToken, socketId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    const entry = Array.from(room.participants.entries())
+      .find(([, p]) => p.reconnectToken === reconnectToken);
+    if (!entry) {
+      throw new Error('Invalid or expired reconnect token');
+    }
+
+    const [previousSocketId, participant] = entry;
+    this.clearDisconnectTimer(roomCode, participant.playerId);
+
+    // Move the participant over to the new socket
+    if (previousSocketId !== socketId) {
+      room.participants.delete(previousSocketId);
+      room.participants.set(socketId, participant);
+    }
+
+    participant.isConnected = true;
+    participant.disconnectedAt = null;
+
+    console.log(`User ${participant.name} (Player ID: ${participant.playerId}) rejoined room ${roomCode}`);
+    return { room, participant, previousSocketId };
+  }
+
+  /**
+   * Clear a participant's reconnect grace timer
+   * @param {string} roomCode - Room code
+   * @param {string} playerId - Player ID
+   */
+  clearDisconnectTimer(roomCode, playerId) {
+    const key = `${roomCode}:${playerId}`;
+    const timer = this.disconnectTimers.get(key);
+    if (timer) {
+      clearTimeout(timer);
+      this.disconnectTimers.delete(key);
+    }
+  }
+
+  /**
+   * Clear all reconnect grace timers of a room
+   * @param {string} roomCode - Room code
+   */
+  clearDisconnectTimers(roomCode) {
+    for (const key of Array.from(this.disconnectTimers.keys())) {
+      if (key.startsWith(`${roomCode}:`)) {
+        clearTimeout(this.disconnectTimers.get(key));
+        this.disconnectTimers.delete(key);
+      }
+    }
+  }
+
   /**
    * Start a quiz
    * @param {string} roomCode - Room code
@@ -164,7 +326,7 @@ class RoomService {
       throw new Error('Room not found');
     }
 
-    if (room.hostId !== hostId) {
+    if (room.actingHostId !== hostId) {
       throw new Error('Only the host can start the quiz');
     }
 
@@ -265,7 +427,7 @@ class RoomService {
       throw new Error('Room not found');
     }
 
-    if (room.hostId !== hostId) {
+    if (room.actingHostId !== hostId) {
       throw new Error('Only the host can advance questions');
     }
 
@@ -305,7 +467,7 @@ class RoomService {
     const timer = setTimeout(() => {
       console.log(`Time up for question ${room.currentQuestion + 1} in room ${roomCode}`);
       // Auto-advance to next question
-      this.nextQuestion(roomCode, room.hostId);
+      this.nextQuestion(roomCode, room.actingHostId);
     }, room.questionDuration);
 
     this.timers.set(roomCode, timer);
@@ -432,32 +594,62 @@ class RoomService {
 
   /**
    * Save quiz results to database
+   * Stores one Answer document per participant. Participants who joined with a
+   * JWT are linked to their User, everyone else is stored as a guest.
    * @param {string} roomCode - Room code
+   * @param {Array} participants - Final participant results ({ playerId, name, userId, score, answers });
+   *   defaults to the room's own participants
+   * @returns {Promise<Array>} Saved Answer documents
    */
-  async saveQuizResults(roomCode) {
+  async saveQuizResults(roomCode, participants = null) {
     const room = this.rooms.get(roomCode);
-    if (!room) return;
+    if (!room) return [];
 
-    try {
-      const participants = Array.from(room.participants.entries());
-      
-      for (const [socketId, participant] of participants) {
+    const results = participants || Array.from(room.participants.values());
+    const saved = [];
+
+    if (room.questionSet && room.questionSet.isNew) {
+      try {
+        await room.questionSet.save();
+      } catch (error) {
+        console.error(`Error saving the question set of room ${roomCode}:`, error);
+      }
+    }
+
+    for (const participant of results) {
+      try {
         const answer = new Answer({
-          userId: socketId, // In a real app, you'd have user IDs
+          userId: participant.userId || undefined,
+          isGuest: !participant.userId,
+          playerId: participant.playerId,
+          playerName: participant.name,
           quizId: room.quizId,
           roomCode,
-          responses: participant.answers,
+          gameSessionId: room.gameSessionId,
+          hostId: room.hostId,
+          quizRevision: room.quizRevision || null,
+          scoringMode: room.scoringMode,
+          responses: participant.answers.map(a => ({
+            questionIndex: a.questionIndex,
+            questionId: room.quizData.questions[a.questionIndex]?._id || null,
+            answer: a.answer !== undefined ? a.answer : a.answerIndex,
+            optionOrder: a.optionOrder || undefined,
+            isCorrect: a.isCorrect,
+            pointsAwarded: a.pointsAwarded,
+            timeSpent: a.timeSpent
+          })),
           totalScore: participant.score,
           totalQuestions: room.quizData.questions.length
         });
 
-        await answer.save();
+        saved.push(await answer.save());
+      } catch (error) {
+        console.error(`Error saving quiz results for ${participant.name} in room ${roomCode}:`, error);
       }
-
-      console.log(`Quiz results saved for room ${roomCode}`);
-    } catch (error) {
-      console.error('Error saving quiz results:', error);
     }
+
+    console.log(`Quiz results saved for room ${roomCode} (${saved.length}/${results.length} participants)`);
+    return saved;
   }
 
   /**
@@ -470,18 +662,141 @@ class RoomService {
     const room = this.rooms.get(roomCode);
     if (!room) return false;
     
-    // Find participant with this socketId
     const participant = room.participants.get(socketId);
-    if (!participant) return false;
-    
-    // The host is the participant with the smallest joinedAt timestamp
-    // or the first participant in the Map (since Map maintains insertion order)
-    const participants = Array.from(room.participants.entries());
-    if (participants.length === 0) return false;
-    
-    // Get the first participant (host)
-    const [firstSocketId, firstParticipant] = participants[0];
-    return socketId === firstSocketId;
+    return !!participant && participant.role === 'host';
+  }
+
+  /**
+   * Get the host participant of a room
+   * @param {string} roomCode - Room code
+   * @returns {Array|null} [socketId, participant] or null
+   */
+  getHostEntry(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return null;
+
+    return Array.from(room.participants.entries()).find(([, p]) => p.role === 'host') || null;
+  }
+
+  /**
+   * Get the connected co-host of a room
+   * @param {string} roomCode - Room code
+   * @returns {Array|null} [socketId, participant] or null
+   */
+  getCoHostEntry(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return null;
+
+    return Array.from(room.participants.entries())
+      .find(([, p]) => p.role === 'co-host' && p.isConnected !== false) || null;
+  }
+
+  /**
+   * Assign (or clear) the co-host of a room
+   * Only logged-in participants can be co-host because they may become the host.
+   * @param {string} roomCode - Room code
+   * @param {string} hostSocketId - Socket ID of the host making the change
+   * @param {string|null} playerId - Player ID of the new co-host, or null to clear
+   * @returns {object|null} The new co-host participant
+   */
+  assignCoHost(roomCode, hostSocketId, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    if (!this.isHost(roomCode, hostSocketId)) {
+      throw new Error('Only the host can assign a co-host');
+    }
+
+    let coHost = null;
+    if (playerId) {
+      coHost = Array.from(room.participants.values()).find(p => p.playerId === playerId);
+      if (!coHost) {
+        throw new Error('Participant not found');
+      }
+      if (coHost.role === 'host') {
+        throw new Error('The host cannot be co-host');
+      }
+      if (!coHost.userId) {
+        throw new Error('Co-host must be logged in');
+      }
+    }
+
+    for (const participant of room.participants.values()) {
+      if (participant.role === 'co-host') {
+        participant.role = 'player';
+      }
+    }
+
+    if (coHost) {
+      coHost.role = 'co-host';
+      console.log(`${coHost.name} is now co-host of room ${roomCode}`);
+    }
+
+    return coHost;
+  }
+
+  /**
+   * Hand the room over to a new host
+   * The previous host is removed if they are disconnected, otherwise they become a player.
+   * Results are still saved under the original host, so the game stays in their history.
+   * @param {string} roomCode - Room code
+   * @param {string} socketId - Socket ID of the new host
+   * @returns {object} The new host participant
+   */
+  transferHost(roomCode, socketId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    const newHost = room.participants.get(socketId);
+    if (!newHost || !newHost.userId) {
+      throw new Error('New host must be a logged-in participant');
+    }
+
+    const previousHostEntry = this.getHostEntry(roomCode);
+    if (previousHostEntry) {
+      const [previousSocketId, previousHost] = previousHostEntry;
+      if (previousHost.isConnected === false) {
+        this.clearDisconnectTimer(roomCode, previousHost.playerId);
+        room.participants.delete(previousSocketId);
+      } else {
+        previousHost.role = 'player';
+      }
+    }
+
+    newHost.role = 'host';
+    room.actingHostId = newHost.userId;
+
+    console.log(`${newHost.name} is now host of room ${roomCode}`);
+    return newHost;
+  }
+
+  /**
+   * Reclaim the host seat from a new socket using the host's account
+   * @param {string} roomCode - Room code
+   * @param {string} userId - Authenticated user ID
+   * @param {string} socketId - New socket ID
+   * @returns {object} { room, participant, previousSocketId }
+   */
+  reclaimHost(roomCode, userId, socketId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    if (!room.actingHostId || room.actingHostId.toString() !== userId.toString()) {
+      throw new Error('Only the host can reclaim this room');
+    }
+
+    const hostEntry = this.getHostEntry(roomCode);
+    if (!hostEntry) {
+      throw new Error('Host seat is no longer available');
+    }
+
+    return this.rejoinRoom(roomCode, hostEntry[1].reconnectToken, socketId);
   }
 
   /**
@@ -493,6 +808,7 @@ class RoomService {
     if (!room) return;
     
     this.clearQuestionTimer(roomCode);
+    this.clearDisconnectTimers(roomCode);
     this.rooms.delete(roomCode);
     console.log(`Room ${roomCode} cancelled by host`);
   }
@@ -503,33 +819,11 @@ class RoomService {
    */
   deleteRoom(roomCode) {
     this.clearQuestionTimer(roomCode);
+    this.clearDisconnectTimers(roomCode);
     this.rooms.delete(roomCode);
     console.log(`Room ${roomCode} deleted`);
   }
 
-  /**
-   * Check if a participant is the host of a room
-   * @param {string} roomCode - Room code
-   * @param {string} socketId - Socket ID to check
-   * @returns {boolean} True if the participant is the host
-   */
-  isHost(roomCode, socketId) {
-    const room = this.rooms.get(roomCode);
-    if (!room) return false;
-
-    const participant = room.participants.get(socketId);
-    if (!participant) return false;
-
-    // The host is the participant with the smallest joinedAt timestamp
-    // or the first participant in the Map (since Map maintains insertion order)
-    const participants = Array.from(room.participants.entries());
-    if (participants.length === 0) return false;
-
-    // Get the first participant (host)
-    const [firstSocketId, firstParticipant] = participants[0];
-    return socketId === firstSocketId;
-  }
-
   /**
    * Get all active rooms (for debugging)
    * @returns {Array} List of active rooms
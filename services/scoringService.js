@@ -0,0 +1,83 @@
+/**
+ * Scoring Service
+ * Scoring strategies a host can pick for a room
+ */
+
+// Speed mode scores each question point on a 1000-point scale so speed differences show up
+const SPEED_POINT_SCALE = 1000;
+
+// Speed mode adds 10% of the question's maximum for every consecutive correct answer, up to 50%
+const STREAK_BONUS_STEP = 0.1;
+const MAX_STREAK_STEPS = 5;
+
+class ScoringService {
+  constructor() {
+    this.strategies = {
+      classic: {
+        description: 'Flat question points for every correct answer',
+        score: ({ points, isCorrect }) => ({
+          basePoints: isCorrect ? points : 0,
+          speedBonus: 0,
+          streakBonus: 0
+        })
+      },
+      speed: {
+        description: 'Faster correct answers earn more, with bonuses for answer streaks',
+        score: ({ points, isCorrect, timeSpent, duration, streak }) => {
+          if (!isCorrect) {
+            return { basePoints: 0, speedBonus: 0, streakBonus: 0 };
+          }
+
+          const maxPoints = points * SPEED_POINT_SCALE;
+          const timeRatio = duration > 0 ? Math.min(Math.max(timeSpent / duration, 0), 1) : 1;
+
+          // Half the points for being correct, the other half shrinks as the timer runs down
+          const basePoints = Math.round(maxPoints / 2);
+          const speedBonus = Math.round((maxPoints / 2) * (1 - timeRatio));
+          const streakBonus = Math.round(maxPoints * STREAK_BONUS_STEP * Math.min(Math.max(streak - 1, 0), MAX_STREAK_STEPS));
+
+          return { basePoints, speedBonus, streakBonus };
+        }
+      }
+    };
+  }
+
+  /**
+   * Get the available scoring modes
+   * @returns {Array} Mode names and descriptions
+   */
+  getModes() {
+    return Object.entries(this.strategies).map(([name, strategy]) => ({
+      name,
+      description: strategy.description
+    }));
+  }
+
+  /**
+   * Check if a scoring mode exists
+   * @param {string} mode - Scoring mode name
+   * @returns {boolean} True if the mode exists
+   */
+  isValidMode(mode) {
+    return Object.prototype.hasOwnProperty.call(this.strategies, mode);
+  }
+
+  /**
+   * Score a single answer
+   * @param {string} mode - Scoring mode name
+   * @param {object} context - { points, isCorrect, timeSpent, duration, streak }
+   *   where streak counts consecutive correct answers including this one
+   * @returns {object} { basePoints, speedBonus, streakBonus, pointsAwarded }
+   */
+  scoreAnswer(mode, context) {
+    const strategy = this.strategies[mode] || this.strategies.classic;
+    const breakdown = strategy.score(context);
+
+    return {
+      ...breakdown,
+      pointsAwarded: breakdown.basePoints + breakdown.speedBonus + breakdown.streakBonus
+    };
+  }
+}
+
+module.exports = new ScoringService();
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const gradingService = require('./gradingService');
+
+// Question types whose options can be put in a different order
+const SHUFFLABLE_TYPES = ['single', 'multi-select'];
+
+/**
+ * Shuffle Service
+ * Random question and option orders for game rooms.
+ * An option order lists, for each position a player sees, the index of the option
+ * in the stored question: order[2] = 0 means the first stored option is shown third.
+ */
+class ShuffleService {
+  /**
+   * Copy an array in random order
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} Shuffled copy
+   */
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let index = shuffled.length - 1; index > 0; index--) {
+      const swapIndex = crypto.randomInt(index + 1);
+      [shuffled[index], shuffled[swapIndex]] = [shuffled[swapIndex], shuffled[index]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Check whether a question's options can be shuffled
+   * True/false keeps its order so "True" always comes first; short answer has no options.
+   * @param {object} question - Question data
+   * @returns {boolean} True if the options can be shuffled
+   */
+  canShuffleOptions(question) {
+    return SHUFFLABLE_TYPES.includes(gradingService.getQuestionType(question))
+      && (question.options || []).length > 1;
+  }
+
+  /**
+   * Pick a random option order for a question
+   * @param {object} question - Question data
+   * @returns {Array|null} Option order, or null when the options keep their order
+   */
+  createOptionOrder(question) {
+    if (!this.canShuffleOptions(question)) {
+      return null;
+    }
+    return this.shuffle(question.options.map((option, index) => index));
+  }
+
+  /**
+   * Get a question with its options in a given order
+   * Option media and correct answers are moved along, so the copy can be formatted
+   * and reviewed like any other question.
+   * @param {object} question - Question data
+   * @param {Array|null} order - Option order
+   * @returns {object} Question as the player sees it
+   */
+  applyOptionOrder(question, order) {
+    if (!order) {
+      return question;
+    }
+
+    const plain = typeof question.toObject === 'function' ? question.toObject() : { ...question };
+    const toShown = index => order.indexOf(index);
+
+    return {
+      ...plain,
+      options: order.map(index => plain.options[index]),
+      optionMedia: (plain.optionMedia || []).map(media => ({ ...media, optionIndex: toShown(media.optionIndex) })),
+      correctAnswerIndex: typeof plain.correctAnswerIndex === 'number'
+        ? toShown(plain.correctAnswerIndex)
+        : plain.correctAnswerIndex,
+      correctAnswerIndices: (plain.correctAnswerIndices || []).map(toShown)
+    };
+  }
+
+  /**
+   * Turn an answer given in shown positions into stored option indices
+   * Positions outside the order are passed through so grading rejects them.
+   * @param {number|Array|string} answer - Answer as submitted
+   * @param {Array|null} order - Option order the player saw
+   * @returns {number|Array|string} Answer in stored option indices
+   */
+  toOriginalAnswer(answer, order) {
+    if (!order) {
+      return answer;
+    }
+
+    const toOriginal = value => (Number.isInteger(value) && value >= 0 && value < order.length ? order[value] : value);
+    if (Array.isArray(answer)) {
+      return answer.map(toOriginal);
+    }
+    return toOriginal(answer);
+  }
+
+  /**
+   * Turn an answer in stored option indices into the positions the player saw
+   * @param {number|Array|string} answer - Answer in stored option indices (-1 for no answer)
+   * @param {Array|null} order - Option order the player saw
+   * @returns {number|Array|string} Answer in shown positions
+   */
+  toShownAnswer(answer, order) {
+    if (!order || !order.length) {
+      return answer;
+    }
+
+    const toShown = value => (Number.isInteger(value) && value >= 0 ? order.indexOf(value) : value);
+    if (Array.isArray(answer)) {
+      return answer.map(toShown).sort((a, b) => a - b);
+    }
+    return toShown(answer);
+  }
+}
+
+module.exports = new ShuffleService();
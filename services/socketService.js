@@ -85,12 +85,16 @@ class SocketService {
             return socket.emit('error', { message: 'Authentication required to create rooms' });
           }
 
-          const { quizId } = data;
+          const { quizId, scoringMode, shuffleQuestions, shuffleOptions } = data;
           if (!quizId) {
             return socket.emit('error', { message: 'Quiz ID is required' });
           }
 
-          const roomCode = await roomService.createRoom(quizId, socket.user.id);
+          const roomCode = await roomService.createRoom(quizId, socket.user.id, {
+            scoringMode,
+            shuffleQuestions,
+            shuffleOptions
+          });
           const room = roomService.getRoom(roomCode);
           
           // Join socket room for broadcasting
@@ -101,23 +105,20 @@ class SocketService {
 
           // Ensure host is the first participant
           try {
-            roomService.joinRoom(roomCode, socket.id, socket.user.name || 'Host');
+            roomService.joinRoom(roomCode, socket.id, socket.user.name || 'Host', socket.user.id);
           } catch (e) {
             // If already joined or any benign error, ignore
           }
           
           // Get participants list (now includes host)
-          const participantsList = Array.from(room.participants.values()).map(p => ({
-            playerId: p.playerId,
-            name: p.name,
-            score: p.score,
-            isConnected: true,
-            isReady: p.isReady || false
-          }));
+          const participantsList = this.getParticipantsList(room);
           
           socket.emit('room-created', {
             roomCode,
             message: 'Room created successfully',
+            scoringMode: room.scoringMode,
+            shuffleQuestions: room.shuffleQuestions,
+            shuffleOptions: room.shuffleOptions,
             participantCount: room.participants.size,
             participants: participantsList
           });
@@ -138,7 +139,7 @@ class SocketService {
             return socket.emit('error', { message: 'Room code and name are required' });
           }
 
-          const room = roomService.joinRoom(roomCode, socket.id, name);
+          const room = roomService.joinRoom(roomCode, socket.id, name, socket.user ? socket.user.id : null);
           
           // Join socket room for broadcasting
           socket.join(roomCode);
@@ -149,22 +150,20 @@ class SocketService {
           const participant = room.participants.get(socket.id);
           
           // Get all participants info
-          const participantsList = Array.from(room.participants.values()).map(p => ({
-            playerId: p.playerId,
-            name: p.name,
-            score: p.score,
-            isConnected: true,
-            isReady: p.isReady || false
-          }));
+          const participantsList = this.getParticipantsList(room);
           
           socket.emit('room-joined', {
             roomCode,
             message: 'Successfully joined room',
             quizTitle: room.quizData.title,
+            scoringMode: room.scoringMode,
             participantCount: room.participants.size,
             participants: participantsList,
             playerId: participant.playerId,
-            gameSessionId: room.gameSessionId
+            gameSessionId: room.gameSessionId,
+            // Lets the player rejoin with their score and answers if the socket drops
+            reconnectToken: participant.reconnectToken,
+            reconnectGracePeriod: room.reconnectGracePeriod
           });
 
           // Notify all participants (including host)
@@ -182,6 +181,165 @@ class SocketService {
         }
       });
 
+      // Rejoin room event (after a dropped connection)
+      socket.on('rejoin-room', async (data) => {
+        try {
+          const { roomCode, reconnectToken } = data;
+
+          if (!roomCode || !reconnectToken) {
+            return socket.emit('error', { message: 'Room code and reconnect token are required' });
+          }
+
+          const { room, participant, previousSocketId } = roomService.rejoinRoom(roomCode, reconnectToken, socket.id);
+          doQuizService.replaceParticipantSocket(roomCode, previousSocketId, socket.id);
+
+          // Detach the stale socket if the server has not noticed it dropped yet
+          const previousSocket = this.io.sockets.sockets.get(previousSocketId);
+          if (previousSocket && previousSocket.id !== socket.id) {
+            previousSocket.roomCode = null;
+            previousSocket.leave(roomCode);
+          }
+
+          socket.join(roomCode);
+          socket.roomCode = roomCode;
+
+          const progress = doQuizService.getParticipantProgress(roomCode, participant.playerId);
+          const participantsList = this.getParticipantsList(room);
+
+          socket.emit('room-rejoined', {
+            roomCode,
+            message: 'Successfully rejoined room',
+            quizTitle: room.quizData.title,
+            participantCount: room.participants.size,
+            participants: participantsList,
+            playerId: participant.playerId,
+            name: participant.name,
+            gameSessionId: room.gameSessionId,
+            score: progress ? progress.score : participant.score,
+            answers: progress ? progress.answers : participant.answers,
+            isActive: doQuizService.isQuizActive(roomCode),
+            // Includes timeRemaining so the client can resume the countdown
+            question: doQuizService.isQuizActive(roomCode) ? doQuizService.getCurrentQuestion(roomCode, participant.playerId) : null,
+            leaderboard: doQuizService.getLeaderboard(roomCode)
+          });
+
+          socket.to(roomCode).emit('participant-reconnected', {
+            name: participant.name,
+            playerId: participant.playerId,
+            participantCount: room.participants.size,
+            participants: participantsList
+          });
+
+          if (participant.role === 'host') {
+            this.handleHostReturn(roomCode, participant);
+          }
+
+          console.log(`${participant.name} rejoined room ${roomCode}`);
+        } catch (error) {
+          console.error('Error rejoining room:', error);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // Reclaim host event (host reconnecting from any device with their JWT)
+      socket.on('reclaim-host', async (data) => {
+        try {
+          if (!socket.user) {
+            return socket.emit('error', { message: 'Authentication required to reclaim a room' });
+          }
+
+          const { roomCode } = data;
+          if (!roomCode) {
+            return socket.emit('error', { message: 'Room code is required' });
+          }
+
+          const { room, participant, previousSocketId } = roomService.reclaimHost(roomCode, socket.user.id, socket.id);
+          doQuizService.replaceParticipantSocket(roomCode, previousSocketId, socket.id);
+
+          // Detach the old host socket if it is still around
+          const previousSocket = this.io.sockets.sockets.get(previousSocketId);
+          if (previousSocket && previousSocket.id !== socket.id) {
+            previousSocket.roomCode = null;
+            previousSocket.leave(roomCode);
+          }
+
+          socket.join(roomCode);
+          socket.roomCode = roomCode;
+
+          this.handleHostReturn(roomCode, participant);
+
+          socket.emit('host-reclaimed', {
+            roomCode,
+            message: 'You are back in control of the room',
+            quizTitle: room.quizData.title,
+            participantCount: room.participants.size,
+            participants: this.getParticipantsList(room),
+            playerId: participant.playerId,
+            reconnectToken: participant.reconnectToken,
+            gameSessionId: room.gameSessionId,
+            isActive: doQuizService.isQuizActive(roomCode),
+            question: doQuizService.isQuizActive(roomCode) ? doQuizService.getCurrentQuestion(roomCode, participant.playerId) : null,
+            leaderboard: doQuizService.getLeaderboard(roomCode)
+          });
+
+          console.log(`Host ${socket.user.name} reclaimed room ${roomCode}`);
+        } catch (error) {
+          console.error('Error reclaiming host:', error);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // Assign co-host event (host only, pass playerId: null to clear)
+      socket.on('assign-co-host', async (data) => {
+        try {
+          const { roomCode, playerId } = data;
+          if (!roomCode) {
+            return socket.emit('error', { message: 'Room code is required' });
+          }
+
+          const coHost = roomService.assignCoHost(roomCode, socket.id, playerId || null);
+          const room = roomService.getRoom(roomCode);
+
+          this.io.to(roomCode).emit('co-host-assigned', {
+            coHost: coHost ? { playerId: coHost.playerId, name: coHost.name } : null,
+            participants: this.getParticipantsList(room)
+          });
+        } catch (error) {
+          console.error('Error assigning co-host:', error);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // Take over host event (co-host only, while the host is disconnected)
+      socket.on('take-over-host', async (data) => {
+        try {
+          const { roomCode } = data;
+          if (!roomCode) {
+            return socket.emit('error', { message: 'Room code is required' });
+          }
+
+          const room = roomService.getRoom(roomCode);
+          if (!room) {
+            return socket.emit('error', { message: 'Room not found' });
+          }
+
+          const participant = room.participants.get(socket.id);
+          if (!participant || participant.role !== 'co-host') {
+            return socket.emit('error', { message: 'Only the co-host can take over the room' });
+          }
+
+          const hostEntry = roomService.getHostEntry(roomCode);
+          if (hostEntry && hostEntry[1].isConnected !== false) {
+            return socket.emit('error', { message: 'The host is still connected' });
+          }
+
+          this.promoteToHost(roomCode, socket.id);
+        } catch (error) {
+          console.error('Error taking over host:', error);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
       // Start quiz event
       socket.on('start-quiz', async (data) => {
         try {
@@ -207,7 +365,10 @@ class SocketService {
           }
 
           // Start quiz using doQuizService
-          const quizSession = doQuizService.startQuiz(roomCode, room.quizData, room.participants, this.io);
+          const quizSession = doQuizService.startQuiz(roomCode, room.quizData, room.participants, this.io, {
+            scoringMode: room.scoringMode,
+            shuffleOptions: room.shuffleOptions
+          });
           const currentQuestion = doQuizService.getCurrentQuestion(roomCode);
           const leaderboard = doQuizService.getLeaderboard(roomCode);
 
@@ -219,12 +380,12 @@ class SocketService {
           });
 
           // Broadcast to all participants in the room
-          this.io.to(roomCode).emit('quiz-started', {
-            question: currentQuestion,
+          doQuizService.emitToPlayers(roomCode, this.io, 'quiz-started', playerId => ({
+            question: playerId ? doQuizService.getCurrentQuestion(roomCode, playerId) : currentQuestion,
             participantCount: room.participants.size,
             gameSessionId: room.gameSessionId,
             leaderboard: leaderboard
-          });
+          }));
 
           console.log(`🎮 Quiz started in room ${roomCode} by ${socket.user.name} - event emitted to ${room.participants.size} participants`);
         } catch (error) {
@@ -254,6 +415,9 @@ class SocketService {
           // Send result to participant
           socket.emit('answer-submitted', {
             isCorrect: result.isCorrect,
+            pointsAwarded: result.pointsAwarded,
+            breakdown: result.breakdown,
+            streak: result.streak,
             timeSpent: result.timeSpent,
             currentScore: result.currentScore,
             participantId: result.participantId,
@@ -279,34 +443,28 @@ class SocketService {
             return socket.emit('error', { message: 'Room code is required' });
           }
 
+          const room = roomService.getRoom(roomCode);
+          const participant = room ? room.participants.get(socket.id) : null;
+          if (!participant || (participant.role !== 'host' && participant.role !== 'co-host')) {
+            return socket.emit('error', { message: 'Only the host or co-host can move to the next question' });
+          }
+
           // Check if quiz is active
           if (!doQuizService.isQuizActive(roomCode)) {
             return socket.emit('error', { message: 'Quiz is not active' });
           }
 
-          // Move to next question
-          const nextQuestion = doQuizService.nextQuestion(roomCode);
+          const quizSession = doQuizService.getQuizSession(roomCode);
+          if (quizSession.isPaused) {
+            return socket.emit('error', { message: 'Quiz is paused until the host reconnects' });
+          }
+
+          // Move to next question (emits next-question or quiz-completed, and persists results on completion)
+          const nextQuestion = await doQuizService.nextQuestion(roomCode, this.io);
           
           if (!nextQuestion) {
-            // Quiz completed
-            const finalResults = doQuizService.endQuiz(roomCode);
-            
-            this.io.to(roomCode).emit('quiz-completed', {
-              results: finalResults,
-              message: 'Quiz completed successfully'
-            });
-
             console.log(`🏁 Quiz completed for room ${roomCode}`);
           } else {
-            // Next question
-            const leaderboard = doQuizService.getLeaderboard(roomCode);
-            
-            this.io.to(roomCode).emit('next-question', {
-              question: nextQuestion,
-              participantCount: leaderboard.length,
-              leaderboard: leaderboard
-            });
-
             console.log(`📝 Question ${nextQuestion.questionIndex + 1} started for room ${roomCode}`);
           }
         } catch (error) {
@@ -358,13 +516,7 @@ class SocketService {
           }
 
           // Room exists - send current status
-          const participantsList = Array.from(room.participants.values()).map(p => ({
-            playerId: p.playerId,
-            name: p.name,
-            score: p.score,
-            isConnected: true,
-            isReady: p.isReady || false
-          }));
+          const participantsList = this.getParticipantsList(room);
 
           socket.emit('room-status', {
             roomCode,
@@ -391,40 +543,57 @@ class SocketService {
               const isHost = roomService.isHost(socket.roomCode, socket.id);
               
               if (isHost) {
-                // Host left - cancel the room and notify all participants
-                console.log(`Host ${participant.name} left room ${socket.roomCode} - cancelling room`);
-                
-                // Store room code before cancelling
-                const roomCodeToCancel = socket.roomCode;
-                
-                // Notify all participants that room is cancelled BEFORE cancelling the room
-                this.io.to(roomCodeToCancel).emit('room-cancelled', {
-                  message: 'Host has left the room. The quiz has been cancelled.',
-                  roomCode: roomCodeToCancel
+                // Host dropped - pause the game and hold the room for the grace period
+                const roomCode = socket.roomCode;
+                console.log(`Host ${participant.name} disconnected from room ${roomCode} - waiting for reconnect`);
+
+                const isPaused = doQuizService.pauseQuiz(roomCode);
+                roomService.markDisconnected(roomCode, socket.id, () => this.handleHostTimeout(roomCode));
+
+                const coHostEntry = roomService.getCoHostEntry(roomCode);
+                this.io.to(roomCode).emit('host-disconnected', {
+                  message: 'Host has lost connection. Waiting for the host to reconnect.',
+                  roomCode,
+                  reconnectGracePeriod: room.reconnectGracePeriod,
+                  coHost: coHostEntry ? { playerId: coHostEntry[1].playerId, name: coHostEntry[1].name } : null,
+                  participants: this.getParticipantsList(room)
                 });
-                
-                // Cancel the room AFTER sending the event
-                roomService.cancelRoom(roomCodeToCancel);
+
+                if (isPaused) {
+                  this.io.to(roomCode).emit('quiz-paused', {
+                    reason: 'host-disconnected',
+                    timeRemaining: doQuizService.getTimeRemaining(roomCode)
+                  });
+                }
               } else {
-                // Regular participant left - just notify others
-                const updatedParticipantsList = Array.from(room.participants.values())
-                  .filter(p => p.playerId !== participant.playerId)
-                  .map(p => ({
-                    playerId: p.playerId,
-                    name: p.name,
-                    score: p.score,
-                    isConnected: true,
-                    isReady: p.isReady || false
-                  }));
-                
-                // Notify all participants (including host)
-                this.io.to(socket.roomCode).emit('participant-left', {
+                // Regular participant dropped - hold their seat so they can rejoin
+                const roomCode = socket.roomCode;
+                const socketId = socket.id;
+
+                roomService.markDisconnected(roomCode, socketId, () => {
+                  // Grace period expired - remove the participant and notify others
+                  const currentRoom = roomService.getRoom(roomCode);
+                  if (!currentRoom) return;
+
+                  const updatedParticipantsList = this.getParticipantsList(currentRoom)
+                    .filter(p => p.playerId !== participant.playerId);
+
+                  // Notify all participants (including host)
+                  this.io.to(roomCode).emit('participant-left', {
+                    name: participant.name,
+                    participantCount: currentRoom.participants.size - 1,
+                    participants: updatedParticipantsList
+                  });
+
+                  roomService.leaveRoom(roomCode, socketId);
+                });
+
+                this.io.to(roomCode).emit('participant-disconnected', {
                   name: participant.name,
-                  participantCount: room.participants.size - 1,
-                  participants: updatedParticipantsList
+                  playerId: participant.playerId,
+                  reconnectGracePeriod: room.reconnectGracePeriod,
+                  participants: this.getParticipantsList(room)
                 });
-                
-                roomService.leaveRoom(socket.roomCode, socket.id);
               }
             }
           }
@@ -433,6 +602,102 @@ class SocketService {
     });
   }
 
+  /**
+   * Build the public participants list of a room
+   * @param {object} room - Room data
+   * @returns {Array} Participants without private fields such as reconnect tokens
+   */
+  getParticipantsList(room) {
+    return Array.from(room.participants.values()).map(p => ({
+      playerId: p.playerId,
+      name: p.name,
+      score: p.score,
+      role: p.role,
+      isConnected: p.isConnected !== false,
+      isReady: p.isReady || false
+    }));
+  }
+
+  /**
+   * Resume the room after the host came back
+   * @param {string} roomCode - Room code
+   * @param {object} host - Host participant
+   */
+  handleHostReturn(roomCode, host) {
+    const question = doQuizService.resumeQuiz(roomCode, this.io);
+
+    this.io.to(roomCode).emit('host-reconnected', {
+      message: 'Host has reconnected',
+      name: host.name,
+      playerId: host.playerId
+    });
+
+    if (question) {
+      this.emitQuizResumed(roomCode, question);
+    }
+  }
+
+  /**
+   * Send the resumed question to the room
+   * @param {string} roomCode - Room code
+   * @param {object} question - Current question data in the stored option order
+   */
+  emitQuizResumed(roomCode, question) {
+    const leaderboard = doQuizService.getLeaderboard(roomCode);
+
+    doQuizService.emitToPlayers(roomCode, this.io, 'quiz-resumed', playerId => ({
+      question: playerId ? doQuizService.getCurrentQuestion(roomCode, playerId) : question,
+      leaderboard
+    }));
+  }
+
+  /**
+   * Host did not come back within the grace period
+   * Hands the room to a connected co-host, otherwise cancels it.
+   * @param {string} roomCode - Room code
+   */
+  handleHostTimeout(roomCode) {
+    const coHostEntry = roomService.getCoHostEntry(roomCode);
+    if (coHostEntry) {
+      this.promoteToHost(roomCode, coHostEntry[0]);
+      return;
+    }
+
+    console.log(`Host did not reconnect to room ${roomCode} - cancelling room`);
+
+    // Notify all participants that room is cancelled BEFORE cancelling the room
+    this.io.to(roomCode).emit('room-cancelled', {
+      message: 'Host has left the room. The quiz has been cancelled.',
+      roomCode
+    });
+
+    // Cancel the room AFTER sending the event
+    doQuizService.stopQuiz(roomCode);
+    roomService.cancelRoom(roomCode);
+  }
+
+  /**
+   * Make a participant the host and resume the game
+   * @param {string} roomCode - Room code
+   * @param {string} socketId - Socket ID of the new host
+   */
+  promoteToHost(roomCode, socketId) {
+    const newHost = roomService.transferHost(roomCode, socketId);
+    const room = roomService.getRoom(roomCode);
+
+    this.io.to(roomCode).emit('host-changed', {
+      message: `${newHost.name} is now the host`,
+      playerId: newHost.playerId,
+      name: newHost.name,
+      participants: this.getParticipantsList(room)
+    });
+
+    const question = doQuizService.resumeQuiz(roomCode, this.io);
+    if (question) {
+      this.emitQuizResumed(roomCode, question);
+    }
+  }
+
   /**
    * Advance to next question
    * @param {string} roomCode - Room code
@@ -0,0 +1,56 @@
+const LocalDiskStorage = require('./localDiskStorage');
+
+/**
+ * Media Storage
+ * Picks the storage adapter named by MEDIA_STORAGE (default: local).
+ * Other backends (S3, GCS, ...) plug in with registerAdapter(name, factory),
+ * where the factory returns an object with save() and remove().
+ */
+const adapters = {
+  local: () => new LocalDiskStorage({
+    directory: process.env.UPLOAD_DIR || 'uploads',
+    publicPath: '/uploads',
+    baseUrl: process.env.MEDIA_BASE_URL || ''
+  })
+};
+
+let storage = null;
+
+/**
+ * Register a storage adapter factory
+ * @param {string} name - Adapter name used in MEDIA_STORAGE
+ * @param {Function} factory - Returns the adapter instance
+ */
+const registerAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+/**
+ * Get the configured storage adapter
+ * @returns {object} Storage adapter
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.MEDIA_STORAGE || 'local';
+    if (!adapters[name]) {
+      throw new Error(`Unknown media storage adapter: ${name}`);
+    }
+    storage = adapters[name]();
+  }
+  return storage;
+};
+
+/**
+ * Replace the active adapter (e.g. with a preconfigured instance)
+ * @param {object} adapter - Storage adapter
+ */
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  LocalDiskStorage,
+  registerAdapter,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,65 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local Disk Storage Adapter
+ * Writes uploaded media to a folder that the server exposes as static files.
+ *
+ * Every storage adapter implements:
+ * - save({ buffer, key, mimeType }) -> Promise<{ key, url }>
+ * - remove(key) -> Promise<void>
+ */
+class LocalDiskStorage {
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Folder the files are written to
+   * @param {string} options.publicPath - URL path the folder is served from
+   * @param {string} options.baseUrl - Optional origin prepended to media URLs
+   */
+  constructor({ directory, publicPath = '/uploads', baseUrl = '' } = {}) {
+    this.directory = path.resolve(directory || 'uploads');
+    this.publicPath = publicPath;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Resolve a storage key to a path inside the upload folder
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error('Invalid media key');
+    }
+    return filePath;
+  }
+
+  /**
+   * Build the public URL of a stored file
+   * @param {string} key - Storage key
+   * @returns {string} Media URL
+   */
+  getUrl(key) {
+    return `${this.baseUrl}${this.publicPath}/${key}`;
+  }
+
+  async save({ buffer, key }) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: this.getUrl(key) };
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalDiskStorage;
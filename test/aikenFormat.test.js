@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const aikenFormat = require('../services/formats/aikenFormat');
+
+describe('aikenFormat', () => {
+  it('reads back the single choice questions it writes', () => {
+    const quiz = {
+      title: 'Arithmetic',
+      questions: [
+        { questionType: 'single', questionText: 'What is 2 + 2?', options: ['3', '4', '5'], correctAnswerIndex: 1 },
+        { questionText: 'What is 3 x 3?', options: ['6', '9', '12', '33', '0', '1'], correctAnswerIndex: 5 }
+      ]
+    };
+
+    const { content, skipped } = aikenFormat.serialize(quiz);
+    const { entries } = aikenFormat.parse(content);
+
+    assert.deepStrictEqual(skipped, []);
+    assert.deepStrictEqual(entries.map(entry => entry.errors), [[], []]);
+    assert.deepStrictEqual(entries.map(entry => entry.question), quiz.questions.map(question => ({ questionType: 'single', ...question })));
+  });
+
+  it('writes true/false as two options and leaves out what Aiken cannot hold', () => {
+    const { content, skipped } = aikenFormat.serialize({
+      title: 'Mixed',
+      questions: [
+        { questionType: 'multi-select', questionText: 'Primes?', options: ['2', '4'], correctAnswerIndices: [0] },
+        { questionType: 'true-false', questionText: 'The sky is\nblue', options: ['True', 'False'], correctAnswerIndex: 0 },
+        { questionType: 'short-answer', questionText: 'Capital of France?', acceptedAnswers: ['Paris'] }
+      ]
+    });
+
+    assert.strictEqual(content, 'The sky is blue\nA. True\nB. False\nANSWER: A\n');
+    assert.deepStrictEqual(skipped, [
+      { questionIndex: 0, reason: 'Aiken has no multi-select questions' },
+      { questionIndex: 2, reason: 'Aiken has no short-answer questions' }
+    ]);
+    assert.deepStrictEqual(aikenFormat.parse(content).entries[0].question, {
+      questionType: 'single',
+      questionText: 'The sky is blue',
+      options: ['True', 'False'],
+      correctAnswerIndex: 0
+    });
+  });
+
+  it('reports broken questions', () => {
+    const { entries } = aikenFormat.parse([
+      'First?', 'A. one', 'C. two', 'ANSWER: B', '',
+      'Second?', 'A) yes', 'B) no', 'ANSWER: C', '',
+      'Third?', 'A. yes', 'B. no'
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(entries.map(entry => entry.row), [1, 6, 11]);
+    assert.deepStrictEqual(entries[0].errors, ['Option C is out of order (expected B)']);
+    assert.strictEqual(entries[0].question.correctAnswerIndex, 1);
+    assert.deepStrictEqual(entries[1].errors, ['ANSWER C does not match any option']);
+    assert.deepStrictEqual(entries[2].errors, ['ANSWER line is missing']);
+  });
+});
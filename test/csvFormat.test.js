@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const csvFormat = require('../services/formats/csvFormat');
+
+describe('csvFormat', () => {
+  it('reads one question per row with option columns and letter answers', () => {
+    const { entries } = csvFormat.parse([
+      'Quiz,Question,Option A,Option B,Option C,Correct,Points',
+      'Capitals,Capital of France?,Paris,Lyon,Nice,A,2',
+      'Capitals,Capital of Italy?,Milan,Rome,Turin,Rome,'
+    ].join('\n'));
+
+    assert.deepStrictEqual(entries, [
+      {
+        row: 2,
+        quizTitle: 'Capitals',
+        question: { questionType: 'single', questionText: 'Capital of France?', options: ['Paris', 'Lyon', 'Nice'], correctAnswerIndex: 0, points: 2 },
+        errors: []
+      },
+      {
+        row: 3,
+        quizTitle: 'Capitals',
+        question: { questionType: 'single', questionText: 'Capital of Italy?', options: ['Milan', 'Rome', 'Turin'], correctAnswerIndex: 1 },
+        errors: []
+      }
+    ]);
+  });
+
+  it('keeps separators, line breaks and doubled quotes inside quoted cells', () => {
+    const { entries } = csvFormat.parse('question;options;answer\r\n"Say ""hi"";\nthen wave";"Yes|No";Yes\r\n');
+    assert.strictEqual(entries[0].question.questionText, 'Say "hi";\nthen wave');
+    assert.deepStrictEqual(entries[0].question.options, ['Yes', 'No']);
+    assert.strictEqual(entries[0].question.correctAnswerIndex, 0);
+  });
+
+  it('reads tab separated files', () => {
+    const { entries } = csvFormat.parse('Question\tType\tAnswer\nLargest planet?\tshort\tJupiter|jupiter\n', { format: 'tsv' });
+    assert.deepStrictEqual(entries[0].question, { questionType: 'short-answer', questionText: 'Largest planet?', acceptedAnswers: ['Jupiter', 'jupiter'] });
+  });
+
+  it('guesses the question type from the answer', () => {
+    const { entries } = csvFormat.parse([
+      'Question,A,B,C,D,Correct',
+      'Prime numbers?,2,4,5,9,"A, C"',
+      'The sky is blue,,,,,yes',
+      'Chemical symbol of gold?,,,,,Au'
+    ].join('\n'));
+
+    assert.strictEqual(entries[0].question.questionType, 'multi-select');
+    assert.deepStrictEqual(entries[0].question.correctAnswerIndices, [0, 2]);
+    assert.strictEqual(entries[1].question.questionType, 'true-false');
+    assert.deepStrictEqual(entries[1].question.options, ['True', 'False']);
+    assert.strictEqual(entries[1].question.correctAnswerIndex, 0);
+    assert.strictEqual(entries[2].question.questionType, 'short-answer');
+  });
+
+  it('reports rows whose answer does not match an option', () => {
+    const { entries } = csvFormat.parse('Question,Options,Correct\nPick one,Red|Blue,Green\nPick one,Red|Blue,\n');
+    assert.deepStrictEqual(entries[0].errors, ['Correct answer "Green" does not match any option']);
+    assert.deepStrictEqual(entries[1].errors, ['Correct answer is required']);
+  });
+
+  it('lists unknown columns and rejects files without a question column', () => {
+    const { ignoredColumns } = csvFormat.parse('\uFEFFQuestion,Notes,Answer\nWhat?,ignore me,x\n');
+    assert.deepStrictEqual(ignoredColumns, ['Notes']);
+    assert.throws(() => csvFormat.parse('Title,Answer\nx,y\n'), /no question column/);
+    assert.throws(() => csvFormat.parse('Question\n"unclosed\n'), /unclosed quote/);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const giftFormat = require('../services/formats/giftFormat');
+
+const quiz = {
+  title: 'Maths/Physics',
+  questions: [
+    {
+      questionType: 'single',
+      questionText: 'Which is {special}: a~b = c #1?\nPath: C:\\new',
+      options: ['x=1', 'y~2', '#3 {z}'],
+      correctAnswerIndex: 2,
+      explanation: 'Because: {reasons}'
+    },
+    {
+      questionType: 'multi-select',
+      questionText: 'Which numbers are prime?',
+      options: ['2', '4', '5', '9'],
+      correctAnswerIndices: [0, 2]
+    },
+    {
+      questionType: 'true-false',
+      questionText: 'Light is faster than sound',
+      options: ['True', 'False'],
+      correctAnswerIndex: 0,
+      explanation: 'By a lot'
+    },
+    {
+      questionType: 'true-false',
+      questionText: 'Water boils at 50 °C at sea level',
+      options: ['True', 'False'],
+      correctAnswerIndex: 1
+    },
+    {
+      questionType: 'short-answer',
+      questionText: 'Capital of France?',
+      acceptedAnswers: ['Paris', 'City of Light']
+    }
+  ]
+};
+
+describe('giftFormat', () => {
+  it('reads back every question it writes', () => {
+    const { content, skipped } = giftFormat.serialize(quiz);
+    const { entries } = giftFormat.parse(content);
+
+    assert.deepStrictEqual(skipped, []);
+    assert.deepStrictEqual(entries.map(entry => entry.errors), quiz.questions.map(() => []));
+    assert.deepStrictEqual(entries.map(entry => entry.quizTitle), quiz.questions.map(() => 'Maths/Physics'));
+    assert.deepStrictEqual(entries.map(entry => entry.question), quiz.questions);
+  });
+
+  it('reads Moodle answer weights, feedback and missing word questions', () => {
+    const { entries } = giftFormat.parse([
+      '$CATEGORY: $course$/top/Geography',
+      '',
+      '::Rivers:: Which are rivers? {',
+      '  ~%50%Nile#Yes',
+      '  ~%50%Danube',
+      '  ~%-100%Sahara',
+      '}',
+      '',
+      'The {=Pacific ~Atlantic} is the largest ocean.'
+    ].join('\n'));
+
+    assert.deepStrictEqual(entries[0], {
+      row: 3,
+      quizTitle: 'Geography',
+      question: { questionType: 'multi-select', questionText: 'Which are rivers?', options: ['Nile', 'Danube', 'Sahara'], correctAnswerIndices: [0, 1] },
+      errors: []
+    });
+    assert.deepStrictEqual(entries[1].question, {
+      questionType: 'single',
+      questionText: 'The _____ is the largest ocean.',
+      options: ['Pacific', 'Atlantic'],
+      correctAnswerIndex: 0
+    });
+  });
+
+  it('reports question types it cannot import', () => {
+    const { entries } = giftFormat.parse('Pi? {#3.14:0.01}\n\nMatch {=a -> 1 =b -> 2}\n\nEssay {}\n\nPick {=a =b ~c}');
+    assert.deepStrictEqual(entries.map(entry => entry.errors), [
+      ['Numerical questions are not supported'],
+      ['Matching questions are not supported'],
+      ['Essay questions are not supported'],
+      ['Multiple choice questions must have exactly one right answer (=)']
+    ]);
+  });
+});
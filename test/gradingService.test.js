@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const gradingService = require('../services/gradingService');
+
+const single = { options: ['A', 'B', 'C', 'D'], correctAnswerIndex: 2 };
+const multiSelect = { questionType: 'multi-select', options: ['A', 'B', 'C', 'D'], correctAnswerIndices: [3, 0] };
+const shortAnswer = { questionType: 'short-answer', acceptedAnswers: ['Paris', 'City of  Light'], caseSensitive: false };
+
+/**
+ * Normalize an answer and grade it, the way a submitted answer is handled
+ * @param {object} question - Question data
+ * @param {*} answer - Submitted answer
+ * @returns {boolean} True if correct
+ */
+const grade = (question, answer) => gradingService.isCorrect(question, gradingService.normalizeAnswer(question, answer));
+
+describe('gradingService', () => {
+  it('treats questions without a type as single choice', () => {
+    assert.strictEqual(gradingService.getQuestionType(single), 'single');
+    assert.strictEqual(grade(single, 2), true);
+    assert.strictEqual(grade(single, 1), false);
+  });
+
+  it('rejects option indices outside the options', () => {
+    assert.throws(() => gradingService.normalizeAnswer(single, 4), /Invalid option index/);
+    assert.throws(() => gradingService.normalizeAnswer(single, '2'), /Invalid option index/);
+  });
+
+  describe('multi-select', () => {
+    it('accepts exactly the correct options in any order', () => {
+      assert.strictEqual(grade(multiSelect, [0, 3]), true);
+      assert.strictEqual(grade(multiSelect, [3, 0]), true);
+    });
+
+    it('ignores repeated options', () => {
+      assert.deepStrictEqual(gradingService.normalizeAnswer(multiSelect, [3, 0, 3]), [0, 3]);
+      assert.strictEqual(grade(multiSelect, [3, 0, 3]), true);
+    });
+
+    it('gives no credit for missing or extra options', () => {
+      assert.strictEqual(grade(multiSelect, [0]), false);
+      assert.strictEqual(grade(multiSelect, [0, 1, 3]), false);
+      assert.strictEqual(grade(multiSelect, [1, 2]), false);
+    });
+
+    it('requires a non-empty array of option indices', () => {
+      assert.throws(() => gradingService.normalizeAnswer(multiSelect, 0), /non-empty array/);
+      assert.throws(() => gradingService.normalizeAnswer(multiSelect, []), /non-empty array/);
+      assert.throws(() => gradingService.normalizeAnswer(multiSelect, [0, 6]), /Invalid option index/);
+    });
+
+    it('returns the correct answer sorted', () => {
+      assert.deepStrictEqual(gradingService.getCorrectAnswer(multiSelect), [0, 3]);
+    });
+  });
+
+  describe('short answer', () => {
+    it('ignores case, surrounding space and repeated spaces', () => {
+      assert.strictEqual(grade(shortAnswer, '  paris '), true);
+      assert.strictEqual(grade(shortAnswer, 'city OF light'), true);
+      assert.strictEqual(grade(shortAnswer, 'Lyon'), false);
+    });
+
+    it('keeps case when the question is case sensitive', () => {
+      const question = { ...shortAnswer, caseSensitive: true };
+      assert.strictEqual(grade(question, 'Paris'), true);
+      assert.strictEqual(grade(question, 'paris'), false);
+    });
+
+    it('requires non-empty text of up to 200 characters', () => {
+      assert.throws(() => gradingService.normalizeAnswer(shortAnswer, '   '), /non-empty text/);
+      assert.throws(() => gradingService.normalizeAnswer(shortAnswer, 3), /non-empty text/);
+      assert.throws(() => gradingService.normalizeAnswer(shortAnswer, 'a'.repeat(201)), /cannot exceed 200/);
+    });
+
+    it('returns the accepted answers as the correct answer', () => {
+      assert.deepStrictEqual(gradingService.getCorrectAnswer(shortAnswer), ['Paris', 'City of  Light']);
+    });
+  });
+});
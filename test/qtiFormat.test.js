@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const qtiFormat = require('../services/formats/qtiFormat');
+const { createZip, readZip } = require('../services/formats/zipArchive');
+
+const quiz = {
+  title: 'Science <& "Friends">',
+  questions: [
+    {
+      questionType: 'single',
+      questionText: 'Which of these is a <noble> gas?\nPick one & only one.',
+      options: ['Oxygen', 'Neon & Argon', 'Nitrogen'],
+      correctAnswerIndex: 1,
+      timeLimitSeconds: 20,
+      points: 2,
+      explanation: 'Neon is in group 18',
+      media: { type: 'image', url: '/uploads/image/table.png', altText: 'Periodic table' },
+      optionMedia: [{ optionIndex: 2, type: 'audio', url: 'https://example.com/n.mp3', mimeType: 'audio/mpeg', altText: 'Nitrogen' }]
+    },
+    {
+      questionType: 'multi-select',
+      questionText: 'Which are planets?',
+      options: ['Mars', 'Moon', 'Venus', 'Sun'],
+      correctAnswerIndices: [0, 2],
+      timeLimitSeconds: 30,
+      points: 1
+    },
+    {
+      questionType: 'true-false',
+      questionText: 'Light is faster than sound',
+      options: ['True', 'False'],
+      correctAnswerIndex: 1,
+      timeLimitSeconds: 10,
+      points: 1
+    },
+    {
+      questionType: 'short-answer',
+      questionText: 'Chemical symbol of gold?',
+      acceptedAnswers: ['Au', 'AU'],
+      caseSensitive: true,
+      timeLimitSeconds: 15,
+      points: 3,
+      explanation: 'From the Latin aurum'
+    }
+  ]
+};
+
+describe('qtiFormat', () => {
+  it('reads back every question it writes', () => {
+    const { content, skipped } = qtiFormat.serialize(quiz);
+    const { entries } = qtiFormat.parse(content);
+
+    assert.deepStrictEqual(skipped, []);
+    assert.deepStrictEqual(entries.map(entry => entry.row), [1, 2, 3, 4]);
+    assert.deepStrictEqual(entries.map(entry => entry.errors), [[], [], [], []]);
+    assert.deepStrictEqual(entries.map(entry => entry.quizTitle), quiz.questions.map(() => quiz.title));
+    assert.deepStrictEqual(entries.map(entry => entry.question), quiz.questions);
+  });
+
+  it('writes a zip with a manifest, a test and one item per question', () => {
+    const files = readZip(qtiFormat.serialize(quiz).content);
+    assert.deepStrictEqual([...files.keys()], [
+      'imsmanifest.xml',
+      'assessmentTest.xml',
+      'items/item-1.xml',
+      'items/item-2.xml',
+      'items/item-3.xml',
+      'items/item-4.xml'
+    ]);
+  });
+
+  it('finds the manifest in a folder and reads items no test refers to', () => {
+    const item = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<assessmentItem identifier="q1" title="Q1">',
+      '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">',
+      '    <correctResponse><value>B</value></correctResponse>',
+      '  </responseDeclaration>',
+      '  <itemBody>',
+      '    <choiceInteraction responseIdentifier="RESPONSE" maxChoices="1">',
+      '      <prompt>2 + 2?</prompt>',
+      '      <simpleChoice identifier="A">3</simpleChoice>',
+      '      <simpleChoice identifier="B">4</simpleChoice>',
+      '    </choiceInteraction>',
+      '  </itemBody>',
+      '</assessmentItem>'
+    ].join('\n');
+    const manifest = [
+      '<manifest><resources>',
+      '  <resource identifier="q1" type="imsqti_item_xmlv2p1" href="q%201.xml"/>',
+      '  <resource identifier="q2" type="imsqti_item_xmlv2p1" href="missing.xml"/>',
+      '</resources></manifest>'
+    ].join('\n');
+
+    const { entries } = qtiFormat.parse(createZip([
+      { name: 'export/imsmanifest.xml', content: manifest },
+      { name: 'export/q 1.xml', content: item }
+    ]));
+
+    assert.deepStrictEqual(entries, [
+      { row: 1, quizTitle: null, question: { questionType: 'single', questionText: '2 + 2?', options: ['3', '4'], correctAnswerIndex: 1 }, errors: [] },
+      { row: 2, quizTitle: null, question: null, errors: ['Item export/missing.xml is missing from the package'] }
+    ]);
+  });
+
+  it('rejects files that are not QTI packages', () => {
+    const header = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0, 0, 0, 0]);
+    assert.throws(() => qtiFormat.parse(header), /not a valid zip archive/);
+    assert.throws(() => qtiFormat.parse(createZip([{ name: 'readme.txt', content: 'hello' }])), /no manifest/);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const scoringService = require('../services/scoringService');
+
+describe('scoringService', () => {
+  describe('classic mode', () => {
+    it('awards the question points for a correct answer', () => {
+      const result = scoringService.scoreAnswer('classic', { points: 2, isCorrect: true, timeSpent: 25000, duration: 30000, streak: 4 });
+      assert.deepStrictEqual(result, { basePoints: 2, speedBonus: 0, streakBonus: 0, pointsAwarded: 2 });
+    });
+
+    it('awards nothing for a wrong answer', () => {
+      const result = scoringService.scoreAnswer('classic', { points: 2, isCorrect: false, timeSpent: 1000, duration: 30000, streak: 0 });
+      assert.strictEqual(result.pointsAwarded, 0);
+    });
+
+    it('is used for unknown modes', () => {
+      const result = scoringService.scoreAnswer('unknown', { points: 3, isCorrect: true, timeSpent: 0, duration: 30000, streak: 1 });
+      assert.strictEqual(result.pointsAwarded, 3);
+    });
+  });
+
+  describe('speed mode', () => {
+    it('awards the full scale for an instant answer', () => {
+      const result = scoringService.scoreAnswer('speed', { points: 1, isCorrect: true, timeSpent: 0, duration: 30000, streak: 1 });
+      assert.deepStrictEqual(result, { basePoints: 500, speedBonus: 500, streakBonus: 0, pointsAwarded: 1000 });
+    });
+
+    it('shrinks the speed bonus as the timer runs down', () => {
+      const half = scoringService.scoreAnswer('speed', { points: 1, isCorrect: true, timeSpent: 15000, duration: 30000, streak: 1 });
+      const late = scoringService.scoreAnswer('speed', { points: 1, isCorrect: true, timeSpent: 30000, duration: 30000, streak: 1 });
+      assert.strictEqual(half.speedBonus, 250);
+      assert.strictEqual(late.speedBonus, 0);
+      assert.strictEqual(late.pointsAwarded, 500);
+    });
+
+    it('keeps the time ratio between 0 and 1', () => {
+      const overtime = scoringService.scoreAnswer('speed', { points: 1, isCorrect: true, timeSpent: 45000, duration: 30000, streak: 1 });
+      const negative = scoringService.scoreAnswer('speed', { points: 1, isCorrect: true, timeSpent: -500, duration: 30000, streak: 1 });
+      assert.strictEqual(overtime.speedBonus, 0);
+      assert.strictEqual(negative.speedBonus, 500);
+    });
+
+    it('scales with the question points', () => {
+      const result = scoringService.scoreAnswer('speed', { points: 2, isCorrect: true, timeSpent: 0, duration: 30000, streak: 1 });
+      assert.strictEqual(result.pointsAwarded, 2000);
+    });
+
+    it('adds 10% per consecutive correct answer after the first, up to 50%', () => {
+      const streakOf = streak => scoringService.scoreAnswer('speed', { points: 1, isCorrect: true, timeSpent: 30000, duration: 30000, streak }).streakBonus;
+      assert.strictEqual(streakOf(1), 0);
+      assert.strictEqual(streakOf(2), 100);
+      assert.strictEqual(streakOf(6), 500);
+      assert.strictEqual(streakOf(20), 500);
+    });
+
+    it('awards nothing for a wrong answer', () => {
+      const result = scoringService.scoreAnswer('speed', { points: 1, isCorrect: false, timeSpent: 0, duration: 30000, streak: 0 });
+      assert.deepStrictEqual(result, { basePoints: 0, speedBonus: 0, streakBonus: 0, pointsAwarded: 0 });
+    });
+  });
+
+  it('lists its modes', () => {
+    assert.deepStrictEqual(scoringService.getModes().map(mode => mode.name), ['classic', 'speed']);
+    assert.strictEqual(scoringService.isValidMode('speed'), true);
+    assert.strictEqual(scoringService.isValidMode('toString'), false);
+  });
+});
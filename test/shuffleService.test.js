@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const shuffleService = require('../services/shuffleService');
+const gradingService = require('../services/gradingService');
+
+const single = {
+  options: ['A', 'B', 'C', 'D'],
+  correctAnswerIndex: 1,
+  optionMedia: [{ optionIndex: 3, type: 'image', url: '/uploads/image/d.png' }]
+};
+const multiSelect = { questionType: 'multi-select', options: ['A', 'B', 'C', 'D'], correctAnswerIndices: [0, 2] };
+
+// Shown position => stored index: the player sees D, B, A, C
+const order = [3, 1, 0, 2];
+
+describe('shuffleService', () => {
+  it('shuffles into a permutation without changing the input', () => {
+    const items = [1, 2, 3, 4, 5, 6];
+    const shuffled = shuffleService.shuffle(items);
+    assert.deepStrictEqual(items, [1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual([...shuffled].sort(), items);
+  });
+
+  it('only shuffles the options of single choice and multi-select questions', () => {
+    assert.strictEqual(shuffleService.canShuffleOptions(single), true);
+    assert.strictEqual(shuffleService.canShuffleOptions(multiSelect), true);
+    assert.strictEqual(shuffleService.canShuffleOptions({ questionType: 'true-false', options: ['True', 'False'] }), false);
+    assert.strictEqual(shuffleService.canShuffleOptions({ questionType: 'short-answer', acceptedAnswers: ['x'] }), false);
+    assert.strictEqual(shuffleService.createOptionOrder({ questionType: 'true-false', options: ['True', 'False'] }), null);
+    assert.deepStrictEqual([...shuffleService.createOptionOrder(single)].sort(), [0, 1, 2, 3]);
+  });
+
+  describe('applyOptionOrder', () => {
+    it('moves options, option media and the correct answer along', () => {
+      const shown = shuffleService.applyOptionOrder(single, order);
+      assert.deepStrictEqual(shown.options, ['D', 'B', 'A', 'C']);
+      assert.strictEqual(shown.correctAnswerIndex, 1);
+      assert.deepStrictEqual(shown.optionMedia.map(media => media.optionIndex), [0]);
+      assert.deepStrictEqual(single.options, ['A', 'B', 'C', 'D']);
+    });
+
+    it('moves every correct option of a multi-select question', () => {
+      const shown = shuffleService.applyOptionOrder(multiSelect, order);
+      assert.deepStrictEqual(shown.correctAnswerIndices.map(index => shown.options[index]).sort(), ['A', 'C']);
+    });
+
+    it('returns the question unchanged without an order', () => {
+      assert.strictEqual(shuffleService.applyOptionOrder(single, null), single);
+    });
+  });
+
+  describe('answer mapping', () => {
+    it('maps shown positions to stored indices and back', () => {
+      assert.strictEqual(shuffleService.toOriginalAnswer(0, order), 3);
+      assert.strictEqual(shuffleService.toShownAnswer(3, order), 0);
+      assert.deepStrictEqual(shuffleService.toOriginalAnswer([2, 3], order), [0, 2]);
+      assert.deepStrictEqual(shuffleService.toShownAnswer([0, 2], order), [2, 3]);
+    });
+
+    it('grades the position the player picked against the stored question', () => {
+      const shown = shuffleService.applyOptionOrder(single, order);
+      const picked = shown.options.indexOf('B');
+      assert.strictEqual(gradingService.isCorrect(single, shuffleService.toOriginalAnswer(picked, order)), true);
+      assert.strictEqual(gradingService.isCorrect(single, shuffleService.toOriginalAnswer(shown.options.indexOf('D'), order)), false);
+    });
+
+    it('grades multi-select picks against the stored question', () => {
+      const shown = shuffleService.applyOptionOrder(multiSelect, order);
+      const picked = [shown.options.indexOf('C'), shown.options.indexOf('A')];
+      const answer = gradingService.normalizeAnswer(multiSelect, shuffleService.toOriginalAnswer(picked, order));
+      assert.strictEqual(gradingService.isCorrect(multiSelect, answer), true);
+    });
+
+    it('passes positions outside the order through so grading rejects them', () => {
+      assert.strictEqual(shuffleService.toOriginalAnswer(7, order), 7);
+      assert.throws(() => gradingService.normalizeAnswer(single, shuffleService.toOriginalAnswer(7, order)), /Invalid option index/);
+    });
+
+    it('keeps "no answer" and text answers as they are', () => {
+      assert.strictEqual(shuffleService.toShownAnswer(-1, order), -1);
+      assert.strictEqual(shuffleService.toOriginalAnswer('Paris', order), 'Paris');
+      assert.strictEqual(shuffleService.toShownAnswer(2, null), 2);
+    });
+  });
+});